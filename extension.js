@@ -49598,34 +49598,35 @@ class S2 {
                     // Sends tool_permission_request to webview, which triggers dialog + open_diff.
                     // RY() handles the diff tab natively (blocks until Accept/Reject).
                     // User modifications stored via setEditOverride() in RY(), consumed here.
+                    // Review state is per channel: kept on the channel entry (forceLocalReview), so it goes with closeChannel().
                     var _selfIJ = this;
-                    var _forceLocalAcceptAll = false;
-                    // Track runtime permission mode (N = initial mode from launch_claude)
-                    var _forceLocalPermMode = N || _selfIJ.settings.getInitialPermissionMode() || "default";
-                    var _origSetPermissionMode = _selfIJ.setPermissionMode.bind(_selfIJ);
-                    _selfIJ.setPermissionMode = async function(_v, _z) {
-                        if (_v === v) _forceLocalPermMode = _z;
-                        return _origSetPermissionMode(_v, _z);
+                    // permMode tracks the runtime permission mode (N = initial mode from launch_claude), see setPermissionMode()
+                    var _forceLocalReview = {
+                        permMode: N || _selfIJ.settings.getInitialPermissionMode() || "default",
+                        acceptAll: false
                     };
-                    var _reviewEdit = async function(mcpToolName, toolInput, oldContent, newContent) {
+                    var _reviewEdit = async function(mcpToolName, toolInput, oldContent, newContent, toolUseId) {
                         var vsc = require("vscode");
                         var config = vsc.workspace.getConfiguration("claudeCode");
                         var diffMode = config.get("forceLocalDiffMode", "auto");
                         if (diffMode !== "review") return { accepted: true, finalContent: newContent };
 
                         // Bypass review if permission mode is "bypassPermissions" or "acceptEdits"
-                        if (_forceLocalPermMode === "bypassPermissions" || _forceLocalPermMode === "acceptEdits") return { accepted: true, finalContent: newContent };
+                        if (_forceLocalReview.permMode === "bypassPermissions" || _forceLocalReview.permMode === "acceptEdits") return { accepted: true, finalContent: newContent };
                         // Bypass review if user chose "allow all edits this session" (button 2)
-                        if (_forceLocalAcceptAll) return { accepted: true, finalContent: newContent };
+                        if (_forceLocalReview.acceptAll) return { accepted: true, finalContent: newContent };
 
                         var _rt = require("./src/remote-tools");
                         var remotePath = _rt.toRemotePath(toolInput.file_path);
 
                         // Send tool_permission_request — triggers webview dialog AND open_diff → RY().
                         // RY() handles the diff tab natively (blocks until Accept/Reject).
-                        var webviewToolName = mcpToolName === "edit_file" ? "Edit" : "Write";
+                        // notebook_edit is reviewed as a Write of the whole notebook
+                        var webviewToolName = mcpToolName === "edit_file" ? "Edit" : mcpToolName === "multi_edit" ? "MultiEdit" : "Write";
                         var webviewInputs = Object.assign({}, toolInput, { file_path: remotePath });
 
+                        // Overrides RY() stores while this diff is open are tagged with this channel and tool call
+                        _rt.beginReview(v, remotePath, toolUseId);
                         try {
                             var response = await _selfIJ.sendRequest(v, {
                                 type: "tool_permission_request",
@@ -49642,14 +49643,14 @@ class S2 {
                                 if (perms && perms.length > 0) {
                                     for (var _p = 0; _p < perms.length; _p++) {
                                         if (perms[_p].type === "setMode" && perms[_p].mode === "acceptEdits") {
-                                            _forceLocalAcceptAll = true;
+                                            _forceLocalReview.acceptAll = true;
                                             break;
                                         }
                                     }
                                 }
                                 // RY() stores user-modified content via setEditOverride() on Accept.
                                 // Consume it here; falls back to original newContent if no override.
-                                var override = _rt.consumeEditOverride(remotePath);
+                                var override = _rt.consumeEditOverride(v, remotePath, toolUseId);
                                 var finalContent = override !== null ? override : newContent;
                                 return { accepted: true, finalContent: finalContent };
                             } else {
@@ -49658,9 +49659,20 @@ class S2 {
                         } catch (e) {
                             (_selfIJ.output || _selfIJ.logger).warn("forceLocal: reviewEdit error", e.message || e);
                             return { accepted: false };
+                        } finally {
+                            _rt.endReview(v, remotePath);
                         }
                     };
-                    _remoteTools2.registerTools(j.instance, s, this.output || this.logger, _fileUpdatedCb, _reviewEdit);
+                    // --- forceLocal: stream remote bash output into the webview's Bash tool block ---
+                    var _toolProgressCb = (P) => {
+                        this.send({
+                            type: "io_message",
+                            channelId: v,
+                            message: _remoteTools2.toolProgressMessage(P),
+                            done: !1
+                        });
+                    };
+                    var _remoteToolsHandle = _remoteTools2.registerTools(j.instance, s, this.output || this.logger, _fileUpdatedCb, _reviewEdit, _toolProgressCb, v);
                     (this.output || this.logger).info("forceLocal: registered remote tools on in-process MCP server. Tools: " + Object.keys(j.instance._registeredTools).length);
                 } catch (_rtErr2) {
                     (this.output || this.logger).error("forceLocal: FAILED to register remote tools on in-process MCP server: " + (_rtErr2.message || _rtErr2));
@@ -49688,7 +49700,9 @@ class S2 {
                     status: "disconnected"
                 },
                 debuggerMcpState: this.getInitialDebuggerState(),
-                jupyterMcpState: this.getInitialJupyterState()
+                jupyterMcpState: this.getInitialJupyterState(),
+                remoteTools: _remoteToolsHandle || null, // --- forceLocal: stops remote commands on interrupt, cleaned up on close ---
+                forceLocalReview: _forceLocalReview || null
             }), this.claudeLaunched(v), J.initializationResult().then((D) => {
                 q(D.pid ?? 0)
             }).catch(() => {
@@ -49699,9 +49713,13 @@ class S2 {
                     "mcp__claude-vscode__read_file": "Read",
                     "mcp__claude-vscode__write_file": "Write",
                     "mcp__claude-vscode__edit_file": "Edit",
+                    "mcp__claude-vscode__multi_edit": "MultiEdit",
+                    "mcp__claude-vscode__notebook_edit": "NotebookEdit",
                     "mcp__claude-vscode__glob": "Glob",
                     "mcp__claude-vscode__grep": "Grep",
-                    "mcp__claude-vscode__bash": "Bash"
+                    "mcp__claude-vscode__bash": "Bash",
+                    "mcp__claude-vscode__bash_output": "BashOutput",
+                    "mcp__claude-vscode__kill_shell": "KillShell"
                 };
                 var _transformForWebview = function(D) {
                     if (!isForceLocalMode()) return D;
@@ -49720,6 +49738,14 @@ class S2 {
                                         });
                                     } catch (_) {}
                                 }
+                                if (_transformed.input && _transformed.input.notebook_path) {
+                                    try {
+                                        var _rt_nb = require("./src/remote-tools");
+                                        _transformed.input = Object.assign({}, _transformed.input, {
+                                            notebook_path: _rt_nb.toRemotePath(_transformed.input.notebook_path)
+                                        });
+                                    } catch (_) {}
+                                }
                                 return _transformed;
                             }
                             return c;
@@ -49801,6 +49827,8 @@ class S2 {
             this.logger.warn(`Channel not found: ${v}`);
             return
         }
+        // --- forceLocal: kill this conversation's running remote commands too ---
+        if (z.remoteTools) z.remoteTools.interrupt();
         try {
             await z.query.interrupt(), this.logger.log(`Interrupted Claude for requestId: ${v}`)
         } catch (U) {
@@ -49829,6 +49857,12 @@ class S2 {
         });
         let V = this.channels.get(v);
         if (V) {
+            // --- forceLocal: drop this conversation's file records, pending edit overrides and review state ---
+            if (V.remoteTools) try {
+                V.remoteTools.dispose()
+            } catch (_e_cc) {
+                this.logger.warn(`forceLocal: error disposing remote tools for channel ${v}: ${_e_cc}`)
+            }
             V.in.done();
             try {
                 await V.query.return()
@@ -49841,6 +49875,8 @@ class S2 {
     transportMessage(v, z, U) {
         let V = this.channels.get(v);
         if (!V) throw Error(`Channel not found: ${v}`);
+        // --- forceLocal: start a remote file checkpoint for rewind_code ---
+        if (z.type === "user" && V.remoteTools && z.uuid) V.remoteTools.userMessage(z.uuid);
         if (z.type === "user") V.in.enqueue(z);
         if (U) V.in.done()
     }
@@ -50153,7 +50189,7 @@ class S2 {
                     content: await this.getTerminalContents(v.request.terminalName)
                 };
             case "open_diff":
-                return this.openDiff(v.request.originalFilePath, v.request.newFilePath, v.request.edits, v.request.supportMultiEdits || !1, z);
+                return this.openDiff(v.request.originalFilePath, v.request.newFilePath, v.request.edits, v.request.supportMultiEdits || !1, z, v.channelId);
             case "open_content":
                 return this.openContent(v.request.content, v.request.fileName, v.request.editable, z);
             case "open_markdown_preview":
@@ -50274,6 +50310,13 @@ class S2 {
             case "rewind_code": {
                 let U = v.channelId ? this.channels.get(v.channelId) : void 0;
                 if (!U) throw Error(`Channel not found: ${v.channelId}`);
+                // --- forceLocal: edits went through the remote tools, which keep their own checkpoints ---
+                if (U.remoteTools) return {
+                    type: "rewind_code_response",
+                    ...await U.remoteTools.rewind(v.request.userMessageId, {
+                        dryRun: v.request.dryRun
+                    })
+                };
                 return {
                     type: "rewind_code_response",
                     ...await U.query.rewindFiles(v.request.userMessageId, {
@@ -50551,6 +50594,8 @@ class S2 {
     async setPermissionMode(v, z) {
         let U = v ? this.channels.get(v) : void 0;
         if (!U) throw Error(`Channel not found: ${v}`);
+        // --- forceLocal: remote edit reviews follow the channel's permission mode ---
+        if (U.forceLocalReview) U.forceLocalReview.permMode = z;
         try {
             return await U.query.setPermissionMode(z), {
                 type: "set_permission_mode_response",
@@ -55202,19 +55247,20 @@ function kU6({
         lines: K.lines.map(uU6)
     }))
 }
-async function RY(v, z, U, V, N, K, x, j, B) {
+async function RY(v, z, U, V, N, K, x, j, B, _channelId_ry) {
     // --- original code ---
     let O = V.split("/").pop() || V,
         J = N.split("/").pop() || N,
         H = `✻ [Claude Code] ${O===J?O:`${O} → ${J}`}`;
     v.info("diff from", V, "to", N, "as", H);
     let D, A = "";
+    var _rt_ry = null;
     if (isForceLocalMode()) {
         try {
-            var _rt_ry = require("./src/remote-tools");
+            _rt_ry = require("./src/remote-tools");
             var _remUri_ry = _rt_ry.getRemoteUri(V);
-            var _remData_ry = await a0.workspace.fs.readFile(_remUri_ry);
-            A = Buffer.from(_remData_ry).toString("utf8");
+            // Same text the MCP tools edit: decoded in the file's encoding, LF line endings
+            A = await _rt_ry.readRemoteText(_remUri_ry, _rt_ry.toRemotePath(V));
             D = z.createFile(V, A).uri;
         } catch (_e_ry) {
             v.info("forceLocal: RY remote read failed", V, _e_ry.message || _e_ry);
@@ -55231,8 +55277,14 @@ async function RY(v, z, U, V, N, K, x, j, B) {
             v.info("leftTempFileProvider.createFile", V), D = z.createFile(V, "").uri
         }
     }
-    let w = GY(A, K),
-        $ = U.createFile(N, w).uri,
+    // --- forceLocal: match edits and the trailing newline the way the remote tools do, so CRLF files don't diff as all-changed ---
+    if (_rt_ry) K = K.map((_e) => Object.assign({}, _e, {
+        oldString: _rt_ry.normalizeLineEndings(_e.oldString),
+        newString: _rt_ry.normalizeLineEndings(_e.newString)
+    }));
+    let w = GY(A, K);
+    if (_rt_ry) w = _rt_ry.matchTrailingNewline(A, w);
+    let $ = U.createFile(N, w).uri,
         F = await a0.workspace.openTextDocument($);
     if (await mU6(v, D, $) > 0) await new Promise((F6) => setTimeout(F6, 200));
     let G = [],
@@ -55266,7 +55318,8 @@ async function RY(v, z, U, V, N, K, x, j, B) {
                 if (isForceLocalMode() && _userText !== w) {
                     try {
                         var _rt_acc = require("./src/remote-tools");
-                        _rt_acc.setEditOverride(_rt_acc.toRemotePath(N), _userText);
+                        // Tagged with the channel that asked for this diff, see consumeEditOverride()
+                        _rt_acc.setEditOverride(_channelId_ry, _rt_acc.toRemotePath(N), _userText);
                         v.info("forceLocal: user modified diff, stored override for", N);
                     } catch (_e_acc) {}
                 }
@@ -55504,7 +55557,8 @@ class xA {
     }
     extractFilePath(v) {
         if (v.hook_event_name === "PreToolUse" || v.hook_event_name === "PostToolUse") {
-            if (v.tool_name === "Edit" || v.tool_name === "MultiEdit" || v.tool_name === "Write") return v.tool_input?.file_path
+            if (v.tool_name === "Edit" || v.tool_name === "MultiEdit" || v.tool_name === "Write") return v.tool_input?.file_path;
+            if (v.tool_name === "NotebookEdit") return v.tool_input?.notebook_path
         }
         return
     }
@@ -70469,8 +70523,12 @@ class IJ extends S2 {
                 "mcp__claude-vscode__glob",
                 "mcp__claude-vscode__grep",
                 "mcp__claude-vscode__bash",
+                "mcp__claude-vscode__bash_output",
+                "mcp__claude-vscode__kill_shell",
                 "mcp__claude-vscode__write_file",
-                "mcp__claude-vscode__edit_file"
+                "mcp__claude-vscode__edit_file",
+                "mcp__claude-vscode__multi_edit",
+                "mcp__claude-vscode__notebook_edit"
             ];
             // Review mode logic is handled inside the MCP tool handlers themselves
             // (remote-tools.js), so all tools are always auto-approved here.
@@ -70480,28 +70538,31 @@ class IJ extends S2 {
                 if (_a.tool_name && _a.tool_name.startsWith("mcp__claude-vscode__")) {
                     var _n = _a.tool_name.replace("mcp__claude-vscode__", "");
                     if (_n === "edit_file") _a.tool_name = "Edit";
+                    else if (_n === "multi_edit") _a.tool_name = "MultiEdit";
+                    else if (_n === "notebook_edit") _a.tool_name = "NotebookEdit";
                     else if (_n === "write_file") _a.tool_name = "Write";
                     else if (_n === "read_file") _a.tool_name = "Read";
                 }
-                if (_a.tool_input && _a.tool_input.file_path) {
+                ["file_path", "notebook_path"].forEach(function(_k) {
+                    if (!_a.tool_input || !_a.tool_input[_k]) return;
                     try {
                         var _rt = require("./src/remote-tools");
-                        var _remUri = _rt.getRemoteUri(_a.tool_input.file_path);
-                        _a.tool_input = Object.assign({}, _a.tool_input, { file_path: _remUri.toString(true) });
+                        var _remUri = _rt.getRemoteUri(_a.tool_input[_k]);
+                        _a.tool_input = Object.assign({}, _a.tool_input, { [_k]: _remUri.toString(true) });
                     } catch(_e) {}
-                }
+                });
                 return _a;
             };
             q.hooks.PreToolUse.push({
-                matcher: "mcp__claude-vscode__edit_file|mcp__claude-vscode__write_file",
+                matcher: "mcp__claude-vscode__edit_file|mcp__claude-vscode__multi_edit|mcp__claude-vscode__notebook_edit|mcp__claude-vscode__write_file",
                 hooks: [(F) => O.captureBaseline(_adaptMcpEvent(F))]
             });
             q.hooks.PreToolUse.push({
-                matcher: "mcp__claude-vscode__edit_file|mcp__claude-vscode__write_file|mcp__claude-vscode__read_file",
+                matcher: "mcp__claude-vscode__edit_file|mcp__claude-vscode__multi_edit|mcp__claude-vscode__notebook_edit|mcp__claude-vscode__write_file|mcp__claude-vscode__read_file",
                 hooks: [(F) => this.saveFileIfNeeded(_adaptMcpEvent(F))]
             });
             q.hooks.PostToolUse.push({
-                matcher: "mcp__claude-vscode__edit_file|mcp__claude-vscode__write_file",
+                matcher: "mcp__claude-vscode__edit_file|mcp__claude-vscode__multi_edit|mcp__claude-vscode__notebook_edit|mcp__claude-vscode__write_file",
                 hooks: [(F) => O.findDiagnosticsProblems(_adaptMcpEvent(F))]
             });
             this.output.info("forceLocal: CLI will run locally, built-in file tools disabled, MCP hooks added");
@@ -70724,10 +70785,10 @@ class IJ extends S2 {
             type: "close_plan_preview_response"
         }
     }
-    async openDiff(v, z, U, V, N) {
+    async openDiff(v, z, U, V, N, K) {
         return {
             type: "open_diff_response",
-            newEdits: await RY(this.output, this.leftTempFileProvider, this.rightTempFileProvider, v, z, U, V, this.acceptOrRejectDiffs, N)
+            newEdits: await RY(this.output, this.leftTempFileProvider, this.rightTempFileProvider, v, z, U, V, this.acceptOrRejectDiffs, N, K)
         }
     }
     async openURL(v) {
@@ -71114,10 +71175,10 @@ class IJ extends S2 {
         if (v.hook_event_name !== "PreToolUse") return {
             continue: !0
         };
-        if (v.tool_name !== "Edit" && v.tool_name !== "Write" && v.tool_name !== "Read") return {
+        if (v.tool_name !== "Edit" && v.tool_name !== "Write" && v.tool_name !== "Read" && v.tool_name !== "NotebookEdit") return {
             continue: !0
         };
-        let z = v.tool_input?.file_path,
+        let z = v.tool_input?.file_path ?? v.tool_input?.notebook_path,
             U = zj(z);
         try {
             let V = await z6.workspace.openTextDocument(U);
@@ -73868,7 +73929,7 @@ async function UA6(v, z, U = !0, V, N = [], K) {
         ];
         var _flDiffMode = C0.workspace.getConfiguration("claudeCode").get("forceLocalDiffMode", "auto");
         if (_flDiffMode !== "review") {
-            _flAllowed.push("mcp__claude-vscode__write_file", "mcp__claude-vscode__edit_file");
+            _flAllowed.push("mcp__claude-vscode__write_file", "mcp__claude-vscode__edit_file", "mcp__claude-vscode__multi_edit", "mcp__claude-vscode__notebook_edit");
         }
         _flCliArgs.push("--allowed-tools", ..._flAllowed);
         if (V) _flCliArgs.push(V); // append prompt if provided
@@ -74404,6 +74465,21 @@ function NA6(v) {
     })), v.subscriptions.push(L6.commands.registerCommand("claude-vscode.newConversation", async () => {
         J.notifyCreateNewConversation()
     }));
+    // --- forceLocal: "Claude Remote Changes" view of the remote files each conversation changed ---
+    if (isForceLocalMode()) try {
+        require("./src/change-set-view").registerChangeSetView(v, {
+            logger: z,
+            // Diffs go through the webview host that owns the conversation (openFileDiffs resolves remote URIs)
+            openFileDiffs: ($, F) => {
+                let L = Array.from(J.allComms),
+                    _owner = L.find((_c) => _c.channels.has($)) || L[0];
+                if (!_owner) throw Error("Open Claude Code to view changes");
+                return _owner.openFileDiffs(F)
+            }
+        })
+    } catch (_e_cs) {
+        z.warn("forceLocal: could not register the remote changes view:", _e_cs.message || _e_cs)
+    }
     let w = L6.window.createStatusBarItem(L6.StatusBarAlignment.Right);
     if (w.text = "✻ Claude Code", w.command = "claude-vscode.editor.openLast", w.tooltip = "Open Claude Code", v.subscriptions.push(w), U.getPreferredLocation() === "sidebar" && A) w.show();
     if (v.subscriptions.push(L6.commands.registerCommand("claude-vscode.sidebar.open", async () => {
@@ -74522,6 +74598,10 @@ function BA6(v) {
 }
 
 function OA6() {
+    // --- forceLocal: close shared SSH connections and other remote-tools resources ---
+    try {
+        require("./src/remote-tools").dispose()
+    } catch (_) {}
     console.log("Claude code extension is now deactivated"), Yi = !1
 }
 
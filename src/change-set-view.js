@@ -0,0 +1,147 @@
+// change-set-view.js — "Claude Remote Changes" view: the remote files each conversation changed
+// Used in "force local" mode, where Claude's edits go through the MCP tools in remote-tools.js.
+// Lists every file a conversation wrote whose content now differs from before the
+// conversation (its first checkpoint), with line counts. A file opens as a diff against
+// that baseline through the webview host's openFileDiffs(); it can also be reverted.
+
+"use strict";
+
+const vscode = require("vscode");
+const path = require("path");
+const remoteTools = require("./remote-tools");
+
+const VIEW_ID = "claudeRemoteChanges";
+const REFRESH_DELAY = 300; // writes come in bursts (multi-file edits); reading them all back once is enough
+
+const STATUS_LABELS = { added: "new", deleted: "deleted", modified: "" };
+
+class RemoteChangesProvider {
+    constructor() {
+        this._onDidChangeTreeData = new vscode.EventEmitter();
+        this.onDidChangeTreeData = this._onDidChangeTreeData.event;
+        this.changes = []; // from remoteTools.changedFiles() at the last getChildren()
+        this.conversations = new Map(); // conversationId → number shown in its label, in the order first seen
+        this.timer = null;
+    }
+
+    refresh() {
+        if (this.timer) return;
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this._onDidChangeTreeData.fire();
+        }, REFRESH_DELAY);
+    }
+
+    async getChildren(element) {
+        if (element) return element.children || [];
+        this.changes = await remoteTools.changedFiles();
+        const groups = new Map();
+        for (const change of this.changes) {
+            if (!this.conversations.has(change.conversationId)) this.conversations.set(change.conversationId, this.conversations.size + 1);
+            if (!groups.has(change.conversationId)) groups.set(change.conversationId, []);
+            groups.get(change.conversationId).push(change);
+        }
+        // One conversation: just its files; several: a node per conversation
+        if (groups.size === 1) return Array.from(groups.values())[0].map(fileNode);
+        return Array.from(groups, ([conversationId, changes]) => ({
+            kind: "conversation",
+            conversationId,
+            number: this.conversations.get(conversationId),
+            children: changes.map(fileNode)
+        }));
+    }
+
+    getTreeItem(node) {
+        if (node.kind === "conversation") {
+            const item = new vscode.TreeItem(`Conversation ${node.number}`, vscode.TreeItemCollapsibleState.Expanded);
+            item.description = `${node.children.length} file${node.children.length === 1 ? "" : "s"}`;
+            item.contextValue = "remoteChangeSet";
+            item.iconPath = new vscode.ThemeIcon("comment-discussion");
+            return item;
+        }
+        const { remotePath, status, insertions, deletions } = node.change;
+        const item = new vscode.TreeItem(path.posix.basename(remotePath), vscode.TreeItemCollapsibleState.None);
+        let dir = path.posix.dirname(remotePath);
+        try {
+            const root = remoteTools.getRemoteCwd();
+            if (dir === root) dir = "";
+            else if (dir.startsWith(root + "/")) dir = dir.slice(root.length + 1);
+        } catch (_) {}
+        item.description = [dir, `+${insertions} −${deletions}`, STATUS_LABELS[status]].filter(Boolean).join("  ");
+        item.tooltip = `${remotePath}${STATUS_LABELS[status] ? ` (${STATUS_LABELS[status]})` : ""}\n+${insertions} −${deletions} lines since before the conversation`;
+        item.resourceUri = remoteTools.getRemoteUri(remotePath);
+        item.contextValue = "remoteChange";
+        item.command = { command: "claude-vscode.remoteChanges.openDiff", title: "Open Changes", arguments: [node] };
+        return item;
+    }
+
+    dispose() {
+        if (this.timer) clearTimeout(this.timer);
+        this.timer = null;
+        this._onDidChangeTreeData.dispose();
+    }
+}
+
+function fileNode(change) {
+    return { kind: "file", conversationId: change.conversationId, change };
+}
+
+/**
+ * Register the view and its commands.
+ * openFileDiffs(conversationId, { diffs, title }) opens a multi-file diff through the
+ * webview host that owns the conversation (its openFileDiffs() resolves remote URIs).
+ */
+function registerChangeSetView(context, { openFileDiffs, logger }) {
+    const provider = new RemoteChangesProvider();
+    const view = vscode.window.createTreeView(VIEW_ID, { treeDataProvider: provider, showCollapseAll: false });
+    context.subscriptions.push(provider, view, remoteTools.onDidChangeChangeSets(() => provider.refresh()));
+    vscode.commands.executeCommand("setContext", "claude-vscode.remoteChangesAvailable", true);
+
+    // All changed files of one conversation (or of every conversation) in one multi-file diff each
+    const openDiffs = async (changes, title) => {
+        const byConversation = new Map();
+        for (const change of changes) {
+            if (!byConversation.has(change.conversationId)) byConversation.set(change.conversationId, {});
+            byConversation.get(change.conversationId)[change.remotePath] = await remoteTools.changeContents(change.conversationId, change.remotePath);
+        }
+        for (const [conversationId, diffs] of byConversation) {
+            const number = provider.conversations.get(conversationId);
+            const suffix = byConversation.size > 1 || provider.conversations.size > 1 ? ` (Conversation ${number})` : "";
+            await openFileDiffs(conversationId, { diffs, title: title + suffix });
+        }
+    };
+
+    const run = (fn) => async (...args) => {
+        try {
+            await fn(...args);
+        } catch (err) {
+            if (logger) logger.warn("forceLocal: remote changes: " + (err.message || err));
+            vscode.window.showErrorMessage(err.message || String(err));
+        }
+    };
+
+    context.subscriptions.push(
+        vscode.commands.registerCommand("claude-vscode.remoteChanges.refresh", () => provider.refresh()),
+        vscode.commands.registerCommand("claude-vscode.remoteChanges.openDiff", run(async (node) => {
+            await openDiffs([node.change], `${path.posix.basename(node.change.remotePath)} since before the conversation`);
+        })),
+        vscode.commands.registerCommand("claude-vscode.remoteChanges.openAll", run(async (node) => {
+            const changes = node && node.kind === "conversation" ? node.children.map((child) => child.change) : await remoteTools.changedFiles();
+            if (changes.length === 0) {
+                vscode.window.showInformationMessage("Claude hasn't changed any remote files in the open conversations.");
+                return;
+            }
+            await openDiffs(changes, "Claude's remote changes");
+        })),
+        vscode.commands.registerCommand("claude-vscode.remoteChanges.revert", run(async (node) => {
+            const { conversationId, remotePath, status } = node.change;
+            const what = status === "added" ? "Delete it, since Claude created it" : "Put it back as it was before the conversation changed it";
+            const choice = await vscode.window.showWarningMessage(`Revert ${remotePath}?`, { modal: true, detail: `${what}. This can't be undone.` }, "Revert");
+            if (choice !== "Revert") return;
+            await remoteTools.revertChange(conversationId, remotePath);
+        }))
+    );
+    return provider;
+}
+
+module.exports = { registerChangeSetView, RemoteChangesProvider };
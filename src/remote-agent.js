@@ -0,0 +1,143 @@
+// remote-agent.js — companion process that runs on the REMOTE server
+// Launched by remote-tools.js inside a hidden VS Code terminal (i.e. over the existing
+// Remote-SSH connection) using the node binary that ships with the VS Code server.
+// It spawns commands directly and streams their output back, so no temp files or
+// polling are needed.
+//
+// Protocol: newline-delimited messages, each one base64-encoded JSON.
+//   stdin  (requests):      <base64 JSON>\r
+//   stdout (notifications): @@claude-agent@@<base64 JSON>\n
+//
+//   → { method: "exec", params: { id, command, cwd } }
+//   → { method: "kill", params: { id, signal, graceMs } }   graceMs: follow up with SIGKILL
+//   ← { method: "ready",   params: { pid, version } }
+//   ← { method: "started", params: { id, pid } }             pid is also the process group id
+//   ← { method: "output",  params: { id, stream: "stdout" | "stderr", data } }
+//   ← { method: "exit",    params: { id, code, signal, error, escalated } }
+//
+// This file must stay self-contained: it is copied to the remote and run there.
+
+"use strict";
+
+const { spawn } = require("child_process");
+const fs = require("fs");
+
+const VERSION = 2;
+const PREFIX = "@@claude-agent@@";
+
+const children = new Map(); // id → ChildProcess
+
+// The script is uploaded to a temp path just for this launch; remove it once loaded.
+try { fs.unlinkSync(__filename); } catch (_) {}
+
+function send(method, params) {
+    const payload = Buffer.from(JSON.stringify({ method, params }), "utf8").toString("base64");
+    process.stdout.write(PREFIX + payload + "\n");
+}
+
+// spawn() reports a missing cwd as "spawn /bin/sh ENOENT", which reads like a missing command
+function cwdProblem(cwd) {
+    if (!cwd) return null;
+    try {
+        return fs.statSync(cwd).isDirectory() ? null : `working directory is not a directory: ${cwd}`;
+    } catch (err) {
+        return `working directory does not exist: ${cwd}`;
+    }
+}
+
+function handleExec({ id, command, cwd }) {
+    const problem = cwdProblem(cwd);
+    if (problem) {
+        send("exit", { id, code: 1, signal: null, error: problem });
+        return;
+    }
+    let child;
+    try {
+        // detached → the command gets its own process group, so kill() reaches its children
+        child = spawn("/bin/sh", ["-c", command], {
+            cwd: cwd || undefined,
+            detached: true,
+            stdio: ["ignore", "pipe", "pipe"]
+        });
+    } catch (err) {
+        send("exit", { id, code: 1, signal: null, error: err.message });
+        return;
+    }
+    children.set(id, child);
+    send("started", { id, pid: child.pid });
+
+    // setEncoding keeps multibyte characters that straddle two chunks intact
+    child.stdout.setEncoding("utf8");
+    child.stderr.setEncoding("utf8");
+    child.stdout.on("data", (data) => send("output", { id, stream: "stdout", data }));
+    child.stderr.on("data", (data) => send("output", { id, stream: "stderr", data }));
+    child.on("error", (err) => {
+        if (!children.has(id)) return;
+        children.delete(id);
+        const problem = err.code === "ENOENT" ? cwdProblem(cwd) : null; // cwd removed since the check
+        send("exit", { id, code: err.code === "ENOENT" && !problem ? 127 : 1, signal: null, error: problem || err.message });
+    });
+    child.on("close", (code, signal) => {
+        if (!children.has(id)) return;
+        children.delete(id);
+        send("exit", { id, code, signal, error: null, escalated: !!child.escalated });
+    });
+}
+
+function killGroup(child, signal) {
+    try {
+        process.kill(-child.pid, signal);
+    } catch (_) {
+        try { child.kill(signal); } catch (_) {}
+    }
+}
+
+function handleKill({ id, signal, graceMs }) {
+    const child = children.get(id);
+    if (!child) return;
+    killGroup(child, signal || "SIGTERM");
+    if (graceMs > 0 && !child.killTimer) {
+        // Escalate if the command (or anything left in its group) ignores the first signal
+        child.killTimer = setTimeout(() => {
+            if (children.has(id)) child.escalated = true;
+            killGroup(child, "SIGKILL");
+        }, graceMs);
+        child.killTimer.unref();
+    }
+}
+
+function handleLine(line) {
+    // Strip bracketed-paste markers in case the terminal wrapped our input
+    line = line.replace(/\x1b\[20[01]~/g, "").trim();
+    if (!line) return;
+    let msg;
+    try {
+        msg = JSON.parse(Buffer.from(line, "base64").toString("utf8"));
+    } catch (_) {
+        return; // ignore noise (e.g. stray input typed into the terminal)
+    }
+    if (msg.method === "exec") handleExec(msg.params);
+    else if (msg.method === "kill") handleKill(msg.params);
+}
+
+function shutdown() {
+    for (const id of children.keys()) handleKill({ id, signal: "SIGKILL" });
+    process.exit(0);
+}
+
+// Raw mode: no echo, no line-length limit, and Ctrl-C etc. are not interpreted by the tty
+if (process.stdin.isTTY) process.stdin.setRawMode(true);
+
+let buffered = "";
+process.stdin.setEncoding("utf8");
+process.stdin.on("data", (d) => {
+    buffered += d;
+    const lines = buffered.split(/[\r\n]/);
+    buffered = lines.pop();
+    for (const line of lines) handleLine(line);
+});
+process.stdin.on("end", shutdown);
+process.on("SIGHUP", shutdown);
+process.on("SIGTERM", shutdown);
+
+send("ready", { pid: process.pid, version: VERSION });
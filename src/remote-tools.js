@@ -2,56 +2,854 @@
 // Used in "force local" mode when the extension runs locally but files are on a remote machine.
 
 const vscode = require("vscode");
-const { spawn } = require("child_process");
+const { spawn, execFile } = require("child_process");
 const path = require("path");
 const os = require("os");
 const fs = require("fs");
+const crypto = require("crypto");
+const textEncoding = require("./text-encoding");
 
 // ---------------------------------------------------------------------------
-// Write cache — tracks recent writes to avoid stale FS reads
+// Remote file cache — decoded text of files recently read or written, one
+// cache per workspace, shared by all conversations. Each entry carries the
+// version (mtime, size) it was read at. A file watcher on the remote
+// workspace and every bash command mark entries for a recheck; a recheck is
+// one stat, and a version that still matches is served without fetching the
+// file again. Files the watcher can't see (outside the workspace, or in
+// files.watcherExclude) are rechecked on every read, as is everything while
+// a bash command is running.
 // ---------------------------------------------------------------------------
 
-const _writeCache = new Map(); // remotePath → { content, timestamp }
-const WRITE_CACHE_TTL = 10000; // 10 seconds
+const FILE_CACHE_MAX_BYTES = 32 * 1024 * 1024;
+const FILE_CACHE_MAX_FILE_BYTES = 4 * 1024 * 1024;
+
+const _fileCaches = new Map(); // "host:root" → RemoteFileCache
+let _runningCommands = 0;      // bash commands (foreground or background) that may be changing files
+
+// Minimal glob → RegExp for files.watcherExclude patterns: **, *, ? and {a,b}
+function globToRegExp(glob) {
+    let re = "";
+    for (let i = 0; i < glob.length; i++) {
+        const c = glob[i];
+        if (c === "*" && glob[i + 1] === "*") {
+            const slash = glob[i + 2] === "/";
+            re += slash ? "(?:.*/)?" : ".*";
+            i += slash ? 2 : 1;
+        } else if (c === "*") {
+            re += "[^/]*";
+        } else if (c === "?") {
+            re += "[^/]";
+        } else if (c === "{") {
+            re += "(?:";
+        } else if (c === "}") {
+            re += ")";
+        } else if (c === "," && re.lastIndexOf("(?:") > re.lastIndexOf(")")) {
+            re += "|";
+        } else {
+            re += c.replace(/[.+^$()|[\]\\]/g, "\\$&");
+        }
+    }
+    return new RegExp(`^${re}$`);
+}
+
+class RemoteFileCache {
+    // excludes: RegExps for paths the watcher ignores; isQuiet(): no bash command is running
+    constructor(root, { excludes = [], isQuiet = () => true } = {}) {
+        this.root = root.replace(/\/+$/, "") || "/";
+        this.excludes = excludes;
+        this.isQuiet = isQuiet;
+        this.watching = false;
+        this.entries = new Map(); // remotePath → { mtime, size, hash, text, checked }; oldest first
+        this.bytes = 0;
+    }
+
+    // Whether watcher events arrive for remotePath
+    watches(remotePath) {
+        if (!this.watching) return false;
+        const prefix = this.root === "/" ? "/" : this.root + "/";
+        if (!remotePath.startsWith(prefix)) return false;
+        const relative = remotePath.slice(prefix.length);
+        return !this.excludes.some((re) => re.test(relative) || re.test(remotePath));
+    }
+
+    // The entry, if it can be served without asking the remote
+    trusted(remotePath) {
+        const entry = this.entries.get(remotePath);
+        if (!entry || !entry.checked || !this.isQuiet() || !this.watches(remotePath)) return null;
+        this.touch(remotePath, entry);
+        return entry;
+    }
+
+    // The entry, if it is the version stat describes
+    validate(remotePath, stat) {
+        const entry = this.entries.get(remotePath);
+        if (!entry) return null;
+        if (entry.mtime !== stat.mtime || entry.size !== stat.size) {
+            this.remove(remotePath);
+            return null;
+        }
+        entry.checked = true;
+        this.touch(remotePath, entry);
+        return entry;
+    }
+
+    put(remotePath, { mtime, size, hash, text }) {
+        const entry = { mtime, size, hash, text, checked: true };
+        this.remove(remotePath);
+        if (size > FILE_CACHE_MAX_FILE_BYTES) return entry;
+        this.entries.set(remotePath, entry);
+        this.bytes += size;
+        for (const [oldest, old] of this.entries) {
+            if (this.bytes <= FILE_CACHE_MAX_BYTES) break;
+            this.entries.delete(oldest);
+            this.bytes -= old.size;
+        }
+        return entry;
+    }
+
+    touch(remotePath, entry) {
+        this.entries.delete(remotePath);
+        this.entries.set(remotePath, entry);
+    }
+
+    // A watcher event or a command may have changed the file: recheck before serving it
+    invalidate(remotePath) {
+        const entry = this.entries.get(remotePath);
+        if (entry) entry.checked = false;
+    }
+
+    invalidateAll() {
+        for (const entry of this.entries.values()) entry.checked = false;
+    }
+
+    remove(remotePath) {
+        const entry = this.entries.get(remotePath);
+        if (!entry) return;
+        this.entries.delete(remotePath);
+        this.bytes -= entry.size;
+    }
+
+    dispose() {
+        if (this.watcher) this.watcher.dispose();
+        this.watcher = null;
+        this.watching = false;
+        this.entries.clear();
+        this.bytes = 0;
+    }
+}
+
+// The current workspace's cache, watching the remote folder from first use
+function getFileCache() {
+    const root = getRemoteCwd();
+    const key = `${getSshHost()}:${root}`;
+    let cache = _fileCaches.get(key);
+    if (cache) return cache;
+
+    const exclude = vscode.workspace.getConfiguration("files").get("watcherExclude", {}) || {};
+    const excludes = Object.keys(exclude).filter((glob) => exclude[glob]).map(globToRegExp);
+    cache = new RemoteFileCache(root, { excludes, isQuiet: () => _runningCommands === 0 });
+    try {
+        const watcher = vscode.workspace.createFileSystemWatcher(new vscode.RelativePattern(getRemoteUri(root), "**/*"));
+        watcher.onDidChange((uri) => cache.invalidate(uri.path));
+        watcher.onDidCreate((uri) => cache.invalidate(uri.path));
+        watcher.onDidDelete((uri) => {
+            cache.remove(uri.path);
+            _fileFormats.delete(uri.path); // a file recreated there is read (or written) afresh
+        });
+        cache.watcher = watcher;
+        cache.watching = true;
+    } catch (err) {
+        if (_logger) _logger.warn("forceLocal: no file watcher for the remote workspace, cached files are rechecked on every read: " + (err.message || err));
+    }
+    _fileCaches.set(key, cache);
+    return cache;
+}
 
-function cacheWrite(remotePath, content) {
-    _writeCache.set(remotePath, { content, timestamp: Date.now() });
+// Bracket a bash command: while any runs, cached files are rechecked; afterwards all of them are
+function commandStarted() {
+    _runningCommands++;
 }
 
-function getCachedWrite(remotePath) {
-    const entry = _writeCache.get(remotePath);
-    if (!entry) return null;
-    if (Date.now() - entry.timestamp > WRITE_CACHE_TTL) {
-        _writeCache.delete(remotePath);
-        return null;
+function commandFinished() {
+    _runningCommands = Math.max(0, _runningCommands - 1);
+    for (const cache of _fileCaches.values()) cache.invalidateAll();
+}
+
+function hashBytes(data) {
+    return crypto.createHash("sha256").update(data).digest("hex");
+}
+
+/**
+ * The current version of a text file, { mtime, size, hash, text }: from the
+ * cache when it is known to be current, else fetched and cached. Pass stat if
+ * the caller already has it.
+ */
+async function readTextVersion(uri, remotePath, stat) {
+    const cache = getFileCache();
+    const trusted = cache.trusted(remotePath);
+    if (trusted) return trusted;
+    stat = stat || await vscode.workspace.fs.stat(uri);
+    const valid = cache.validate(remotePath, stat);
+    if (valid) return valid;
+    const data = Buffer.from(await vscode.workspace.fs.readFile(uri));
+    return cache.put(remotePath, {
+        mtime: stat.mtime, size: data.length, hash: hashBytes(data), text: decodeRemoteText(data, uri, remotePath)
+    });
+}
+
+// ---------------------------------------------------------------------------
+// File tracking — per conversation, the version of each file it last read or
+// wrote (mtime, size, content hash). Edits check it and fail when a teammate
+// or a running job changed the file since, instead of silently overwriting
+// their changes.
+// ---------------------------------------------------------------------------
+
+function createFileTracker() {
+    const files = new Map(); // remotePath → { mtime, size, hash }
+    return {
+        get: (remotePath) => files.get(remotePath) || null,
+        // hash is null when only part of the file was read
+        record(remotePath, { mtime, size, hash = null }) {
+            files.set(remotePath, { mtime, size, hash });
+        },
+        // The file is gone: whatever the conversation read of it no longer matters, so it may be recreated
+        forget(remotePath) {
+            files.delete(remotePath);
+        },
+        dispose() {
+            files.clear();
+        }
+    };
+}
+
+function isNotFound(err) {
+    return !!err && (err.code === "FileNotFound" || err.code === "ENOENT");
+}
+
+function staleFileError(remotePath, stat) {
+    const now = stat ? `it is now ${formatBytes(stat.size)}, modified ${new Date(stat.mtime).toISOString()}` : "it has been deleted";
+    return new Error(`${remotePath} changed on the remote since it was last read (${now}). ` +
+        "Someone else or a running job may have edited it. Read it again with read_file, then redo the edit against the current content.");
+}
+
+// Current text of a file about to be edited; throws if it changed since this conversation last read or wrote it
+async function readForEdit(uri, remotePath, tracker) {
+    let current;
+    try {
+        current = await readTextVersion(uri, remotePath);
+    } catch (err) {
+        if (isNotFound(err)) tracker.forget(remotePath);
+        throw err;
+    }
+    const entry = tracker.get(remotePath);
+    if (entry) {
+        const unchanged = entry.hash !== null
+            ? entry.hash === current.hash
+            : entry.mtime === current.mtime && entry.size === current.size;
+        if (!unchanged) throw staleFileError(remotePath, current);
+    }
+    tracker.record(remotePath, current);
+    return current.text;
+}
+
+// Right before writing (a review can take minutes): throw if the file changed after readForEdit
+async function ensureUnchanged(uri, remotePath, tracker) {
+    const entry = tracker.get(remotePath);
+    if (!entry) return;
+    const trusted = getFileCache().trusted(remotePath);
+    if (trusted && trusted.mtime === entry.mtime && trusted.size === entry.size) return;
+    let stat;
+    try {
+        stat = await vscode.workspace.fs.stat(uri);
+    } catch (err) {
+        if (isNotFound(err)) throw staleFileError(remotePath, null);
+        throw err;
+    }
+    if (stat.mtime === entry.mtime && stat.size === entry.size) return;
+    // Touched but not changed is fine
+    if (entry.hash !== null && stat.size === entry.size) {
+        const current = await readTextVersion(uri, remotePath, stat);
+        if (current.hash === entry.hash) {
+            entry.mtime = stat.mtime;
+            return;
+        }
+    }
+    throw staleFileError(remotePath, stat);
+}
+
+// ---------------------------------------------------------------------------
+// File encodings and line endings — text files are decoded the way VS Code
+// would (BOM, then files.encoding / files.autoGuessEncoding), and the tools
+// see them with LF line endings. Writes go back in the encoding the file was
+// read in, BOM included, with its dominant line ending. A write the encoding
+// can't hold fails instead of turning characters into "?".
+// ---------------------------------------------------------------------------
+
+const _fileFormats = new Map(); // remotePath → { encoding, bom, lossy, eol }
+
+function encodingSettings(uri) {
+    const files = vscode.workspace.getConfiguration("files", uri);
+    return {
+        encoding: files.get("encoding", "utf8"),
+        autoGuess: files.get("autoGuessEncoding", false),
+        candidates: files.get("candidateGuessEncodings", []),
+        eol: files.get("eol", "auto") === "\r\n" ? "\r\n" : "\n" // "auto" means the remote's: LF
+    };
+}
+
+function normalizeLineEndings(text) {
+    return typeof text === "string" ? text.replace(/\r\n/g, "\n") : text;
+}
+
+// "\r\n" if most line breaks are CRLF, "\n" if most are LF, null without line breaks
+function dominantEol(text) {
+    const crlf = (text.match(/\r\n/g) || []).length;
+    const lf = (text.match(/\n/g) || []).length - crlf;
+    if (crlf === 0 && lf === 0) return null;
+    return crlf > lf ? "\r\n" : "\n";
+}
+
+// Keep whether the file ends with a line break, so an edit or rewrite doesn't add or drop it as a side effect
+function matchTrailingNewline(oldText, newText) {
+    if (!oldText || !newText) return newText;
+    const had = oldText.endsWith("\n");
+    if (had && !newText.endsWith("\n")) return newText + "\n";
+    if (!had && newText.endsWith("\n")) return newText.slice(0, -1);
+    return newText;
+}
+
+function decodeRemoteText(data, uri, remotePath) {
+    const settings = encodingSettings(uri);
+    const decoded = textEncoding.decodeText(data, settings);
+    _fileFormats.set(remotePath, {
+        encoding: decoded.encoding, bom: decoded.bom, lossy: decoded.lossy,
+        eol: dominantEol(decoded.text) || settings.eol
+    });
+    return normalizeLineEndings(decoded.text);
+}
+
+// Text of a remote file, LF line endings
+async function readRemoteText(uri, remotePath) {
+    return (await readTextVersion(uri, remotePath)).text;
+}
+
+// How a file is stored: as last read, or the files.* settings for a file not read yet (a new one)
+function fileFormat(uri, remotePath) {
+    const known = _fileFormats.get(remotePath);
+    if (known) return known;
+    const { encoding, eol } = encodingSettings(uri);
+    return { encoding: textEncoding.isSupported(encoding) ? encoding : "utf8", bom: false, lossy: false, eol };
+}
+
+// Bytes to write for text, in the file's encoding and line ending; throws if that would lose characters
+function encodeRemoteText(uri, remotePath, text) {
+    const info = fileFormat(uri, remotePath);
+    const label = textEncoding.encodingLabel(info.encoding, info.bom);
+    if (info.lossy) {
+        throw new Error(`${remotePath} is not valid ${label} and its encoding could not be determined, so writing it ` +
+            "would corrupt the bytes that didn't decode. Set files.encoding for it (or enable files.autoGuessEncoding) and read it again, " +
+            "or change it with bash.");
+    }
+    let out = normalizeLineEndings(text);
+    if (info.eol === "\r\n") out = out.replace(/\n/g, "\r\n");
+    const { data, unencodable } = textEncoding.encodeText(out, info);
+    if (unencodable.length > 0) {
+        const where = unencodable.map(({ char, index }) => {
+            const line = out.slice(0, index).split("\n").length;
+            return `${JSON.stringify(char)} (U+${char.codePointAt(0).toString(16).toUpperCase().padStart(4, "0")}, line ${line})`;
+        });
+        throw new Error(`${remotePath} is saved as ${label}, which cannot represent ${where.join(", ")}` +
+            `${unencodable.length >= 20 ? " and more" : ""}. Use characters ${label} has, or convert the file ` +
+            "(e.g. with iconv) and read it again. Nothing was written.");
+    }
+    return data;
+}
+
+/**
+ * Write text in the file's encoding and line ending, through symlinks, keeping
+ * mode and ownership, unless the file changed since the conversation read it.
+ * Resolves with { bytes, notice }; notice is "" or a note for the tool result
+ * about permissions that couldn't be kept.
+ */
+// checkpoints (optional): the conversation's, which keeps the content from before the write
+async function writeRemoteText(uri, remotePath, text, execOpts, tracker, checkpoints) {
+    const data = encodeRemoteText(uri, remotePath, text);
+    await ensureUnchanged(uri, remotePath, tracker);
+    if (checkpoints) await checkpoints.capture(uri, remotePath);
+    const format = fileFormat(uri, remotePath);
+    const notice = await writeRemoteBytes(uri, remotePath, data, execOpts);
+    _fileFormats.set(remotePath, format);
+    const version = { mtime: Date.now(), size: data.length, hash: hashBytes(data), text: normalizeLineEndings(text) };
+    try { version.mtime = (await vscode.workspace.fs.stat(uri)).mtime; } catch (_) {}
+    getFileCache().put(remotePath, version);
+    tracker.record(remotePath, version);
+    if (checkpoints) {
+        checkpoints.written(remotePath, version.hash);
+        changeSetsChanged();
+    }
+    return { bytes: data.length, notice };
+}
+
+// Write raw bytes through symlinks, keeping mode and ownership; resolves with a notice about what couldn't be kept
+async function writeRemoteBytes(uri, remotePath, data, execOpts) {
+    let before = null;
+    let notice = "";
+    try {
+        before = await statForWrite(remotePath, execOpts);
+    } catch (err) {
+        notice = `Note: could not check ${remotePath}'s permissions before writing (${err.message}); its mode and ownership may have changed.`;
+    }
+    const target = before && before.target !== remotePath ? getRemoteUri(before.target) : uri;
+    await vscode.workspace.fs.writeFile(target, data);
+    if (before && before.attrs) notice = await restoreAttributes(before, execOpts);
+    return notice;
+}
+
+function withNotice(text, notice) {
+    return notice ? `${text}\n${notice}` : text;
+}
+
+// ---------------------------------------------------------------------------
+// File attributes — writes go through vscode.workspace.fs.writeFile(), which
+// may replace the file instead of rewriting it in place: a symlink becomes a
+// regular file, a script loses +x, a shared file loses its group. So writes
+// resolve links to their target first, and mode, owner and group are compared
+// afterwards and put back where they changed.
+// ---------------------------------------------------------------------------
+
+const ATTR_TIMEOUT = 15000;
+const ATTR_MARKER = "@@claude-attrs";
+// "<mode> <uid> <gid>", GNU stat first, then BSD
+const STAT_ATTRS = "{ stat -c '%a %u %g' -- \"$f\" || stat -f '%Lp %u %g' \"$f\"; } 2>/dev/null";
+
+function parseAttributes(line) {
+    const match = /^(\d+) (\d+) (\d+)$/.exec((line || "").trim());
+    return match ? { mode: match[1], uid: match[2], gid: match[3] } : null;
+}
+
+// What differs between the attributes a file had and has, e.g. ["mode 755 (now 644)"]
+function attributeProblems(want, got) {
+    if (!got) return ["mode and ownership (could not read them back)"];
+    const problems = [];
+    if (Number.parseInt(want.mode, 8) !== Number.parseInt(got.mode, 8)) problems.push(`mode ${want.mode} (now ${got.mode})`);
+    if (want.uid !== got.uid) problems.push(`owner uid ${want.uid} (now ${got.uid})`);
+    if (want.gid !== got.gid) problems.push(`group gid ${want.gid} (now ${got.gid})`);
+    return problems;
+}
+
+// Where a write to remotePath should go (symlinks resolved) and the target's current attributes (null for a new file)
+async function statForWrite(remotePath, execOpts) {
+    const script = [
+        `p=${shellEscape(remotePath)}`,
+        "f=$(readlink -f -- \"$p\" 2>/dev/null || realpath -- \"$p\" 2>/dev/null)",
+        "[ -n \"$f\" ] || f=$p",
+        `echo "${ATTR_MARKER} $f"`,
+        STAT_ATTRS
+    ].join("\n");
+    const result = await execRemoteCommand(script, undefined, ATTR_TIMEOUT, execOpts);
+    const lines = result.stdout.split("\n");
+    const at = lines.findIndex((line) => line.startsWith(ATTR_MARKER + " "));
+    if (at < 0) throw new Error((result.stderr || result.stdout).trim() || `exit code ${result.exitCode}`);
+    return { target: lines[at].slice(ATTR_MARKER.length + 1), attrs: parseAttributes(lines[at + 1]) };
+}
+
+// Put mode, owner and group back after a write; resolves with a notice about whatever couldn't be
+async function restoreAttributes(before, execOpts) {
+    const { mode, uid, gid } = before.attrs;
+    const script = [
+        `f=${shellEscape(before.target)}`,
+        `set -- $(${STAT_ATTRS})`,
+        `[ "$1" = ${mode} ] || chmod ${mode} "$f" 2>&1`,
+        `[ "$2" = ${uid} ] || chown ${uid} "$f" 2>&1`,
+        `[ "$3" = ${gid} ] || chgrp ${gid} "$f" 2>&1`,
+        `echo "${ATTR_MARKER} $(${STAT_ATTRS})"`
+    ].join("\n");
+    let problems, detail = "";
+    try {
+        const result = await execRemoteCommand(script, undefined, ATTR_TIMEOUT, execOpts);
+        const lines = result.stdout.trim().split("\n");
+        const last = lines.pop() || "";
+        detail = lines.join("; ").trim();
+        problems = attributeProblems(before.attrs, last.startsWith(ATTR_MARKER) ? parseAttributes(last.slice(ATTR_MARKER.length)) : null);
+    } catch (err) {
+        problems = ["mode and ownership (could not check them after writing)"];
+        detail = err.message;
+    }
+    if (problems.length === 0) return "";
+    if (_logger) _logger.warn(`forceLocal: could not keep ${problems.join(", ")} on ${before.target}${detail ? ": " + detail : ""}`);
+    return `Note: the content was written, but ${before.target} did not keep its ${problems.join(", ")}` +
+        `${detail ? ` (${detail})` : ""}.`;
+}
+
+// ---------------------------------------------------------------------------
+// Checkpoints — the CLI's rewind only knows its built-in tools, so the remote
+// tools keep their own: per conversation and user message, the bytes each
+// file had before the first write made while answering that message. Rewinding
+// to a message puts every file written since back (deleting the ones Claude
+// created), unless someone changed the file after Claude's last write. The
+// first snapshot of each file is also the baseline of the conversation's
+// change set (the "Remote Changes" view), whose files can be reverted one by one.
+// ---------------------------------------------------------------------------
+
+const CHECKPOINT_MAX_BYTES = 64 * 1024 * 1024; // per conversation, snapshots and baselines; the oldest messages' snapshots go first
+
+// Lines a change from oldData to newData adds and removes, as multisets (cheap; ignores moves)
+function lineChanges(oldData, newData) {
+    const count = (data) => {
+        const lines = new Map();
+        if (!data || data.length === 0) return lines;
+        const text = data.toString("latin1");
+        for (const line of (text.endsWith("\n") ? text.slice(0, -1) : text).split("\n")) lines.set(line, (lines.get(line) || 0) + 1);
+        return lines;
+    };
+    const before = count(oldData);
+    const after = count(newData);
+    let insertions = 0, deletions = 0;
+    for (const [line, n] of after) insertions += Math.max(0, n - (before.get(line) || 0));
+    for (const [line, n] of before) deletions += Math.max(0, n - (after.get(line) || 0));
+    return { insertions, deletions };
+}
+
+async function readRemoteBytes(uri) {
+    try {
+        return Buffer.from(await vscode.workspace.fs.readFile(uri));
+    } catch (err) {
+        if (isNotFound(err)) return null;
+        throw err;
+    }
+}
+
+function createCheckpoints() {
+    // files: remotePath → Buffer, or null if it didn't exist; changedBefore: files someone else
+    // changed between Claude's previous write and this message's first one
+    const messages = []; // { id, files, changedBefore, bytes, dropped }; oldest first
+    const lastWritten = new Map(); // remotePath → hash of the version Claude last wrote or first saw (null: none)
+    const baselines = new Map();   // remotePath → Buffer | null, before the conversation first wrote it
+    const baselinesDropped = new Set(); // files whose baseline didn't fit in CHECKPOINT_MAX_BYTES; not in the change set
+    const counted = new Map();     // remotePath → { version, change }: changes()'s last result, kept while the file's mtime and size stay the same
+    // Snapshots and baselines held; a snapshot that is also the file's baseline (the same Buffer) is counted once
+    let bytes = 0;
+    const size = (data) => data ? data.length : 0;
+
+    const newMessage = (id) => ({ id, files: new Map(), changedBefore: new Set(), bytes: 0, dropped: false });
+    const current = () => {
+        if (messages.length === 0) messages.push(newMessage(null));
+        return messages[messages.length - 1];
+    };
+
+    // Whether the file is still what Claude last wrote (or first saw)
+    const unchangedSince = (remotePath, now) => (now ? hashBytes(now) : null) === (lastWritten.get(remotePath) ?? null);
+
+    // Write data back, or delete the file if it didn't exist
+    const restore = async (remotePath, uri, data, execOpts) => {
+        try {
+            if (data) {
+                await writeRemoteBytes(uri, remotePath, data, execOpts);
+            } else {
+                await vscode.workspace.fs.delete(uri, { useTrash: false });
+            }
+        } catch (err) {
+            if (data || !isNotFound(err)) throw err;
+        }
+        lastWritten.set(remotePath, data ? hashBytes(data) : null);
+        counted.delete(remotePath);
+        getFileCache().remove(remotePath);
+        _fileFormats.delete(remotePath);
+    };
+
+    return {
+        // A user message was sent: writes from now on belong to it
+        userMessage(id) {
+            messages.push(newMessage(id));
+        },
+
+        // Before a write: keep the file's content, once per message
+        async capture(uri, remotePath) {
+            const message = current();
+            const newBaseline = !baselines.has(remotePath) && !baselinesDropped.has(remotePath);
+            if (message.files.has(remotePath) && !newBaseline) return;
+            const data = await readRemoteBytes(uri);
+            if (newBaseline) {
+                baselines.set(remotePath, data);
+                bytes += size(data);
+            }
+            if (!message.files.has(remotePath)) {
+                const hash = data ? hashBytes(data) : null;
+                if (!lastWritten.has(remotePath)) lastWritten.set(remotePath, hash);
+                else if (lastWritten.get(remotePath) !== hash) message.changedBefore.add(remotePath);
+                message.files.set(remotePath, data);
+                if (!newBaseline) {
+                    message.bytes += size(data);
+                    bytes += size(data);
+                }
+            }
+            for (const old of messages) {
+                if (bytes <= CHECKPOINT_MAX_BYTES || old === message) break;
+                if (old.dropped || old.bytes === 0) continue; // nothing to free: its snapshots are baselines too
+                bytes -= old.bytes;
+                old.files.clear();
+                old.bytes = 0;
+                old.dropped = true;
+            }
+            // Still over budget with every older snapshot gone: the change set does without this file
+            if (newBaseline && bytes > CHECKPOINT_MAX_BYTES) {
+                baselines.delete(remotePath);
+                baselinesDropped.add(remotePath);
+                bytes -= size(data);
+                if (message.files.get(remotePath) === data) {
+                    message.bytes += size(data);
+                    bytes += size(data);
+                }
+            }
+        },
+
+        written(remotePath, hash) {
+            lastWritten.set(remotePath, hash);
+            counted.delete(remotePath);
+        },
+
+        /**
+         * Put every file written since userMessageId was sent back the way it was.
+         * Resolves with the CLI's rewind result: { canRewind, error?, filesChanged?, insertions?, deletions? }.
+         */
+        async rewind(userMessageId, { dryRun = false, execOpts } = {}) {
+            const at = messages.findIndex((message) => message.id === userMessageId);
+            if (at < 0) return { canRewind: false, error: "No remote file checkpoint was kept for this message." };
+            if (messages.slice(at).some((message) => message.dropped)) {
+                return { canRewind: false, error: "The checkpoint for this message was dropped to save memory (too many large files changed since)." };
+            }
+
+            // The oldest snapshot of each file from that message on is how it was before; a later
+            // message finding someone else's change in between means rewinding would undo that too
+            const before = new Map();
+            const changedSince = new Set();
+            for (const message of messages.slice(at)) {
+                for (const [remotePath, data] of message.files) {
+                    if (!before.has(remotePath)) before.set(remotePath, data);
+                    else if (message.changedBefore.has(remotePath)) changedSince.add(remotePath);
+                }
+            }
+
+            const plan = [];
+            let insertions = 0, deletions = 0;
+            for (const [remotePath, data] of before) {
+                const uri = getRemoteUri(remotePath);
+                const now = await readRemoteBytes(uri);
+                if (changedSince.has(remotePath) || !unchangedSince(remotePath, now)) {
+                    changedSince.add(remotePath);
+                    continue;
+                }
+                if (now && data && now.equals(data)) continue;
+                const changes = lineChanges(now, data);
+                insertions += changes.insertions;
+                deletions += changes.deletions;
+                plan.push({ remotePath, uri, data });
+            }
+            if (changedSince.size > 0) {
+                return {
+                    canRewind: false,
+                    error: `These files changed on the remote after Claude last wrote them: ${Array.from(changedSince).join(", ")}. ` +
+                        "Rewinding would overwrite those changes, so nothing was restored."
+                };
+            }
+            const result = { canRewind: true, filesChanged: plan.map((file) => file.remotePath), insertions, deletions };
+            if (dryRun) return result;
+
+            const failures = [];
+            for (const { remotePath, uri, data } of plan) {
+                try {
+                    await restore(remotePath, uri, data, execOpts);
+                } catch (err) {
+                    failures.push(`${remotePath} (${err.message})`);
+                }
+            }
+            // Keep the checkpoints until every file is back, so the rewind can be retried
+            if (failures.length > 0) {
+                return { canRewind: false, error: `Could not restore ${failures.join(", ")}. The other files were restored; the rewind can be retried.` };
+            }
+            // Those messages are undone; the conversation continues from before userMessageId
+            for (const message of messages.splice(at)) bytes -= message.bytes;
+            return result;
+        },
+
+        // Files whose content differs from the baseline: [{ remotePath, status: added|modified|deleted, insertions, deletions }].
+        // One that Claude's own writes left as it was (changed back, or only changed by someone else) isn't listed.
+        // The view refreshes on every write, so a file is only downloaded again once its stat changes.
+        async changes() {
+            const changed = [];
+            for (const [remotePath, data] of baselines) {
+                if ((lastWritten.get(remotePath) ?? null) === (data ? hashBytes(data) : null)) continue;
+                const uri = getRemoteUri(remotePath);
+                let version = null;
+                try {
+                    const stat = await vscode.workspace.fs.stat(uri);
+                    version = `${stat.mtime}:${stat.size}`;
+                } catch (err) {
+                    if (!isNotFound(err)) throw err;
+                }
+                if (!counted.has(remotePath) || counted.get(remotePath).version !== version) {
+                    const now = version ? await readRemoteBytes(uri) : null;
+                    let change = null;
+                    if ((now || data) && !(now && data && now.equals(data))) {
+                        const status = !data ? "added" : !now ? "deleted" : "modified";
+                        change = { remotePath, status, ...lineChanges(data, now) };
+                    }
+                    counted.set(remotePath, { version, change });
+                }
+                const { change } = counted.get(remotePath);
+                if (change) changed.push({ ...change });
+            }
+            return changed;
+        },
+
+        // { baseline, current }: the file's bytes before the conversation and now (null: no file)
+        async contents(remotePath) {
+            if (!baselines.has(remotePath)) return null;
+            return { baseline: baselines.get(remotePath), current: await readRemoteBytes(getRemoteUri(remotePath)) };
+        },
+
+        // Put one file back as it was before the conversation; throws if someone else changed it since
+        async revert(remotePath, execOpts) {
+            if (!baselines.has(remotePath)) throw new Error(`${remotePath} was not changed in this conversation.`);
+            const uri = getRemoteUri(remotePath);
+            const now = await readRemoteBytes(uri);
+            if (!unchangedSince(remotePath, now) || messages.some((message) => message.changedBefore.has(remotePath))) {
+                throw new Error(`${remotePath} was also changed by someone else after Claude wrote it; reverting would overwrite that change, so nothing was restored.`);
+            }
+            const baseline = baselines.get(remotePath);
+            await restore(remotePath, uri, baseline, execOpts);
+            baselines.delete(remotePath);
+            bytes -= size(baseline);
+            // Snapshots that shared the baseline's Buffer now hold it on their own
+            for (const message of messages) {
+                if (message.files.get(remotePath) !== baseline) continue;
+                message.bytes += size(baseline);
+                bytes += size(baseline);
+            }
+        },
+
+        dispose() {
+            messages.length = 0;
+            lastWritten.clear();
+            baselines.clear();
+            baselinesDropped.clear();
+            counted.clear();
+            bytes = 0;
+        }
+    };
+}
+
+// Every open conversation's checkpoints, for the "Remote Changes" view
+const _changeSets = new Map(); // conversationId → { checkpoints, execOpts }
+const _changeListeners = new Set();
+
+function onDidChangeChangeSets(listener) {
+    _changeListeners.add(listener);
+    return { dispose: () => _changeListeners.delete(listener) };
+}
+
+function changeSetsChanged() {
+    for (const listener of _changeListeners) {
+        try { listener(); } catch (_) {}
+    }
+}
+
+function changeSet(conversationId) {
+    const entry = _changeSets.get(conversationId ?? null);
+    if (!entry) throw new Error("That conversation has been closed.");
+    return entry;
+}
+
+// [{ conversationId, remotePath, status, insertions, deletions }], conversations in the order they were opened
+async function changedFiles() {
+    const all = [];
+    for (const [conversationId, { checkpoints }] of _changeSets) {
+        for (const change of await checkpoints.changes()) all.push({ conversationId, ...change });
+    }
+    return all;
+}
+
+// { oldContent, newContent } for openFileDiffs: text before the conversation and now, in the file's encoding (null: no file)
+async function changeContents(conversationId, remotePath) {
+    const contents = await changeSet(conversationId).checkpoints.contents(remotePath);
+    if (!contents) throw new Error(`${remotePath} was not changed in this conversation.`);
+    const uri = getRemoteUri(remotePath);
+    const settings = Object.assign(encodingSettings(uri), { encoding: fileFormat(uri, remotePath).encoding });
+    const decode = (data) => data ? textEncoding.decodeText(data, settings).text : null;
+    return { oldContent: decode(contents.baseline), newContent: decode(contents.current) };
+}
+
+async function revertChange(conversationId, remotePath) {
+    const { checkpoints, execOpts } = changeSet(conversationId);
+    try {
+        await checkpoints.revert(remotePath, execOpts);
+    } finally {
+        changeSetsChanged();
     }
-    return entry.content;
 }
 
 // ---------------------------------------------------------------------------
 // Edit override — when user modifies the diff tab and clicks Accept, the
 // final content is stored here.  The MCP edit_file/write_file handler checks
 // this BEFORE applying the original input, so the user's modifications win.
+// Overrides belong to one conversation (its webview channel id) and to the
+// tool call whose diff was open, so with two Claude tabs editing the same
+// file, neither picks up the other's modified diff.
 // ---------------------------------------------------------------------------
 
-var _editOverride = null; // { remotePath, content, timestamp }
+const _editOverrides = new Map(); // conversationId → Map(remotePath → { content, toolUseId, timestamp })
+const _reviews = new Map();       // conversationId → Map(remotePath → toolUseId), diffs open right now
 const EDIT_OVERRIDE_TTL = 10000; // 10 seconds
 
-function setEditOverride(remotePath, content) {
-    _editOverride = { remotePath, content, timestamp: Date.now() };
+function perConversation(map, conversationId) {
+    const key = conversationId ?? null;
+    if (!map.has(key)) map.set(key, new Map());
+    return map.get(key);
+}
+
+// Bracket a review (diff tab + dialog) so an override stored meanwhile is tagged with its tool call
+function beginReview(conversationId, remotePath, toolUseId) {
+    perConversation(_reviews, conversationId).set(remotePath, toolUseId ?? null);
 }
 
-function consumeEditOverride(remotePath) {
-    if (_editOverride && _editOverride.remotePath === remotePath &&
-        (Date.now() - _editOverride.timestamp < EDIT_OVERRIDE_TTL)) {
-        var content = _editOverride.content;
-        _editOverride = null;
-        return content;
+function endReview(conversationId, remotePath) {
+    const reviews = _reviews.get(conversationId ?? null);
+    if (reviews) reviews.delete(remotePath);
+}
+
+// conversationId may be unknown (a diff request without a channel): then it is the one conversation reviewing remotePath
+function setEditOverride(conversationId, remotePath, content) {
+    if (conversationId == null) {
+        const owners = Array.from(_reviews).filter(([, reviews]) => reviews.has(remotePath)).map(([id]) => id);
+        if (owners.length !== 1) {
+            if (_logger) _logger.warn(`forceLocal: dropped a modified diff of ${remotePath}: ${owners.length ? "several conversations are" : "no conversation is"} reviewing it`);
+            return;
+        }
+        conversationId = owners[0];
     }
-    if (_editOverride && Date.now() - _editOverride.timestamp >= EDIT_OVERRIDE_TTL) {
-        _editOverride = null;
+    const reviews = _reviews.get(conversationId);
+    const toolUseId = (reviews && reviews.get(remotePath)) ?? null;
+    perConversation(_editOverrides, conversationId).set(remotePath, { content, toolUseId, timestamp: Date.now() });
+}
+
+// An override for another tool call of the same conversation is left for that call
+function consumeEditOverride(conversationId, remotePath, toolUseId) {
+    const overrides = _editOverrides.get(conversationId ?? null);
+    const override = overrides && overrides.get(remotePath);
+    if (!override) return null;
+    if (Date.now() - override.timestamp >= EDIT_OVERRIDE_TTL) {
+        overrides.delete(remotePath);
+        return null;
     }
-    return null;
+    if (override.toolUseId && toolUseId && override.toolUseId !== toolUseId) return null;
+    overrides.delete(remotePath);
+    return override.content;
+}
+
+// The conversation was closed
+function forgetConversation(conversationId) {
+    _editOverrides.delete(conversationId ?? null);
+    _reviews.delete(conversationId ?? null);
 }
 
 // ---------------------------------------------------------------------------
@@ -110,186 +908,2369 @@ function shellEscape(str) {
     return "'" + str.replace(/'/g, "'\\''") + "'";
 }
 
-function truncateOutput(text, maxChars = 30000) {
-    if (text.length <= maxChars) return text;
-    const half = Math.floor(maxChars / 2);
-    return text.slice(0, half) + "\n\n... [truncated] ...\n\n" + text.slice(-half);
+// ---------------------------------------------------------------------------
+// Login-shell dialects — commands are typed into (hidden terminal) or passed
+// to (ssh) the user's login shell, which may be fish or tcsh. Everything we
+// run is a POSIX sh script, wrapped so the login shell only has to launch
+// /bin/sh with it.
+// ---------------------------------------------------------------------------
+
+// Prints the name of the shell that launched /bin/sh (falls back to $SHELL)
+const SHELL_PROBE = "ps -o comm= -p $PPID 2>/dev/null || echo \"$SHELL\"";
+
+function shellDialect(shellName) {
+    const base = path.posix.basename((shellName || "").trim()).replace(/^-/, "");
+    if (/^(sh|bash|zsh|ksh|mksh|pdksh|dash|ash|yash|busybox)$/.test(base)) return "posix";
+    if (base === "fish") return "fish";
+    if (base === "tcsh" || base === "csh") return "csh";
+    return "unknown";
+}
+
+// fish single quotes treat \\ and \' as escapes
+function fishEscape(str) {
+    return "'" + str.replace(/[\\']/g, "\\$&") + "'";
+}
+
+/**
+ * Wrap a POSIX sh script into a single command line for the given login-shell dialect.
+ * csh-family and unknown shells get a base64 pipeline: no quoting, no history
+ * expansion and no newlines for the login shell to trip over. The script then
+ * reads from a pipe, so scripts redirect their commands' stdin themselves.
+ */
+function wrapForShell(script, dialect) {
+    if (dialect === "posix") return `/bin/sh -c ${shellEscape(script)}`;
+    if (dialect === "fish") return `/bin/sh -c ${fishEscape(script)}`;
+    return `echo ${Buffer.from(script, "utf8").toString("base64")} | base64 -d | /bin/sh`;
+}
+
+const KILL_GRACE_MS = 3000; // SIGTERM → SIGKILL escalation delay for stopped commands
+
+/**
+ * Error for a command stopped by timeout or cancellation. Carries the partial
+ * output so tools can show what the command printed before it was killed.
+ * stop: { reason: "timeout" | "cancelled", timeoutMs }
+ */
+function commandStoppedError(stop, pgid, escalated, stdout, stderr) {
+    let message = stop.reason === "timeout" ? `Command timed out after ${stop.timeoutMs}ms` : "Command cancelled";
+    if (pgid) message += `; sent SIGTERM${escalated ? " and then SIGKILL" : ""} to remote process group ${pgid}`;
+    const err = new Error(message);
+    err.stdout = stdout || "";
+    err.stderr = stderr || "";
+    return err;
+}
+
+function truncateOutput(text, maxChars = 30000) {
+    if (text.length <= maxChars) return text;
+    const half = Math.floor(maxChars / 2);
+    return text.slice(0, half) + "\n\n... [truncated] ...\n\n" + text.slice(-half);
+}
+
+// ---------------------------------------------------------------------------
+// Private session directory — exec artifacts, shell state and the agent script
+// live in a 0700 directory made by `mktemp -d` under $XDG_RUNTIME_DIR (falling
+// back to ~/.cache, then $TMPDIR) rather than under predictable /tmp names that
+// other users on the host could read. A heartbeat file marks the directory as
+// in use; directories of crashed sessions are swept when a new one is created.
+// ---------------------------------------------------------------------------
+
+const SESSION_DIR_TIMEOUT = 15000;
+const SESSION_HEARTBEAT_INTERVAL = 10 * 60 * 1000;
+const SESSION_STALE_MINUTES = 24 * 60; // no heartbeat for a day → the session is gone
+
+let _sessionDir = null; // Promise<string>, shared by every exec path and conversation
+let _heartbeatTimer = null;
+
+// Prints the new directory's path, or an error message if no base directory is usable
+function buildSessionDirScript() {
+    return [
+        "umask 077; dir=",
+        "for base in \"$XDG_RUNTIME_DIR\" \"$HOME/.cache\" \"${TMPDIR:-/tmp}\"; do",
+        "  [ -n \"$base\" ] && mkdir -p \"$base\" 2>/dev/null && [ -w \"$base\" ] || continue",
+        "  for old in \"$base\"/claude-remote.*; do",
+        "    [ -d \"$old\" ] && [ -O \"$old\" ] || continue",
+        `    [ -n "$(find "$old/alive" "$old" -maxdepth 0 -mmin -${SESSION_STALE_MINUTES} 2>/dev/null)" ] || rm -rf "$old"`,
+        "  done",
+        "  dir=$(mktemp -d \"$base/claude-remote.XXXXXX\" 2>/dev/null) && chmod 700 \"$dir\" && break",
+        "  dir=",
+        "done",
+        // Leftovers from versions that wrote straight to /tmp
+        "find /tmp -maxdepth 1 -user \"$(id -u)\" \\( -name '.claude_exec_*' -o -name '.claude_shell_*' -o -name '.claude_agent_*' \\) " +
+            "-mmin +60 -exec rm -f {} + 2>/dev/null",
+        "if [ -n \"$dir\" ]; then echo \"$dir\"; else echo \"no writable directory for a private temp dir\"; fi"
+    ].join("\n");
+}
+
+function getSessionDir() {
+    if (!_sessionDir) {
+        _sessionDir = createSessionDir().then((dir) => {
+            startSessionHeartbeat(dir);
+            if (_logger) _logger.info("forceLocal: remote session directory " + dir);
+            return dir;
+        }, (err) => {
+            _sessionDir = null;
+            throw err;
+        });
+    }
+    return _sessionDir;
+}
+
+async function createSessionDir() {
+    const script = buildSessionDirScript();
+    let output;
+    if (vscode.workspace.getConfiguration("claudeCode").get("useSSHExec", false)) {
+        const host = getSshHost();
+        if (!host) throw new Error("No SSH host configured");
+        output = (await sshRun(host, wrapForShell(script, await getSshDialect(host)), SESSION_DIR_TIMEOUT)).stdout;
+    } else {
+        output = await runSetupScript(script);
+    }
+    const dir = output.trim().split("\n").pop() || "";
+    if (!dir.startsWith("/")) {
+        throw new Error("Could not create a private temp directory on the remote: " + (dir || "no output"));
+    }
+    return dir;
+}
+
+// Run a script in a throwaway hidden terminal. Its stdout goes to an unguessable file
+// (noclobber, so never through something planted there) that we read back and delete.
+async function runSetupScript(script) {
+    const outPath = `/tmp/.claude_setup_${crypto.randomBytes(16).toString("hex")}`;
+    const outUri = getRemoteUri(outPath);
+    const doneMarker = "@@claude-done@@\n";
+    const terminal = vscode.window.createTerminal({
+        name: "Claude Code Remote Setup",
+        hideFromUser: true,
+        isTransient: true
+    });
+    try {
+        terminal.sendText(wrapForShell(`set -C; umask 077; exec > ${outPath} || exit 1\n${script}\nprintf '${doneMarker.replace("\n", "\\n")}'`, "unknown"), true);
+        const deadline = Date.now() + SESSION_DIR_TIMEOUT;
+        while (Date.now() < deadline) {
+            await new Promise(r => setTimeout(r, 300));
+            let text;
+            try {
+                text = Buffer.from(await vscode.workspace.fs.readFile(outUri)).toString("utf8");
+            } catch (_) {
+                continue;
+            }
+            if (text.endsWith(doneMarker)) return text.slice(0, -doneMarker.length);
+        }
+        throw new Error("remote setup command did not finish in time");
+    } finally {
+        terminal.dispose();
+        vscode.workspace.fs.delete(outUri).then(() => {}, () => {});
+    }
+}
+
+// Touch <dir>/alive so other sessions' sweeps leave the directory alone. If it can't be
+// written the directory is gone (swept or wiped); the next command creates a new one.
+function startSessionHeartbeat(dir) {
+    clearInterval(_heartbeatTimer);
+    const aliveUri = getRemoteUri(`${dir}/alive`);
+    const beat = () => vscode.workspace.fs.writeFile(aliveUri, Buffer.from(String(Date.now()), "utf8")).then(() => {}, () => {
+        clearInterval(_heartbeatTimer);
+        _heartbeatTimer = null;
+        _sessionDir = null;
+    });
+    beat();
+    _heartbeatTimer = setInterval(beat, SESSION_HEARTBEAT_INTERVAL);
+    if (_heartbeatTimer.unref) _heartbeatTimer.unref();
+}
+
+// ---------------------------------------------------------------------------
+// Execution scheduling — foreground commands from all conversations share a
+// concurrency limit; queued commands are served round-robin per conversation
+// so one conversation's burst of greps can't starve another.
+// ---------------------------------------------------------------------------
+
+const DEFAULT_EXEC_CONCURRENCY = 4;
+const MAX_EXEC_CONCURRENCY = 16;
+
+function getExecConcurrency() {
+    const value = parseInt(vscode.workspace.getConfiguration("claudeCode").get("remoteExecConcurrency", DEFAULT_EXEC_CONCURRENCY), 10);
+    if (isNaN(value)) return DEFAULT_EXEC_CONCURRENCY;
+    return Math.max(1, Math.min(MAX_EXEC_CONCURRENCY, value));
+}
+
+class ExecScheduler {
+    constructor(getLimit) {
+        this.getLimit = getLimit;
+        this.running = 0;
+        this.active = new Map(); // owner → slots held
+        this.queues = new Map(); // owner → waiting entries; Map order is the round-robin order
+    }
+
+    // Resolves with a release() function once a slot is free; rejects if the signal aborts while queued
+    acquire(owner, signal) {
+        if (signal && signal.aborted) return Promise.reject(new Error("Command cancelled"));
+        return new Promise((resolve, reject) => {
+            const entry = { resolve, signal, onAbort: null };
+            if (signal) {
+                entry.onAbort = () => {
+                    this.remove(owner, entry);
+                    reject(new Error("Command cancelled"));
+                };
+                signal.addEventListener("abort", entry.onAbort, { once: true });
+            }
+            if (!this.queues.has(owner)) this.queues.set(owner, []);
+            this.queues.get(owner).push(entry);
+            this.dispatch();
+        });
+    }
+
+    remove(owner, entry) {
+        const queue = this.queues.get(owner);
+        if (!queue) return;
+        const index = queue.indexOf(entry);
+        if (index >= 0) queue.splice(index, 1);
+        if (!queue.length) this.queues.delete(owner);
+    }
+
+    dispatch() {
+        const limit = this.getLimit();
+        // One slot stays free for the other conversations, so a single chat's long builds can't take them all
+        const perOwner = Math.max(1, limit - 1);
+        while (this.running < limit) {
+            const owner = Array.from(this.queues.keys()).find((key) => (this.active.get(key) || 0) < perOwner);
+            if (owner === undefined) break;
+            const queue = this.queues.get(owner);
+            const entry = queue.shift();
+            this.queues.delete(owner);
+            if (queue.length) this.queues.set(owner, queue); // back of the line
+            if (entry.signal) entry.signal.removeEventListener("abort", entry.onAbort);
+            this.running++;
+            this.active.set(owner, (this.active.get(owner) || 0) + 1);
+            let released = false;
+            entry.resolve(() => {
+                if (released) return;
+                released = true;
+                this.running--;
+                const held = this.active.get(owner) - 1;
+                if (held) this.active.set(owner, held);
+                else this.active.delete(owner);
+                this.dispatch();
+            });
+        }
+    }
+
+    async run(owner, signal, task) {
+        const release = await this.acquire(owner, signal);
+        try {
+            return await task();
+        } finally {
+            release();
+        }
+    }
+}
+
+const _scheduler = new ExecScheduler(getExecConcurrency);
+
+// ---------------------------------------------------------------------------
+// Remote command execution via VS Code hidden terminals
+// ---------------------------------------------------------------------------
+
+const TERMINAL_READY_TIMEOUT = 15000;
+let _execCounter = 0;
+let _terminalCounter = 0;
+const _terminalPool = []; // { terminal, busy, wedged, ready, dialect } — each terminal runs one command at a time
+
+function createPooledTerminal() {
+    const slot = {
+        terminal: vscode.window.createTerminal({
+            name: `Claude Code Remote Exec ${++_terminalCounter}`,
+            hideFromUser: true,
+            isTransient: true
+        }),
+        busy: false,
+        wedged: false, // a stopped command's shell never came back; the terminal is discarded
+        ready: null,
+        dialect: null // login-shell dialect, probed once the shell is up
+    };
+    slot.ready = waitForTerminalReady(slot);
+    _terminalPool.push(slot);
+    return slot;
+}
+
+// The shell probe doubles as the readiness handshake: it completes only once the shell
+// has started and executed a command we sent, however long its rc files take.
+async function waitForTerminalReady(slot) {
+    await slot.terminal.processId;
+    slot.dialect = "unknown"; // dialect-neutral wrapper while probing
+    try {
+        const probe = await runInTerminal(slot, SHELL_PROBE, null, TERMINAL_READY_TIMEOUT);
+        slot.dialect = shellDialect(probe.stdout);
+    } catch (err) {
+        if (isTerminalClosed(slot.terminal)) throw err;
+    }
+}
+
+function isTerminalClosed(terminal) {
+    return terminal.exitStatus !== undefined;
+}
+
+// Take an idle terminal, or open another one; the scheduler keeps the pool within the concurrency limit
+function acquireTerminal() {
+    for (let i = _terminalPool.length - 1; i >= 0; i--) {
+        if (isTerminalClosed(_terminalPool[i].terminal)) _terminalPool.splice(i, 1);
+    }
+    const slot = _terminalPool.find((t) => !t.busy && !t.wedged) || createPooledTerminal();
+    slot.busy = true;
+    return slot;
+}
+
+function releaseTerminal(slot) {
+    slot.busy = false;
+    if (slot.wedged || _terminalPool.length > getExecConcurrency() || isTerminalClosed(slot.terminal)) {
+        // The limit was lowered (or the terminal died or is stuck) — shrink the pool
+        const index = _terminalPool.indexOf(slot);
+        if (index >= 0) _terminalPool.splice(index, 1);
+        slot.terminal.dispose();
+    }
+}
+
+// Note: no incremental output here — opts.onOutput is only honored by the agent and SSH paths.
+async function remoteExec(command, cwd, timeoutMs = 120000, opts = {}) {
+    const slot = acquireTerminal();
+    try {
+        await slot.ready;
+        return await runInTerminal(slot, command, cwd, timeoutMs, opts);
+    } finally {
+        releaseTerminal(slot);
+    }
+}
+
+async function runInTerminal(slot, command, cwd, timeoutMs, opts = {}) {
+    const id = `${Date.now()}_${++_execCounter}`;
+    const tmpBase = `${await getSessionDir()}/exec_${id}`;
+    const file = (ext) => shellEscape(`${tmpBase}.${ext}`);
+    const terminal = slot.terminal;
+    const dialect = slot.dialect;
+
+    // The command runs in its own process group (setsid, or job control as a fallback)
+    // so it can be killed as a whole. The terminal's shell is busy waiting for it, so a
+    // watchdog polls a .kill control file, written through the remote FS, for signals.
+    const cdPart = cwd ? `cd ${shellEscape(cwd)} || exit 1\n` : "";
+    const script = [
+        "if command -v setsid >/dev/null 2>&1; then S=setsid; else S=; set -m; fi",
+        `$S /bin/sh -c ${shellEscape(cdPart + command)} </dev/null > ${file("out")} 2> ${file("err")} &`,
+        `P=$!; echo $P > ${file("pid")}`,
+        `(while kill -0 $P 2>/dev/null; do if [ -f ${file("kill")} ]; then kill -$(cat ${file("kill")}) -$P 2>/dev/null; rm -f ${file("kill")}; fi; sleep 0.2; done) &`,
+        "W=$!; wait $P; R=$?; kill $W 2>/dev/null",
+        `echo $R > ${file("exit")}`
+    ].join("\n");
+    terminal.sendText(wrapForShell(script, dialect), true);
+
+    const exts = ["out", "err", "exit", "pid", "kill"];
+    const cleanup = wrapForShell(`rm -f ${exts.map(file).join(" ")}`, dialect);
+    const readText = async (ext) => {
+        try {
+            return Buffer.from(await vscode.workspace.fs.readFile(getRemoteUri(`${tmpBase}.${ext}`))).toString("utf8");
+        } catch (_) {
+            return null;
+        }
+    };
+    const signalGroup = (sig) => vscode.workspace.fs.writeFile(getRemoteUri(`${tmpBase}.kill`), Buffer.from(sig, "utf8"))
+        .then(() => {}, () => {});
+
+    const startTime = Date.now();
+    const pollInterval = 300;
+    let stop = null; // { reason, timeoutMs, sentAt } once we decided to kill the command
+    let escalated = false;
+
+    while (true) {
+        await new Promise(r => setTimeout(r, pollInterval));
+        if (isTerminalClosed(terminal)) throw new Error("remote exec terminal was closed");
+
+        if (!stop && opts.signal && opts.signal.aborted) stop = { reason: "cancelled" };
+        if (!stop && timeoutMs > 0 && Date.now() - startTime >= timeoutMs) stop = { reason: "timeout", timeoutMs };
+        if (stop && !stop.sentAt) {
+            await signalGroup("TERM");
+            stop.sentAt = Date.now();
+        } else if (stop && !escalated && Date.now() - stop.sentAt >= KILL_GRACE_MS) {
+            await signalGroup("KILL");
+            escalated = true;
+        } else if (stop && Date.now() - stop.sentAt >= KILL_GRACE_MS * 3) {
+            // The watchdog never reported back; stop waiting. The shell is still stuck in
+            // `wait`, so the terminal can't take another command: releaseTerminal() drops it.
+            slot.wedged = true;
+            break;
+        }
+
+        const exitStr = await readText("exit");
+        if (exitStr === null || exitStr.trim() === "") continue;
+        const exitCode = parseInt(exitStr.trim(), 10);
+        const stdout = (await readText("out")) || "";
+        const stderr = (await readText("err")) || "";
+        const pgid = stop ? parseInt(await readText("pid"), 10) : null;
+
+        terminal.sendText(cleanup, true);
+        if (stop) throw commandStoppedError(stop, pgid, escalated, stdout, stderr);
+        return { stdout, stderr, exitCode: isNaN(exitCode) ? 1 : exitCode };
+    }
+
+    const pgid = parseInt(await readText("pid"), 10);
+    const stdout = (await readText("out")) || "";
+    const stderr = (await readText("err")) || "";
+    // Typed cleanup would queue behind the stuck shell; delete through the remote FS instead
+    for (const ext of exts) vscode.workspace.fs.delete(getRemoteUri(`${tmpBase}.${ext}`)).then(() => {}, () => {});
+    throw commandStoppedError(stop, pgid, escalated, stdout, stderr);
+}
+
+// ---------------------------------------------------------------------------
+// Companion remote agent — a node process on the remote (see remote-agent.js)
+// that spawns commands directly and streams output back through a hidden
+// terminal's shell integration. Preferred over remoteExec(); falls back to it
+// when shell integration or a remote node binary is unavailable.
+// ---------------------------------------------------------------------------
+
+const AGENT_PREFIX_RE = /@@claude-agent@@([A-Za-z0-9+\/=]+)/g;
+const AGENT_START_TIMEOUT = 15000;
+const AGENT_RETRY_DELAY = 5 * 60 * 1000; // don't retry a failed launch for 5 minutes
+const AGENT_MAX_BUFFER = 5 * 1024 * 1024;
+
+let _agent = null;
+let _agentStarting = null;
+let _agentFailedAt = 0;
+let _logger = null;
+
+class RemoteAgent {
+    constructor(terminal) {
+        this.terminal = terminal;
+        this.pending = new Map(); // id → { stdout, stderr, resolve, reject, timer }
+        this.counter = 0;
+        this.disposed = false;
+        this.launched = false;
+        this.disposables = [];
+    }
+
+    // Launch the agent in the terminal; resolves once it reports "ready"
+    start(agentPath) {
+        return new Promise((resolve, reject) => {
+            const fail = (err) => { this.dispose(err); reject(err); };
+            const timer = setTimeout(() => fail(new Error("remote agent did not start in time")), AGENT_START_TIMEOUT);
+
+            const launch = (shellIntegration) => {
+                if (this.launched) return;
+                this.launched = true;
+                // Single quotes only around the whole script so bash/zsh/fish/tcsh all parse it
+                const script = "for n in \"$VSCODE_GIT_ASKPASS_NODE\" \"$(command -v node)\" " +
+                    "\"$HOME\"/.vscode-server/bin/*/node \"$HOME\"/.vscode-server/cli/servers/*/server/node; " +
+                    `do if [ -x "$n" ]; then exec "$n" "${agentPath}"; fi; done; ` +
+                    "echo \"claude remote agent: node not found\" >&2; exit 127";
+                const execution = shellIntegration.executeCommand(`sh -c ${shellEscape(script)}`);
+                this.readOutput(execution.read(), () => { clearTimeout(timer); resolve(this); });
+                this.disposables.push(vscode.window.onDidEndTerminalShellExecution((e) => {
+                    if (e.execution !== execution) return;
+                    clearTimeout(timer);
+                    fail(new Error(`remote agent exited (code ${e.exitCode})`));
+                }));
+            };
+
+            // Also covers the terminal going away after startup: pending commands are rejected
+            this.disposables.push(vscode.window.onDidCloseTerminal((t) => {
+                if (t === this.terminal) fail(new Error("remote agent terminal closed"));
+            }));
+            if (this.terminal.shellIntegration) {
+                launch(this.terminal.shellIntegration);
+                return;
+            }
+            this.disposables.push(vscode.window.onDidChangeTerminalShellIntegration((e) => {
+                if (e.terminal === this.terminal) launch(e.shellIntegration);
+            }));
+        });
+    }
+
+    async readOutput(stream, onReady) {
+        let buffered = "";
+        try {
+            for await (const data of stream) {
+                buffered += data;
+                const lines = buffered.split("\n");
+                buffered = lines.pop();
+                for (const line of lines) {
+                    for (const match of line.matchAll(AGENT_PREFIX_RE)) {
+                        let msg;
+                        try {
+                            msg = JSON.parse(Buffer.from(match[1], "base64").toString("utf8"));
+                        } catch (_) {
+                            continue;
+                        }
+                        if (msg.method === "ready") onReady();
+                        else this.handleMessage(msg);
+                    }
+                }
+            }
+        } catch (err) {
+            this.dispose(err);
+        }
+    }
+
+    handleMessage({ method, params }) {
+        const job = this.pending.get(params && params.id);
+        if (!job) return;
+        if (method === "started") {
+            job.pid = params.pid;
+        } else if (method === "output") {
+            if (job[params.stream].length < AGENT_MAX_BUFFER) job[params.stream] += params.data;
+            if (job.onOutput) {
+                try { job.onOutput(params.stream, params.data); } catch (_) {}
+            }
+        } else if (method === "exit") {
+            clearTimeout(job.timer);
+            job.cleanup();
+            this.pending.delete(params.id);
+            let exitCode = params.code;
+            if (exitCode === null || exitCode === undefined) {
+                exitCode = params.signal ? 128 + (os.constants.signals[params.signal] || 0) : 1;
+            }
+            const stderr = params.error ? job.stderr + (job.stderr ? "\n" : "") + params.error : job.stderr;
+            if (job.stop) job.reject(commandStoppedError(job.stop, job.pid, params.escalated, job.stdout, stderr));
+            else job.resolve({ stdout: job.stdout, stderr, exitCode });
+        }
+    }
+
+    send(method, params) {
+        const payload = Buffer.from(JSON.stringify({ method, params }), "utf8").toString("base64");
+        this.terminal.sendText(payload, true);
+    }
+
+    exec(command, cwd, timeoutMs = 120000, opts = {}) {
+        if (this.disposed) return Promise.reject(new Error("remote agent is not running"));
+        const id = String(++this.counter);
+        return new Promise((resolve, reject) => {
+            // Kill the command's process group (the agent escalates to SIGKILL after the
+            // grace period) and settle once the agent reports the exit, with partial output.
+            const stop = (reason) => {
+                const job = this.pending.get(id);
+                if (!job || job.stop) return;
+                clearTimeout(job.timer);
+                job.cleanup();
+                job.stop = { reason, timeoutMs };
+                this.send("kill", { id, signal: "SIGTERM", graceMs: KILL_GRACE_MS });
+                job.timer = setTimeout(() => {
+                    // The agent never reported back (e.g. it is wedged); give up waiting
+                    this.pending.delete(id);
+                    reject(commandStoppedError(job.stop, job.pid, false, job.stdout, job.stderr));
+                }, KILL_GRACE_MS * 3);
+            };
+            if (opts.signal && opts.signal.aborted) return reject(new Error("Command cancelled"));
+            const onAbort = () => stop("cancelled");
+            const cleanup = () => { if (opts.signal) opts.signal.removeEventListener("abort", onAbort); };
+            const timer = timeoutMs > 0 ? setTimeout(() => stop("timeout"), timeoutMs) : null;
+            this.pending.set(id, { stdout: "", stderr: "", pid: null, stop: null, resolve, reject, timer, cleanup, onOutput: opts.onOutput });
+            if (opts.signal) opts.signal.addEventListener("abort", onAbort, { once: true });
+            this.send("exec", { id, command, cwd });
+        });
+    }
+
+    dispose(err) {
+        if (this.disposed) return;
+        this.disposed = true;
+        for (const job of this.pending.values()) {
+            clearTimeout(job.timer);
+            job.cleanup();
+            job.reject(err || new Error("remote agent stopped"));
+        }
+        this.pending.clear();
+        for (const d of this.disposables) d.dispose();
+        this.disposables = [];
+        this.terminal.dispose();
+    }
+}
+
+async function startRemoteAgent() {
+    // Upload the agent script through the remote FS; the agent deletes it once loaded
+    const agentPath = `${await getSessionDir()}/agent_${Date.now()}.js`;
+    const source = fs.readFileSync(path.join(__dirname, "remote-agent.js"));
+    await vscode.workspace.fs.writeFile(getRemoteUri(agentPath), source);
+
+    const terminal = vscode.window.createTerminal({
+        name: "Claude Code Remote Agent",
+        hideFromUser: true,
+        isTransient: true
+    });
+    const agent = new RemoteAgent(terminal);
+    return agent.start(agentPath);
+}
+
+async function getRemoteAgent() {
+    if (_agent && !_agent.disposed) return _agent;
+    if (Date.now() - _agentFailedAt < AGENT_RETRY_DELAY) return null;
+    if (!_agentStarting) {
+        _agentStarting = startRemoteAgent().then((agent) => {
+            _agent = agent;
+            if (_logger) _logger.info("forceLocal: remote agent started");
+            return agent;
+        }, (err) => {
+            _agentFailedAt = Date.now();
+            if (_logger) _logger.warn("forceLocal: remote agent unavailable, using terminal exec fallback: " + (err.message || err));
+            return null;
+        }).finally(() => {
+            _agentStarting = null;
+        });
+    }
+    return _agentStarting;
+}
+
+// ---------------------------------------------------------------------------
+// SSH-based execution (fallback)
+// ---------------------------------------------------------------------------
+
+// Options that shape how ssh resolves the host: the Remote-SSH config file, identity and extra args
+function sshConfigArgs() {
+    const config = vscode.workspace.getConfiguration("claudeCode");
+    const identityFile = config.get("sshIdentityFile", "");
+    const extraArgs = config.get("sshExtraArgs", []);
+    const remoteSSHConfig = vscode.workspace.getConfiguration("remote.SSH");
+    const configFile = remoteSSHConfig.get("configFile", "");
+
+    const args = [];
+    if (configFile) args.push("-F", configFile.replace(/^~/, os.homedir()));
+    if (identityFile) args.push("-i", identityFile.replace(/^~/, os.homedir()));
+    if (Array.isArray(extraArgs) && extraArgs.length > 0) args.push(...extraArgs);
+    return args;
+}
+
+// controlPath: run as a client of that master connection (see getSshControlPath)
+function buildSshArgs(host, controlPath) {
+    // ssh keeps the first value it sees for an option, so strict checking goes ahead of
+    // anything in sshExtraArgs; the config file can't turn it off either.
+    const args = ["-o", "StrictHostKeyChecking=yes"];
+    if (controlPath) args.push("-o", "ControlMaster=no", "-o", `ControlPath=${controlPath}`);
+    args.push(...sshConfigArgs());
+    args.push("-o", "BatchMode=yes", "-o", "ConnectTimeout=10");
+    args.push("--", host);
+    return args;
+}
+
+// ---------------------------------------------------------------------------
+// SSH host key verification — ssh always runs with StrictHostKeyChecking=yes
+// against the user's known_hosts files, as resolved by `ssh -G` (so HostName,
+// Port, HostKeyAlias and UserKnownHostsFile from the Remote-SSH config file
+// apply). For an unknown host the user confirms the key's fingerprint in VS Code
+// and the key is appended to known_hosts. A changed key is never accepted here.
+// ---------------------------------------------------------------------------
+
+const TRUST_HOST_ACTION = "Trust Host";
+const _hostKeyChecks = new Map(); // host → Promise that resolves once its key is in known_hosts
+
+// Run a local program; resolves with its exit code instead of rejecting on non-zero exit
+function runLocal(command, args, timeoutMs = 20000) {
+    return new Promise((resolve, reject) => {
+        execFile(command, args, { timeout: timeoutMs, windowsHide: true }, (err, stdout, stderr) => {
+            if (err && typeof err.code !== "number") {
+                return reject(err.code === "ENOENT" ? new Error(`${command} not found`) : err);
+            }
+            resolve({ code: err ? err.code : 0, stdout, stderr });
+        });
+    });
+}
+
+// Effective ssh client config for a host: { hostname, port, userknownhostsfile, ... }
+async function resolveSshConfig(host) {
+    const { code, stdout, stderr } = await runLocal("ssh", ["-G", ...sshConfigArgs(), "--", host]);
+    if (code !== 0) throw new Error(`ssh -G ${host} failed: ${stderr.trim()}`);
+    const config = {};
+    for (const line of stdout.split(/\r?\n/)) {
+        const space = line.indexOf(" ");
+        if (space > 0) config[line.slice(0, space).toLowerCase()] = line.slice(space + 1).trim();
+    }
+    return config;
+}
+
+// The name ssh looks the host up by in known_hosts
+function knownHostsName(config) {
+    if (config.hostkeyalias) return config.hostkeyalias;
+    const port = parseInt(config.port || "22", 10);
+    return port === 22 ? config.hostname : `[${config.hostname}]:${port}`;
+}
+
+function knownHostsFiles(value) {
+    return (value || "").split(/\s+/)
+        .filter((file) => file && file !== "none")
+        .map((file) => file.replace(/^~(?=$|[\\/])/, os.homedir()));
+}
+
+async function isHostKeyKnown(name, files) {
+    for (const file of files) {
+        if (!fs.existsSync(file)) continue;
+        const { code, stdout } = await runLocal("ssh-keygen", ["-F", name, "-f", file]);
+        if (code === 0 && stdout.trim()) return true;
+    }
+    return false;
+}
+
+function hostKeyFingerprint(base64Key) {
+    const digest = crypto.createHash("sha256").update(Buffer.from(base64Key, "base64")).digest("base64");
+    return "SHA256:" + digest.replace(/=+$/, "");
+}
+
+// A known_hosts line as ssh would write it; hashed (|1|salt|hmac) when HashKnownHosts is on
+function formatKnownHostsLine(name, keyType, base64Key, hash) {
+    let hostField = name;
+    if (hash) {
+        const salt = crypto.randomBytes(20);
+        const mac = crypto.createHmac("sha1", salt).update(name).digest();
+        hostField = `|1|${salt.toString("base64")}|${mac.toString("base64")}`;
+    }
+    return `${hostField} ${keyType} ${base64Key}`;
+}
+
+// Connect with every auth method disabled and a throwaway known_hosts file: ssh records the
+// key it negotiated (through ProxyJump/ProxyCommand too) and gives up before authenticating.
+async function fetchHostKey(host) {
+    const scratch = path.join(os.tmpdir(), `claude-hostkey-${crypto.randomBytes(8).toString("hex")}`);
+    try {
+        const { stderr } = await runLocal("ssh", [
+            "-o", "StrictHostKeyChecking=accept-new", "-o", `UserKnownHostsFile=${scratch}`,
+            "-o", "GlobalKnownHostsFile=none", "-o", "HashKnownHosts=no", "-o", "UpdateHostKeys=no",
+            ...["PubkeyAuthentication", "PasswordAuthentication", "KbdInteractiveAuthentication",
+                "GSSAPIAuthentication", "HostbasedAuthentication"].flatMap((opt) => ["-o", `${opt}=no`]),
+            ...sshConfigArgs(),
+            "-o", "BatchMode=yes", "-o", "ConnectTimeout=10",
+            "--", host, "exit"
+        ]);
+        let text = "";
+        try { text = fs.readFileSync(scratch, "utf8"); } catch (_) {}
+        const fields = text.split(/\r?\n/).map((line) => line.trim().split(/\s+/)).find((f) => f.length >= 3);
+        if (!fields) {
+            const reason = stderr.trim().split(/\r?\n/).pop();
+            throw new Error(`Could not get the SSH host key of ${host}` + (reason ? `: ${reason}` : ""));
+        }
+        return { type: fields[1], key: fields[2], fingerprint: hostKeyFingerprint(fields[2]) };
+    } finally {
+        fs.rmSync(scratch, { force: true });
+    }
+}
+
+function appendKnownHost(file, line) {
+    fs.mkdirSync(path.dirname(file), { recursive: true, mode: 0o700 });
+    let prefix = "";
+    try {
+        const existing = fs.readFileSync(file, "utf8");
+        if (existing && !existing.endsWith("\n")) prefix = "\n";
+    } catch (_) {}
+    fs.appendFileSync(file, prefix + line + "\n", { mode: 0o600 });
+}
+
+async function checkHostKey(host) {
+    const config = await resolveSshConfig(host);
+    const name = knownHostsName(config);
+    const userFiles = knownHostsFiles(config.userknownhostsfile);
+    if (await isHostKeyKnown(name, [...userFiles, ...knownHostsFiles(config.globalknownhostsfile)])) return;
+
+    const key = await fetchHostKey(host);
+    const target = userFiles[0] || path.join(os.homedir(), ".ssh", "known_hosts");
+    const choice = await vscode.window.showWarningMessage(
+        `The authenticity of host '${name}' can't be established.`,
+        {
+            modal: true,
+            detail: `${key.type} key fingerprint is ${key.fingerprint}.\n\n` +
+                `Only trust it if this matches the server's key. It will be added to ${target}.`
+        },
+        TRUST_HOST_ACTION
+    );
+    if (choice !== TRUST_HOST_ACTION) {
+        throw new Error(`The SSH host key of ${name} was not trusted; SSH commands stay blocked until it is.`);
+    }
+    appendKnownHost(target, formatKnownHostsLine(name, key.type, key.key, config.hashknownhosts === "yes"));
+    if (_logger) _logger.info(`forceLocal: added ${key.type} host key ${key.fingerprint} for ${name} to ${target}`);
+}
+
+// Concurrent commands share one check (and one prompt); a failed check is retried next time
+function verifyHostKey(host) {
+    if (!_hostKeyChecks.has(host)) {
+        _hostKeyChecks.set(host, checkHostKey(host).catch((err) => {
+            _hostKeyChecks.delete(host);
+            throw err;
+        }));
+    }
+    return _hostKeyChecks.get(host);
+}
+
+// ---------------------------------------------------------------------------
+// SSH connection sharing — one ControlMaster connection per host, owned by this
+// window, so each command skips the TCP/auth handshake (and bastion hops).
+// Sockets live in ~/.claude/remote/cm-<pid>-<hash>; the master is health-checked
+// with `ssh -O check`, restarted when it dies, and closed by dispose(). If the
+// socket is unusable, ssh falls back to a direct connection by itself.
+// ---------------------------------------------------------------------------
+
+const SSH_CONTROL_DIR = path.join(os.homedir(), ".claude", "remote");
+const SSH_MASTER_START_TIMEOUT = 20000;
+const SSH_MASTER_CHECK_INTERVAL = 60000;
+const SSH_MASTER_RETRY_DELAY = 5 * 60 * 1000; // after a failed start, connect directly for a while
+
+const _sshMasters = new Map(); // host → { host, controlPath, proc, ready, timer, closed }
+const _sshMasterFailedAt = new Map(); // host → time of the last failed start
+let _sshControlDirSwept = false;
+
+function useSshControlMaster() {
+    // Windows OpenSSH has no ControlMaster support
+    return process.platform !== "win32" &&
+        vscode.workspace.getConfiguration("claudeCode").get("sshControlMaster", true);
+}
+
+// Remove sockets left by windows that crashed before closing their masters
+function sweepSshControlDir() {
+    let names = [];
+    try { names = fs.readdirSync(SSH_CONTROL_DIR); } catch (_) { return; }
+    for (const name of names) {
+        const m = /^cm-(\d+)-/.exec(name);
+        if (!m || Number(m[1]) === process.pid) continue;
+        try {
+            process.kill(Number(m[1]), 0);
+        } catch (err) {
+            if (err.code === "ESRCH") fs.rmSync(path.join(SSH_CONTROL_DIR, name), { force: true });
+        }
+    }
+}
+
+async function checkSshMaster(master) {
+    try {
+        const { code } = await runLocal("ssh", [
+            "-O", "check", "-o", `ControlPath=${master.controlPath}`, ...sshConfigArgs(), "--", master.host
+        ], 5000);
+        return code === 0;
+    } catch (_) {
+        return false;
+    }
+}
+
+function startSshMaster(host) {
+    const master = { host, controlPath: null, proc: null, ready: null, timer: null, closed: false };
+    master.ready = launchSshMaster(master).catch((err) => {
+        _sshMasterFailedAt.set(host, Date.now());
+        if (_logger) _logger.warn(`forceLocal: SSH connection sharing unavailable for ${host}, using separate connections: ${err.message}`);
+        stopSshMaster(master);
+        return false;
+    });
+    return master;
+}
+
+async function launchSshMaster(master) {
+    const host = master.host;
+    fs.mkdirSync(SSH_CONTROL_DIR, { recursive: true, mode: 0o700 });
+    if (!_sshControlDirSwept) {
+        _sshControlDirSwept = true;
+        sweepSshControlDir();
+    }
+    // %C (a hash of host, port and user) keeps the path short enough for a unix socket.
+    // The pid makes it ours alone, so a socket already there is left from a master that died.
+    const template = path.join(SSH_CONTROL_DIR, `cm-${process.pid}-%C`);
+    const resolved = await runLocal("ssh", ["-G", "-o", `ControlPath=${template}`, ...sshConfigArgs(), "--", host]);
+    const socketMatch = /^controlpath (.+)$/m.exec(resolved.stdout);
+    if (!socketMatch) throw new Error(`ssh -G ${host} failed: ${resolved.stderr.trim()}`);
+    const socketPath = socketMatch[1].trim();
+    fs.rmSync(socketPath, { force: true });
+    if (master.closed) return false; // disposed meanwhile
+
+    master.controlPath = socketPath;
+    master.proc = spawn("ssh", [
+        "-M", "-N", "-o", "ControlMaster=yes", "-o", `ControlPath=${socketPath}`, "-o", "ControlPersist=no",
+        "-o", "ServerAliveInterval=30", "-o", "ServerAliveCountMax=3",
+        ...buildSshArgs(host)
+    ], { env: { ...process.env }, stdio: ["ignore", "ignore", "pipe"] });
+
+    let stderr = "";
+    master.proc.stderr.on("data", (d) => { if (stderr.length < 4096) stderr += d.toString(); });
+    const onClosed = () => {
+        clearInterval(master.timer);
+        if (_sshMasters.get(host) === master) _sshMasters.delete(host);
+        fs.rmSync(socketPath, { force: true });
+        master.closed = true;
+    };
+    master.proc.on("exit", onClosed);
+    master.proc.on("error", onClosed);
+
+    const deadline = Date.now() + SSH_MASTER_START_TIMEOUT;
+    while (!master.closed && Date.now() < deadline) {
+        if (await checkSshMaster(master)) {
+            master.timer = setInterval(async () => {
+                if (!(await checkSshMaster(master))) {
+                    if (_logger) _logger.warn(`forceLocal: shared SSH connection to ${host} failed its health check; reconnecting on next use`);
+                    stopSshMaster(master);
+                }
+            }, SSH_MASTER_CHECK_INTERVAL);
+            if (master.timer.unref) master.timer.unref();
+            if (_logger) _logger.info(`forceLocal: shared SSH connection to ${host} established`);
+            return true;
+        }
+        await new Promise(r => setTimeout(r, 200));
+    }
+    throw new Error(stderr.trim() || "master connection did not start in time");
+}
+
+function stopSshMaster(master) {
+    clearInterval(master.timer);
+    if (_sshMasters.get(master.host) === master) _sshMasters.delete(master.host);
+    if (master.proc && !master.closed) master.proc.kill("SIGTERM"); // exit handler removes the socket
+    else master.closed = true;
+}
+
+// ControlPath of a healthy master for host (starting one if needed), or null to connect directly
+async function getSshControlPath(host) {
+    if (!useSshControlMaster()) return null;
+    let master = _sshMasters.get(host);
+    if (!master) {
+        if (Date.now() - (_sshMasterFailedAt.get(host) || 0) < SSH_MASTER_RETRY_DELAY) return null;
+        master = startSshMaster(host);
+        _sshMasters.set(host, master);
+    }
+    return (await master.ready) && !master.closed ? master.controlPath : null;
+}
+
+const SSH_PID_MARKER_RE = /^@@claude-pid (\d*)\r?$/; // empty if ps is missing on the remote
+const _sshDialects = new Map(); // host → login-shell dialect
+
+async function getSshDialect(host) {
+    await verifyHostKey(host); // so a declined prompt fails here rather than leaving "unknown" behind
+    if (!_sshDialects.has(host)) {
+        _sshDialects.set(host, "unknown"); // dialect-neutral wrapper while probing
+        try {
+            const probe = await sshRun(host, wrapForShell(SHELL_PROBE, "unknown"), 15000);
+            _sshDialects.set(host, shellDialect(probe.stdout));
+        } catch (_) {}
+    }
+    return _sshDialects.get(host);
+}
+
+// Signal a remote process group started by sshExec()
+async function sshKillRemote(host, pgid, signal = "TERM") {
+    const cmd = wrapForShell(`kill -${signal} -${pgid} 2>/dev/null`, _sshDialects.get(host) || "unknown");
+    const master = _sshMasters.get(host);
+    return new Promise((resolve) => {
+        const sshArgs = buildSshArgs(host, master && !master.closed ? master.controlPath : null);
+        sshArgs.push(cmd);
+        const proc = spawn("ssh", sshArgs, { env: { ...process.env }, stdio: "ignore" });
+        proc.on("close", resolve);
+        proc.on("error", resolve);
+    });
+}
+
+// timeoutMs <= 0 disables the timeout (background jobs)
+async function sshExec(host, command, cwd, timeoutMs = 120000, opts = {}) {
+    // Report the process group first so timeouts/cancellation can kill the whole remote tree
+    const cdPart = cwd ? `cd ${shellEscape(cwd)} || exit 1\n` : "";
+    const script = "echo \"@@claude-pid $(ps -o pgid= -p $$ | tr -d ' ')\" >&2\n" +
+        `${cdPart}(\n${command}\n) </dev/null`;
+    return sshRun(host, wrapForShell(script, await getSshDialect(host)), timeoutMs, opts);
+}
+
+// Run an already-wrapped command line through ssh
+async function sshRun(host, remoteCommand, timeoutMs, opts = {}) {
+    await verifyHostKey(host);
+    const controlPath = await getSshControlPath(host);
+    if (opts.signal && opts.signal.aborted) throw new Error("Command cancelled");
+    return new Promise((resolve, reject) => {
+        const sshArgs = buildSshArgs(host, controlPath);
+        sshArgs.push(remoteCommand);
+
+        const proc = spawn("ssh", sshArgs, { env: { ...process.env } });
+        let stdout = "", stderr = "";
+        let stderrHead = null; // buffers stderr until the pid marker line is seen
+        let remotePgid = null;
+        let stopped = null; // { reason, timeoutMs } once the command is being killed
+        let escalated = false;
+        let closed = false;
+        let escalateTimer = null;
+        const MAX_BUFFER = 5 * 1024 * 1024;
+
+        // SIGTERM the remote process group; SIGKILL it if the session is still open after the grace period
+        const signalRemote = () => {
+            if (remotePgid) sshKillRemote(host, remotePgid, "TERM");
+            else proc.kill("SIGTERM"); // group not known yet; sshd hangs up the remote side
+            escalateTimer = setTimeout(() => {
+                if (closed) return;
+                escalated = true;
+                const local = () => proc.kill("SIGKILL");
+                if (remotePgid) sshKillRemote(host, remotePgid, "KILL").then(local);
+                else local();
+            }, KILL_GRACE_MS);
+        };
+        const stop = (reason) => {
+            if (stopped) return;
+            stopped = { reason, timeoutMs };
+            signalRemote();
+        };
+        const timer = timeoutMs > 0 ? setTimeout(() => stop("timeout"), timeoutMs) : null;
+        const onAbort = () => stop("cancelled");
+        if (opts.signal) opts.signal.addEventListener("abort", onAbort, { once: true });
+        const cleanup = () => {
+            closed = true;
+            clearTimeout(timer);
+            clearTimeout(escalateTimer);
+            if (opts.signal) opts.signal.removeEventListener("abort", onAbort);
+        };
+        const onData = (stream) => (d) => {
+            let text = d.toString();
+            if (stream === "stderr" && stderrHead !== false) {
+                stderrHead = (stderrHead || "") + text;
+                const nl = stderrHead.indexOf("\n");
+                if (nl < 0) return;
+                const m = SSH_PID_MARKER_RE.exec(stderrHead.slice(0, nl));
+                if (m && m[1]) remotePgid = parseInt(m[1], 10);
+                text = m ? stderrHead.slice(nl + 1) : stderrHead;
+                stderrHead = false;
+                if (!text) return;
+            }
+            if (stream === "stdout" && stdout.length < MAX_BUFFER) stdout += text;
+            if (stream === "stderr" && stderr.length < MAX_BUFFER) stderr += text;
+            if (opts.onOutput) {
+                try { opts.onOutput(stream, text); } catch (_) {}
+            }
+        };
+        proc.stdout.on("data", onData("stdout"));
+        proc.stderr.on("data", onData("stderr"));
+        proc.on("close", (code) => {
+            cleanup();
+            if (typeof stderrHead === "string") stderr += stderrHead;
+            if (stopped) reject(commandStoppedError(stopped, remotePgid, escalated, stdout, stderr));
+            else if (code === 255 && /Host key verification failed/.test(stderr)) {
+                _hostKeyChecks.delete(host); // re-check (and prompt again if the key is now unknown)
+                reject(new Error(`SSH host key verification failed for ${host}. If the key changed, this may be a ` +
+                    `man-in-the-middle attack; check known_hosts before reconnecting.\n${stderr.trim()}`));
+            } else resolve({ stdout, stderr, exitCode: code });
+        });
+        proc.on("error", (err) => {
+            cleanup();
+            reject(err.code === "ENOENT" ? new Error("SSH client not found.") : err);
+        });
+    });
+}
+
+/**
+ * Run a command on the remote host.
+ * opts.onOutput(stream, text) receives output as it arrives (agent and SSH paths only);
+ * opts.signal aborts the command.
+ * opts.background with timeoutMs 0 runs without a timeout; the terminal fallback can't do that.
+ * opts.owner identifies the conversation for fair scheduling (foreground commands only).
+ */
+async function execRemoteCommand(command, cwd, timeoutMs = 120000, opts = {}) {
+    // Background jobs run for as long as they like, so they don't hold a slot
+    if (opts.background) return dispatchRemoteCommand(command, cwd, timeoutMs, opts);
+    return _scheduler.run(opts.owner || "default", opts.signal,
+        () => dispatchRemoteCommand(command, cwd, timeoutMs, opts));
+}
+
+async function dispatchRemoteCommand(command, cwd, timeoutMs, opts) {
+    const config = vscode.workspace.getConfiguration("claudeCode");
+    const useSSH = config.get("useSSHExec", false);
+
+    if (useSSH) {
+        const host = getSshHost();
+        if (!host) throw new Error("No SSH host configured");
+        return sshExec(host, command, cwd, timeoutMs, opts);
+    }
+
+    if (config.get("useRemoteAgent", true)) {
+        const agent = await getRemoteAgent();
+        if (agent) return agent.exec(command, cwd, timeoutMs, opts);
+    }
+
+    if (opts.background) {
+        // Guarded by supportsBackgroundExec(); kept as a safety net
+        throw new Error("Background commands need the remote agent (claudeCode.useRemoteAgent) or claudeCode.useSSHExec; the terminal fallback would block all other commands.");
+    }
+    return remoteExec(command, cwd, timeoutMs, opts);
+}
+
+async function supportsBackgroundExec() {
+    const config = vscode.workspace.getConfiguration("claudeCode");
+    if (config.get("useSSHExec", false)) return true;
+    if (!config.get("useRemoteAgent", true)) return false;
+    return (await getRemoteAgent()) !== null;
+}
+
+// ---------------------------------------------------------------------------
+// Background jobs — bash commands started with run_in_background. Output is
+// buffered here and handed out incrementally by bash_output; kill_shell aborts
+// the job, which terminates its remote process group. Jobs belong to the
+// conversation that started them and are stopped when it closes.
+// ---------------------------------------------------------------------------
+
+const _backgroundJobs = new Map(); // jobId → job
+const JOB_MAX_BUFFER = 5 * 1024 * 1024;
+const JOB_MAX_FINISHED = 20; // finished jobs kept with unread output; the oldest are dropped first
+let _jobCounter = 0;
+
+/**
+ * Start a background job.
+ * execCommand is the fully wrapped shell command (see buildSessionCommand).
+ * opts.owner: the conversation's command scope; only it can see and stop the job
+ * opts.run:   replaces execRemoteCommand (tests)
+ */
+function startBackgroundJob(command, cwd, execCommand, opts = {}) {
+    const id = `bash_${++_jobCounter}`;
+    const controller = new AbortController();
+    const job = {
+        id, command, cwd,
+        owner: opts.owner || null,
+        startTime: Date.now(),
+        status: "running", // running | completed | failed | killed
+        exitCode: null,
+        error: null,
+        output: "",
+        readOffset: 0, // position in output already returned by bash_output
+        dropped: 0,    // chars discarded from the head once output exceeded JOB_MAX_BUFFER
+        controller
+    };
+
+    const onOutput = (stream, text) => {
+        job.output += text;
+        if (job.output.length > JOB_MAX_BUFFER) {
+            const excess = job.output.length - JOB_MAX_BUFFER;
+            job.output = job.output.slice(excess);
+            job.readOffset = Math.max(0, job.readOffset - excess);
+            job.dropped += excess;
+        }
+    };
+
+    _backgroundJobs.set(id, job);
+    commandStarted();
+    const run = opts.run || execRemoteCommand;
+    job.done = run(execCommand, cwd, 0, {
+        onOutput, signal: controller.signal, background: true
+    }).then(({ exitCode }) => {
+        job.status = "completed";
+        job.exitCode = exitCode;
+    }, (err) => {
+        job.status = controller.signal.aborted ? "killed" : "failed";
+        job.error = err.message;
+    }).finally(() => {
+        commandFinished();
+        pruneFinishedJobs();
+    });
+    return job;
+}
+
+function findBackgroundJob(owner, id) {
+    const job = _backgroundJobs.get(id);
+    return job && job.owner === owner ? job : null;
+}
+
+function backgroundJobIds(owner) {
+    return Array.from(_backgroundJobs.values()).filter((job) => job.owner === owner).map((job) => job.id);
+}
+
+// Returns output produced since the previous call (optionally filtered by a regex).
+// A finished job is forgotten once all of its output has been returned.
+function readBackgroundJobOutput(job, filter) {
+    const re = filter ? new RegExp(filter) : null; // may throw: nothing is consumed then
+    let text = job.output.slice(job.readOffset);
+    job.readOffset = job.output.length;
+    if (re) text = text.split("\n").filter((line) => re.test(line)).join("\n");
+    if (job.status !== "running") _backgroundJobs.delete(job.id);
+    return text;
+}
+
+// Keep at most JOB_MAX_FINISHED finished jobs (each may hold up to JOB_MAX_BUFFER of output)
+function pruneFinishedJobs() {
+    const finished = Array.from(_backgroundJobs.values()).filter((job) => job.status !== "running");
+    for (const job of finished.slice(0, Math.max(0, finished.length - JOB_MAX_FINISHED))) {
+        _backgroundJobs.delete(job.id);
+    }
+}
+
+// Abort and forget the owner's jobs (all jobs when owner is undefined)
+function stopBackgroundJobs(owner) {
+    for (const job of Array.from(_backgroundJobs.values())) {
+        if (owner !== undefined && job.owner !== owner) continue;
+        if (job.status === "running") job.controller.abort();
+        _backgroundJobs.delete(job.id);
+    }
+}
+
+// Foreground commands of one conversation, so a user interrupt can stop them all.
+// Background jobs are not tracked here: they run until kill_shell or the conversation closes.
+function createCommandScope() {
+    const running = new Set(); // AbortController per in-flight command
+    return {
+        // Returns { signal, end } — signal also fires when the MCP request is cancelled
+        begin(requestSignal) {
+            const controller = new AbortController();
+            const onAbort = () => controller.abort();
+            if (requestSignal) {
+                if (requestSignal.aborted) controller.abort();
+                else requestSignal.addEventListener("abort", onAbort, { once: true });
+            }
+            running.add(controller);
+            return {
+                signal: controller.signal,
+                end() {
+                    running.delete(controller);
+                    if (requestSignal) requestSignal.removeEventListener("abort", onAbort);
+                }
+            };
+        },
+        interrupt() {
+            for (const controller of running) controller.abort();
+            running.clear();
+        }
+    };
+}
+
+// ---------------------------------------------------------------------------
+// Shell sessions — keep cwd, exported environment, functions and aliases
+// between bash calls of one conversation. After each command the state is
+// snapshotted to a file in the private session directory (umask 077) and
+// sourced again before the next one. registerTools() creates one session per conversation.
+// ---------------------------------------------------------------------------
+
+const CWD_MARKER = "@@claude-cwd@@";
+const CWD_MARKER_RE = new RegExp(`\\n?${CWD_MARKER}([^\\n]*)\\n?$`);
+const CWD_MARKER_LINE_RE = new RegExp(`\\n?${CWD_MARKER}[^\\n]*\\n?`);
+
+let _shellCounter = 0;
+
+function createShellSession() {
+    return {
+        name: `shell_${++_shellCounter}`,
+        statePath: null, // set by prepareShellSession() inside the private session directory
+        cwd: null // last reported cwd; null until the first command completes
+    };
+}
+
+// Resolved on every call: the session directory is recreated if it disappeared
+async function prepareShellSession(session) {
+    session.statePath = `${await getSessionDir()}/${session.name}`;
+    return session;
+}
+
+/**
+ * Wrap a bash command so it runs inside the session.
+ * opts.persist: save the resulting state and report the cwd (false for background jobs)
+ * opts.reset:   discard the saved state first
+ */
+function buildSessionCommand(session, command, cwd, opts = {}) {
+    const persist = opts.persist !== false;
+    const state = shellEscape(session.statePath);
+    const parts = ["shopt -s expand_aliases"];
+    if (opts.reset) parts.push(`rm -f ${state}`);
+    parts.push(`if [ -f ${state} ]; then . ${state} 2>/dev/null; fi`);
+    if (cwd) parts.push(`cd ${shellEscape(cwd)} || exit 1`);
+    parts.push(`eval ${shellEscape(command)}`);
+    if (persist) {
+        parts.push(
+            "__claude_rc=$?",
+            `(umask 077; { printf 'cd %q\\n' "$PWD"; export -p; declare -f; alias -p; } > ${state}.tmp && mv -f ${state}.tmp ${state})`,
+            `printf '\\n${CWD_MARKER}%s\\n' "$PWD"`,
+            "exit $__claude_rc"
+        );
+    }
+    return `bash -c ${shellEscape(parts.join("; "))}`;
+}
+
+// Strip the trailing cwd marker from stdout; updates session.cwd
+function takeSessionCwd(session, stdout) {
+    const m = stdout.match(CWD_MARKER_RE);
+    if (!m) return stdout;
+    session.cwd = m[1];
+    return stdout.slice(0, m.index);
+}
+
+/**
+ * Filter for streamed stdout: drops the cwd marker line (the last thing the command prints).
+ * A chunk ending in what may be the start of the marker is held back until the next chunk.
+ */
+function createCwdMarkerFilter() {
+    const lead = "\n" + CWD_MARKER;
+    let held = "";
+    let done = false;
+    return (text) => {
+        if (done) return "";
+        text = held + text;
+        held = "";
+        const at = text.indexOf(CWD_MARKER);
+        if (at >= 0) {
+            done = true;
+            return text.slice(0, at).replace(/\n$/, "");
+        }
+        for (let i = Math.max(0, text.length - lead.length); i < text.length; i++) {
+            const tail = text.slice(i);
+            if (lead.startsWith(tail) || CWD_MARKER.startsWith(tail)) {
+                held = tail;
+                return text.slice(0, i);
+            }
+        }
+        return text;
+    };
+}
+
+// The conversation is closed: delete its saved state
+function disposeShellSession(session) {
+    if (!session.statePath) return;
+    vscode.workspace.fs.delete(getRemoteUri(session.statePath)).then(() => {}, () => {});
+    session.statePath = null;
+}
+
+// ---------------------------------------------------------------------------
+// Output progress — forwards incremental command output while a tool runs,
+// as MCP progress notifications and (via onToolProgress) to the webview.
+// ---------------------------------------------------------------------------
+
+const PROGRESS_INTERVAL = 1000;
+const PROGRESS_TAIL_CHARS = 4000;
+
+// Set by the CLI on tools/call; null when the call didn't come from the CLI
+function toolUseIdOf(extra) {
+    const meta = (extra && extra._meta) || {};
+    return meta["claudecode/toolUseId"] || null;
+}
+
+function createOutputProgress(extra, toolName, onToolProgress) {
+    const meta = (extra && extra._meta) || {};
+    const progressToken = meta.progressToken;
+    const toolUseId = toolUseIdOf(extra); // absent → no webview updates
+    const startTime = Date.now();
+    let tail = "";
+    let received = 0;
+    let timer = null;
+
+    const flush = () => {
+        timer = null;
+        const text = tail.slice(-PROGRESS_TAIL_CHARS);
+        if (progressToken !== undefined && extra.sendNotification) {
+            extra.sendNotification({
+                method: "notifications/progress",
+                params: { progressToken, progress: received, message: text }
+            }).catch(() => {});
+        }
+        if (onToolProgress && toolUseId) {
+            try {
+                onToolProgress({ toolUseId, toolName, output: text, elapsedSeconds: Math.round((Date.now() - startTime) / 1000) });
+            } catch (_) {}
+        }
+    };
+
+    return {
+        onOutput(stream, text) {
+            received += text.length;
+            tail += text;
+            if (tail.length > PROGRESS_TAIL_CHARS * 2) tail = tail.slice(-PROGRESS_TAIL_CHARS);
+            if (!timer) timer = setTimeout(flush, PROGRESS_INTERVAL);
+        },
+        // The command ended: send what the last interval held back, before the tool result
+        done() {
+            if (!timer) return;
+            clearTimeout(timer);
+            flush();
+        }
+    };
+}
+
+/**
+ * The webview message for one onToolProgress() update. tool_progress is the
+ * CLI's own message for a running tool (the webview shows its elapsed time);
+ * output, the tail of what the command printed so far, is ours. The webview
+ * renders it in the Bash tool block, and ignores it where it doesn't know it.
+ */
+function toolProgressMessage({ toolUseId, toolName, output, elapsedSeconds }) {
+    return {
+        type: "tool_progress",
+        tool_use_id: toolUseId,
+        tool_name: toolName,
+        parent_tool_use_id: null,
+        elapsed_time_seconds: elapsedSeconds,
+        output
+    };
+}
+
+// ---------------------------------------------------------------------------
+// String edits — same semantics as the built-in Edit/MultiEdit tools, so the
+// diff the chat panel derives from the tool input matches what gets written.
+// ---------------------------------------------------------------------------
+
+const NEAR_MATCH_MAX_WORK = 200000;   // line comparisons for a fuzzy search without anchors
+const NEAR_MATCH_MIN_SCORE = 0.6;
+const NEAR_MATCH_MAX_LINES = 12;       // differing lines shown in an error
+
+// 1-based line numbers of every occurrence of needle
+function matchLineNumbers(text, needle) {
+    const lines = [];
+    let line = 1;
+    let scanned = 0;
+    for (let at = text.indexOf(needle); at !== -1; at = text.indexOf(needle, at + needle.length)) {
+        for (let i = text.indexOf("\n", scanned); i !== -1 && i < at; i = text.indexOf("\n", i + 1)) line++;
+        scanned = at;
+        lines.push(line);
+    }
+    return lines;
+}
+
+function collapseWhitespace(line) {
+    return line.replace(/\s+/g, " ").trim();
+}
+
+// Dice coefficient over character bigrams, 0..1
+function lineSimilarity(a, b) {
+    if (a === b) return 1;
+    if (a.length < 2 || b.length < 2) return 0;
+    const bigrams = new Map();
+    for (let i = 0; i < a.length - 1; i++) {
+        const bg = a.substr(i, 2);
+        bigrams.set(bg, (bigrams.get(bg) || 0) + 1);
+    }
+    let shared = 0;
+    for (let i = 0; i < b.length - 1; i++) {
+        const bg = b.substr(i, 2);
+        const n = bigrams.get(bg);
+        if (n) {
+            shared++;
+            bigrams.set(bg, n - 1);
+        }
+    }
+    return (2 * shared) / (a.length + b.length - 2);
+}
+
+// The window of file lines that best matches needle's lines: { start, score, whitespaceOnly }.
+// needle may begin or end mid-line, so its first and last lines only need to end/start a file line.
+function findNearMatch(text, needle) {
+    const fileLines = text.split("\n");
+    const wanted = needle.replace(/\n$/, "").split("\n").map(collapseWhitespace);
+    const n = wanted.length;
+    const have = fileLines.map(collapseWhitespace);
+    const fits = (i, j) => {
+        if (n === 1) return have[i + j].includes(wanted[j]);
+        if (j === 0) return have[i].endsWith(wanted[0]);
+        if (j === n - 1) return have[i + j].startsWith(wanted[j]);
+        return have[i + j] === wanted[j];
+    };
+
+    for (let i = 0; i + n <= have.length; i++) {
+        let j = 0;
+        while (j < n && fits(i, j)) j++;
+        if (j === n && wanted.some((w) => w !== "")) return { start: i, score: 1, whitespaceOnly: true };
+    }
+
+    // Only score windows where some old_string line appears unchanged, unless the file is small
+    const windows = n * Math.max(0, have.length - n + 1);
+    let starts = null;
+    if (windows > NEAR_MATCH_MAX_WORK) {
+        const wantedAt = new Map();
+        wanted.forEach((w, j) => {
+            if (w.length < 4) return;
+            if (!wantedAt.has(w)) wantedAt.set(w, []);
+            wantedAt.get(w).push(j);
+        });
+        starts = new Set();
+        have.forEach((h, k) => {
+            for (const j of wantedAt.get(h) || []) {
+                if (k - j >= 0 && k - j + n <= have.length) starts.add(k - j);
+            }
+        });
+        if (starts.size * n > NEAR_MATCH_MAX_WORK) return null;
+    }
+    let best = null;
+    for (const i of starts || Array.from({ length: Math.max(0, have.length - n + 1) }, (_, k) => k)) {
+        let score = 0;
+        for (let j = 0; j < n; j++) score += lineSimilarity(have[i + j], wanted[j]);
+        score /= n;
+        if (!best || score > best.score) best = { start: i, score, whitespaceOnly: false };
+    }
+    return best && best.score >= NEAR_MATCH_MIN_SCORE ? best : null;
+}
+
+// Tabs, spaces and carriage returns made visible
+function showWhitespace(line) {
+    return JSON.stringify(line.replace(/\t/g, "→").replace(/ /g, "·").replace(/\r/g, "␍")).slice(1, -1);
+}
+
+// "Not found" help: where the closest match is and how its lines differ from old_string
+function describeNearMatch(text, needle) {
+    const match = findNearMatch(text, needle);
+    if (!match) return "";
+    const fileLines = text.split("\n");
+    const wanted = needle.replace(/\n$/, "").split("\n");
+    const first = match.start + 1;
+    const last = match.start + wanted.length;
+    const where = first === last ? `line ${first}` : `lines ${first}-${last}`;
+    const out = [match.whitespaceOnly
+        ? `The closest match (${where}) differs only in whitespace (tabs shown as →, spaces as ·):`
+        : `The closest match (${where}, ${Math.floor(match.score * 100)}% similar) differs here (tabs shown as →, spaces as ·):`];
+    let shown = 0;
+    wanted.forEach((w, j) => {
+        const actual = fileLines[match.start + j];
+        if (wanted.length === 1 ? actual.includes(w)
+            : j === 0 ? actual.endsWith(w)
+            : j === wanted.length - 1 ? actual.startsWith(w)
+            : actual === w) return;
+        if (++shown > NEAR_MATCH_MAX_LINES) return;
+        out.push(`  line ${match.start + j + 1}:`);
+        out.push(`    file:       ${showWhitespace(actual)}`);
+        out.push(`    old_string: ${showWhitespace(w)}`);
+    });
+    if (shown === 0) return "";
+    if (shown > NEAR_MATCH_MAX_LINES) out.push(`  ... and ${shown - NEAR_MATCH_MAX_LINES} more differing lines`);
+    return out.join("\n");
+}
+
+// Apply { old_string, new_string, replace_all } edits in order. Throws (naming the
+// edit) if any of them doesn't apply; the caller writes nothing in that case.
+function applyEdits(text, edits, filePath) {
+    const label = (i) => edits.length > 1 ? `Edit ${i + 1}: ` : "";
+    const applied = [];
+    let result = text;
+    edits.forEach((edit, i) => {
+        const { old_string, new_string, replace_all } = edit;
+        if (old_string === new_string) {
+            throw new Error(`${label(i)}old_string and new_string are identical`);
+        }
+        if (old_string === "") {
+            throw new Error(`${label(i)}old_string is empty; use write_file to create or overwrite a file`);
+        }
+        if (applied.some((prev) => prev !== "" && prev.includes(old_string))) {
+            throw new Error(`${label(i)}old_string is a substring of a new_string from a previous edit`);
+        }
+        // Deleting a whole line takes its line break with it
+        const target = new_string === "" && !old_string.endsWith("\n") && result.includes(old_string + "\n")
+            ? old_string + "\n" : old_string;
+        const count = result.split(target).length - 1;
+        if (count === 0) {
+            const hint = describeNearMatch(result, old_string);
+            throw new Error(`${label(i)}old_string not found in ${filePath}` + (hint ? "\n" + hint : ""));
+        }
+        if (count > 1 && !replace_all) {
+            const lines = matchLineNumbers(result, target);
+            const shown = lines.slice(0, 20).join(", ") + (lines.length > 20 ? ", ..." : "");
+            throw new Error(`${label(i)}old_string found ${count} times in ${filePath} (lines ${shown}). ` +
+                "Provide more context to make it unique, or set replace_all to change every occurrence.");
+        }
+        // Function replacements: "$&", "$1" etc. in new_string stay literal
+        result = replace_all
+            ? result.split(target).join(new_string)
+            : result.replace(target, () => new_string);
+        applied.push(new_string);
+    });
+    if (result === text) {
+        throw new Error(`Edits leave ${filePath} unchanged`);
+    }
+    return result;
+}
+
+// ---------------------------------------------------------------------------
+// Jupyter notebooks — cells are edited on the parsed JSON, so outputs and
+// metadata survive, and the file is written back in Jupyter's own layout.
+// ---------------------------------------------------------------------------
+
+function parseNotebook(text, filePath) {
+    let nb;
+    try {
+        nb = JSON.parse(text);
+    } catch (err) {
+        throw new Error(`${filePath} is not valid notebook JSON: ${err.message}`);
+    }
+    if (!nb || !Array.isArray(nb.cells)) {
+        throw new Error(`${filePath} is not a Jupyter notebook (no cells array)`);
+    }
+    return nb;
+}
+
+// End (exclusive) of the JSON value starting at text[start]; text is known to be valid JSON
+function jsonValueEnd(text, start) {
+    let depth = 0;
+    let i = start;
+    do {
+        const ch = text[i];
+        if (ch === '"') {
+            for (i++; text[i] !== '"'; i++) if (text[i] === "\\") i++;
+        } else if (ch === "{" || ch === "[") {
+            depth++;
+        } else if (ch === "}" || ch === "]") {
+            depth--;
+        } else if (depth === 0) {
+            while (i + 1 < text.length && !/[,}\]\s]/.test(text[i + 1])) i++;
+        }
+        i++;
+    } while (depth > 0);
+    return i;
+}
+
+// [key, start, end] of each member of the object, or [null, start, end] of each element of the array, at text[start]
+function jsonChildSpans(text, start) {
+    const spans = [];
+    const skip = (i) => { while (/\s/.test(text[i])) i++; return i; };
+    let i = skip(start + 1);
+    while (text[i] !== "}" && text[i] !== "]") {
+        let key = null;
+        if (text[start] === "{") {
+            const keyEnd = jsonValueEnd(text, i);
+            key = JSON.parse(text.slice(i, keyEnd));
+            i = skip(skip(keyEnd) + 1); // past the colon
+        }
+        const end = jsonValueEnd(text, i);
+        spans.push([key, i, end]);
+        i = skip(end);
+        if (text[i] === ",") i = skip(i + 1);
+    }
+    return spans;
+}
+
+// Same indentation (Jupyter uses 1 space) and trailing newline as the original file. Values the edit
+// left alone are copied from the original text: JSON.parse/stringify would turn 1.0 into 1 and round
+// integers past 2^53, and metadata or outputs written by other tools can hold either.
+function serializeNotebook(nb, originalText) {
+    const detected = (originalText.match(/^\{\r?\n([ \t]+)"/) || [])[1];
+    const indent = detected !== undefined ? detected : /^\{\r?\n/.test(originalText) ? " " : "";
+    const fresh = (value, depth) => JSON.stringify(value, null, indent).replace(/\n/g, "\n" + indent.repeat(depth));
+    const layout = (open, close, items, depth) => {
+        if (items.length === 0) return open + close;
+        if (!indent) return open + items.join(",") + close;
+        const pad = indent.repeat(depth + 1);
+        return `${open}\n${pad}${items.join(",\n" + pad)}\n${indent.repeat(depth)}${close}`;
+    };
+
+    // value: the edited notebook's; original: what text[start] parsed to, if there was one
+    const emit = (value, original, start, depth) => {
+        if (start === undefined) return fresh(value, depth);
+        const end = jsonValueEnd(originalText, start);
+        if (JSON.stringify(value) === JSON.stringify(original)) return originalText.slice(start, end);
+        if (!value || typeof value !== "object" || !original || typeof original !== "object" ||
+            Array.isArray(value) !== Array.isArray(original)) {
+            return fresh(value, depth);
+        }
+        const spans = jsonChildSpans(originalText, start);
+        if (Array.isArray(value)) {
+            // Cells move on insert and delete: an unchanged element is found by content, a changed one by position
+            const byContent = new Map();
+            original.forEach((item, index) => {
+                const key = JSON.stringify(item);
+                if (!byContent.has(key)) byContent.set(key, []);
+                byContent.get(key).push(index);
+            });
+            const items = value.map((item, index) => {
+                const same = byContent.get(JSON.stringify(item));
+                const from = same && same.length ? same.shift() : (value.length === original.length ? index : undefined);
+                return from === undefined ? fresh(item, depth + 1) : emit(item, original[from], spans[from][1], depth + 1);
+            });
+            return layout("[", "]", items, depth);
+        }
+        const starts = new Map(spans.map(([key, valueStart]) => [key, valueStart]));
+        const items = Object.keys(value).map((key) =>
+            JSON.stringify(key) + (indent ? ": " : ":") + emit(value[key], original[key], starts.get(key), depth + 1));
+        return layout("{", "}", items, depth);
+    };
+
+    const start = originalText.search(/\S/);
+    const json = emit(nb, JSON.parse(originalText), start, 0);
+    return originalText.endsWith("\n") ? json + "\n" : json;
+}
+
+// nbformat stores source either as one string or as a list of lines (each keeping its "\n")
+function toCellSource(text, like) {
+    if (typeof like === "string") return text;
+    return text === "" ? [] : text.split(/(?<=\n)/);
+}
+
+// Index of the cell named by id (or "cell-N", as the built-in tools number cells) or by index
+function findCell(cells, cellId, cellIndex) {
+    if (cellId !== undefined) {
+        const byId = cells.findIndex((c) => c.id === cellId);
+        if (byId !== -1) return byId;
+        const numbered = /^cell-(\d+)$/.exec(cellId);
+        if (numbered && Number(numbered[1]) < cells.length) return Number(numbered[1]);
+        throw new Error(`Cell "${cellId}" not found (the notebook has ${cells.length} cells)`);
+    }
+    if (!Number.isInteger(cellIndex) || cellIndex < 0 || cellIndex >= cells.length) {
+        throw new Error(`Cell index ${cellIndex} is out of range (the notebook has ${cells.length} cells)`);
+    }
+    return cellIndex;
+}
+
+function cellLabel(cell, index) {
+    return cell.id ? `${cell.id} (index ${index})` : `at index ${index}`;
+}
+
+// Apply one notebook_edit to the parsed notebook in place; returns a summary line
+function applyNotebookEdit(nb, { cell_id, cell_index, new_source, cell_type, edit_mode }) {
+    const cells = nb.cells;
+    const mode = edit_mode || "replace";
+    const hasTarget = cell_id !== undefined || cell_index !== undefined;
+    if (mode !== "delete" && new_source === undefined) {
+        throw new Error(`new_source is required for ${mode}`);
+    }
+
+    if (mode === "insert") {
+        if (!cell_type) throw new Error("cell_type is required when inserting a cell");
+        const at = hasTarget ? findCell(cells, cell_id, cell_index) + 1 : 0;
+        const cell = { cell_type };
+        if (cell_type === "code") cell.execution_count = null;
+        // Cell ids exist from nbformat 4.5 on
+        if (nb.nbformat > 4 || (nb.nbformat === 4 && nb.nbformat_minor >= 5)) {
+            const ids = new Set(cells.map((c) => c.id));
+            do { cell.id = crypto.randomBytes(4).toString("hex"); } while (ids.has(cell.id));
+        }
+        cell.metadata = {};
+        if (cell_type === "code") cell.outputs = [];
+        // Jupyter writes lists of lines; use plain strings only if the notebook already does throughout
+        const stringSources = cells.length > 0 && cells.every((c) => typeof c.source === "string");
+        cell.source = toCellSource(new_source, stringSources ? "" : undefined);
+        cells.splice(at, 0, cell);
+        return `Inserted ${cell_type} cell ${cellLabel(cell, at)}`;
+    }
+
+    if (!hasTarget) throw new Error(`cell_id or cell_index is required for ${mode}`);
+    const index = findCell(cells, cell_id, cell_index);
+    const cell = cells[index];
+
+    if (mode === "delete") {
+        cells.splice(index, 1);
+        return `Deleted cell ${cellLabel(cell, index)}`;
+    }
+    if (mode !== "replace") throw new Error(`Unknown edit_mode "${mode}"`);
+
+    cell.source = toCellSource(new_source, cell.source);
+    if (cell_type && cell_type !== cell.cell_type) {
+        // Rebuild in nbformat key order: code cells need outputs, markdown cells can't have them
+        // (and attachments are markdown-only)
+        const changed = { cell_type };
+        if (cell_type === "code") changed.execution_count = null;
+        for (const key of Object.keys(cell)) {
+            if (key === "cell_type" || key === "execution_count" || key === "outputs" || key === "source") continue;
+            if (key === "attachments" && cell_type === "code") continue;
+            changed[key] = cell[key];
+        }
+        if (cell_type === "code") changed.outputs = [];
+        changed.source = cell.source;
+        cells[index] = changed;
+        return `Replaced cell ${cellLabel(changed, index)} and changed it to ${cell_type}`;
+    }
+    return `Replaced cell ${cellLabel(cell, index)}`;
+}
+
+const NOTEBOOK_OUTPUT_MAX_CHARS = 2000;   // per text output
+const NOTEBOOK_MAX_CHARS = 30000;         // rendered text per read; later cells are left for the next read
+const NOTEBOOK_MAX_IMAGES = 8;
+const NOTEBOOK_IMAGE_MAX_BYTES = 1024 * 1024;
+const NOTEBOOK_IMAGE_TYPES = ["image/png", "image/jpeg", "image/gif", "image/webp"];
+
+function joinSource(source) {
+    return Array.isArray(source) ? source.join("") : (source || "");
+}
+
+function capOutputText(text) {
+    // Tracebacks and progress bars carry terminal colour codes
+    text = text.replace(/\x1b\[[0-9;]*[A-Za-z]/g, "").replace(/\n$/, "");
+    if (text.length <= NOTEBOOK_OUTPUT_MAX_CHARS) return text;
+    return text.slice(0, NOTEBOOK_OUTPUT_MAX_CHARS) + `\n... [${text.length - NOTEBOOK_OUTPUT_MAX_CHARS} more characters]`;
+}
+
+function formatBytes(n) {
+    return n < 1024 ? `${n} B` : n < 1024 * 1024 ? `${Math.round(n / 1024)} KB` : `${(n / 1024 / 1024).toFixed(1)} MB`;
+}
+
+// One output as content blocks: text for streams/results/errors, an image block for plots
+function renderCellOutput(output, images) {
+    if (output.output_type === "stream") {
+        return [`<output type="stream" name="${output.name}">\n${capOutputText(joinSource(output.text))}\n</output>`];
+    }
+    if (output.output_type === "error") {
+        const trace = (output.traceback || []).join("\n");
+        return [`<output type="error">\n${capOutputText(trace || `${output.ename}: ${output.evalue}`)}\n</output>`];
+    }
+    const data = output.data || {};
+    const imageType = NOTEBOOK_IMAGE_TYPES.find((t) => typeof data[t] === "string");
+    if (imageType) {
+        const base64 = data[imageType].replace(/\s/g, "");
+        const size = formatBytes(Math.floor(base64.length * 3 / 4));
+        const open = `<output type="${output.output_type}">`;
+        if (images.count >= NOTEBOOK_MAX_IMAGES || base64.length * 3 / 4 > NOTEBOOK_IMAGE_MAX_BYTES) {
+            return [`${open}[${imageType} image, ${size} — not shown]</output>`];
+        }
+        images.count++;
+        return [`${open}[${imageType} image, ${size}]`, { type: "image", data: base64, mimeType: imageType }, "</output>"];
+    }
+    if (data["text/plain"] !== undefined) {
+        return [`<output type="${output.output_type}">\n${capOutputText(joinSource(data["text/plain"]))}\n</output>`];
+    }
+    const types = Object.keys(data);
+    return [`<output type="${output.output_type}">[${types.join(", ") || "empty"} output — not shown]</output>`];
+}
+
+// A notebook as MCP content: ordered cells with id, type, source and summarized outputs.
+// offset (1-based) / limit select cells, like lines for other files.
+function renderNotebook(nb, filePath, offset, limit) {
+    const cells = nb.cells;
+    const language = (nb.metadata && ((nb.metadata.kernelspec || {}).language || (nb.metadata.language_info || {}).name)) || "python";
+    const start = Math.max(0, (offset ?? 1) - 1);
+    const end = limit ? Math.min(cells.length, start + limit) : cells.length;
+    const blocks = [];
+    const images = { count: 0 };
+    let chars = 0;
+    const push = (piece) => {
+        if (typeof piece !== "string") return blocks.push(piece);
+        chars += piece.length + 1;
+        const last = blocks[blocks.length - 1];
+        if (last && last.type === "text") last.text += "\n" + piece;
+        else blocks.push({ type: "text", text: piece });
+    };
+
+    push(`Jupyter notebook ${filePath}: ${cells.length} cells, ${language}`);
+    let i = start;
+    for (; i < end; i++) {
+        if (i > start && chars > NOTEBOOK_MAX_CHARS) break;
+        const cell = cells[i];
+        const attrs = [cell.id ? `id="${cell.id}"` : null, `index="${i}"`, `type="${cell.cell_type}"`,
+            cell.cell_type === "code" && cell.execution_count != null ? `execution_count="${cell.execution_count}"` : null];
+        push(`<cell ${attrs.filter(Boolean).join(" ")}>`);
+        push(joinSource(cell.source));
+        for (const output of cell.outputs || []) {
+            for (const piece of renderCellOutput(output, images)) push(piece);
+        }
+        push("</cell>");
+    }
+    if (i < end) {
+        push(`\n... [${end - i} more cells not shown — read again with offset=${i + 1} to continue]`);
+    }
+    return blocks;
 }
 
 // ---------------------------------------------------------------------------
-// Remote command execution via VS Code hidden terminal
+// Text file output — the built-in Read tool's contract: `cat -n` numbering, a
+// default line cap, clipped long lines and a notice saying how to page on.
 // ---------------------------------------------------------------------------
 
-let _remoteTerminal = null;
-let _terminalReady = false;
-let _execCounter = 0;
+const READ_DEFAULT_LINES = 2000;
+const READ_MAX_LINE_CHARS = 2000;
+const READ_MAX_CHARS = 100000;   // whole output; paging stops early for very wide files
+
+/**
+ * Number and window the lines of a file. Range reads pass only the lines they
+ * fetched: firstLine is the 1-based number of lines[0], moreAfter says the file
+ * continues past them, and lineLengths (index → length) gives the original
+ * length of lines that were already clipped on the remote. totalLines is the
+ * file's line count when known.
+ */
+function formatFileLines(lines, filePath, { offset, limit, firstLine = 1, totalLines = null, moreAfter = false, lineLengths = null } = {}) {
+    const start = Math.max(1, offset ?? 1);
+    const max = limit && limit > 0 ? limit : READ_DEFAULT_LINES;
+    const out = [];
+    let chars = 0;
+    let lineNo = start;
+    for (let i = start - firstLine; i >= 0 && i < lines.length && out.length < max; i++, lineNo++) {
+        let line = lines[i];
+        const length = (lineLengths && lineLengths.get(i)) || line.length;
+        if (length > READ_MAX_LINE_CHARS) {
+            line = line.slice(0, READ_MAX_LINE_CHARS) + `... [line truncated, ${length - READ_MAX_LINE_CHARS} more characters]`;
+        }
+        const numbered = `${String(lineNo).padStart(6)}\t${line}`;
+        if (out.length > 0 && chars + numbered.length > READ_MAX_CHARS) break;
+        chars += numbered.length + 1;
+        out.push(numbered);
+    }
 
-function getRemoteTerminal() {
-    if (_remoteTerminal && !_remoteTerminal._isDisposed) {
-        return _remoteTerminal;
+    const lastAvailable = firstLine + lines.length - 1;
+    const total = totalLines ?? (moreAfter ? null : lastAvailable);
+    if (out.length === 0) {
+        if (total === 0) return `(${filePath} is empty)`;
+        if (total === null || firstLine > 1 && lines.length === 0) return `(${filePath} has fewer than ${start} lines)`;
+        return `(${filePath} has ${total} lines; offset ${start} is past the end)`;
     }
-    _remoteTerminal = vscode.window.createTerminal({
-        name: "Claude Code Remote Exec",
-        hideFromUser: true,
-        isTransient: true
-    });
-    _terminalReady = false;
-    return _remoteTerminal;
+    const shownLast = lineNo - 1;
+    const hasMore = shownLast < lastAvailable || moreAfter || (total !== null && shownLast < total);
+    if (start > 1 || hasMore) {
+        const of = total !== null ? ` of ${total}` : "";
+        const more = hasMore ? `; read again with offset=${shownLast + 1} to see more` : "";
+        out.push(`\n... [showing lines ${start}-${shownLast}${of}${more}]`);
+    }
+    return out.join("\n");
 }
 
-async function remoteExec(command, cwd, timeoutMs = 120000) {
-    const id = `${Date.now()}_${++_execCounter}`;
-    const tmpBase = `/tmp/.claude_exec_${id}`;
-    const terminal = getRemoteTerminal();
+// A file's text as lines; a trailing newline ends the last line rather than starting an empty one
+function splitLines(text) {
+    if (text === "") return [];
+    const lines = text.split("\n");
+    if (lines[lines.length - 1] === "") lines.pop();
+    return lines;
+}
+
+const DEFAULT_READ_MAX_MB = 5;
+const RANGE_READ_MIN_BYTES = 1024 * 1024;             // smaller files are fetched whole even for offset/limit reads
+const RANGE_LINE_MAX_BYTES = READ_MAX_LINE_CHARS * 4;  // clip lines on the remote: room for 2000 UTF-8 characters
+const RANGE_MAX_BYTES = READ_MAX_CHARS * 4;           // stop fetching once the output would be cut anyway
+const RANGE_READ_TIMEOUT = 120000;
+
+// Largest file read_file fetches whole, in bytes (claudeCode.remoteReadMaxSizeMB; 0 = no limit)
+function getReadMaxBytes() {
+    const mb = Number(vscode.workspace.getConfiguration("claudeCode").get("remoteReadMaxSizeMB", DEFAULT_READ_MAX_MB));
+    if (isNaN(mb)) return DEFAULT_READ_MAX_MB * 1024 * 1024;
+    return mb <= 0 ? Infinity : mb * 1024 * 1024;
+}
 
-    if (!_terminalReady) {
-        await new Promise(r => setTimeout(r, 500));
-        _terminalReady = true;
+/**
+ * Lines offset..offset+limit-1 of a remote file, cut out on the remote by awk,
+ * which stops reading right after the range. One extra line tells whether the
+ * file goes on. Over-long lines come back clipped, as "<start>\x1f<length>";
+ * a lone "\x1f" line means the byte budget ran out. Files in another encoding
+ * (a VS Code files.encoding id) are converted to UTF-8 by iconv on the way.
+ * Resolves with { lines, lineLengths, moreAfter, binary }.
+ */
+async function readLineRange(remotePath, offset, limit, execOpts, encoding) {
+    const start = Math.max(1, offset ?? 1);
+    const count = limit && limit > 0 ? limit : READ_DEFAULT_LINES;
+    const program = [
+        "NR < s { next }",
+        "NR > e { exit }",
+        "{ used += length($0) + 1 }",
+        "NR > s && used > budget { print \"\\037\"; exit }",
+        "length($0) > max { printf \"%s\\037%d\\n\", substr($0, 1, max), length($0); next }",
+        "{ print }"
+    ].join(" ");
+    const awk = `awk -v s=${start} -v e=${start + count} -v max=${RANGE_LINE_MAX_BYTES} -v budget=${RANGE_MAX_BYTES} ${shellEscape(program)}`;
+    const iconv = textEncoding.iconvName(encoding);
+    const script = iconv
+        ? `command -v iconv >/dev/null || { echo "iconv is needed to read ${iconv} files in parts" >&2; exit 1; }; ` +
+          `iconv -c -f ${iconv} -t UTF-8 < ${shellEscape(remotePath)} | ${awk}`
+        : `${awk} ${shellEscape(remotePath)}`;
+    const result = await execRemoteCommand(script, undefined, RANGE_READ_TIMEOUT, execOpts);
+    if (result.exitCode !== 0) {
+        throw new Error((result.stderr || result.stdout).trim() || `awk exited with code ${result.exitCode}`);
     }
 
-    const cdPart = cwd ? `cd ${shellEscape(cwd)} && ` : "";
-    const fullCmd = `(${cdPart}${command}) > ${tmpBase}.out 2> ${tmpBase}.err; echo $? > ${tmpBase}.exit`;
-    terminal.sendText(fullCmd, true);
+    const lines = splitLines(result.stdout);
+    let moreAfter = false;
+    if (lines.length > 0 && lines[lines.length - 1] === "\x1f") {
+        lines.pop();
+        moreAfter = true;
+    }
+    if (lines.length > count) {
+        lines.length = count;
+        moreAfter = true;
+    }
+    const lineLengths = new Map();
+    lines.forEach((line, i) => {
+        const clipped = /\x1f(\d+)$/.exec(line);
+        if (clipped && clipped.index >= READ_MAX_LINE_CHARS) {
+            lines[i] = line.slice(0, clipped.index);
+            lineLengths.set(i, Number(clipped[1]));
+        }
+    });
+    return { lines, lineLengths, moreAfter, binary: result.stdout.includes("\0") };
+}
 
-    const exitFileUri = getRemoteUri(`${tmpBase}.exit`);
-    const startTime = Date.now();
-    const pollInterval = 300;
+// First bytes of a remote file, fetched through od so binary data survives the text channel
+async function readHeadBytes(remotePath, count, execOpts) {
+    const result = await execRemoteCommand(`head -c ${count} ${shellEscape(remotePath)} | od -An -v -tx1`, undefined, RANGE_READ_TIMEOUT, execOpts);
+    if (result.exitCode !== 0) throw new Error((result.stderr || result.stdout).trim());
+    return Buffer.from(result.stdout.replace(/\s+/g, ""), "hex");
+}
 
-    while (Date.now() - startTime < timeoutMs) {
-        await new Promise(r => setTimeout(r, pollInterval));
-        try {
-            const exitData = await vscode.workspace.fs.readFile(exitFileUri);
-            const exitStr = Buffer.from(exitData).toString("utf8").trim();
-            if (exitStr === "") continue;
-            const exitCode = parseInt(exitStr, 10);
+function tooLargeToReadMessage(filePath, size, maxBytes) {
+    const how = /\.ipynb$/i.test(filePath)
+        ? "Inspect it with bash instead (e.g. jq '.cells[3]'), or raise the limit."
+        : "Read it in parts with offset and limit (e.g. offset=1, limit=2000); only those lines are transferred. " +
+          "To find what you need, use grep, or bash with head/tail.";
+    return `${filePath} is ${formatBytes(size)}, over the ${formatBytes(maxBytes)} limit for reading a whole file ` +
+        `(claudeCode.remoteReadMaxSizeMB). ${how}`;
+}
 
-            let stdout = "";
-            let stderr = "";
-            try {
-                const outData = await vscode.workspace.fs.readFile(getRemoteUri(`${tmpBase}.out`));
-                stdout = Buffer.from(outData).toString("utf8");
-            } catch (_) {}
-            try {
-                const errData = await vscode.workspace.fs.readFile(getRemoteUri(`${tmpBase}.err`));
-                stderr = Buffer.from(errData).toString("utf8");
-            } catch (_) {}
+// ---------------------------------------------------------------------------
+// Binary files — images come back as MCP image content (downscaled on the
+// remote when too large), PDFs as text extracted on the remote, and anything
+// else that isn't text as a short summary with a hex dump.
+// ---------------------------------------------------------------------------
 
-            terminal.sendText(`rm -f ${tmpBase}.out ${tmpBase}.err ${tmpBase}.exit`, true);
+const IMAGE_MAX_BYTES = 3932160;     // 3.75 MB: 5 MB once base64-encoded
+const IMAGE_MAX_DIMENSION = 2000;    // longest side sent to the model
+const IMAGE_MODEL_TYPES = ["image/png", "image/jpeg", "image/gif", "image/webp"];
+const PDF_MAX_PAGES = 20;            // pages per read
+const PDF_MAX_CHARS = 100000;
+const BINARY_TIMEOUT = 60000;        // remote conversion / extraction
+
+// [mime type or description, test]; first match wins
+const MAGIC_TYPES = [
+    ["image/png", (b) => b.length > 24 && b.readUInt32BE(0) === 0x89504e47],
+    ["image/jpeg", (b) => b.length > 3 && b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff],
+    ["image/gif", (b) => b.toString("latin1", 0, 6) === "GIF87a" || b.toString("latin1", 0, 6) === "GIF89a"],
+    ["image/webp", (b) => b.toString("latin1", 0, 4) === "RIFF" && b.toString("latin1", 8, 12) === "WEBP"],
+    ["image/bmp", (b) => b.toString("latin1", 0, 2) === "BM" && b.length > 26],
+    ["image/tiff", (b) => ["II*\0", "MM\0*"].includes(b.toString("latin1", 0, 4))],
+    ["application/pdf", (b) => b.toString("latin1", 0, 5) === "%PDF-"],
+    ["ELF executable", (b) => b.toString("latin1", 0, 4) === "\x7fELF"],
+    ["Mach-O executable", (b) => b.length > 4 && [0xfeedface, 0xfeedfacf, 0xcefaedfe, 0xcffaedfe].includes(b.readUInt32BE(0))],
+    ["Windows executable", (b) => b.toString("latin1", 0, 2) === "MZ"],
+    ["WebAssembly module", (b) => b.toString("latin1", 0, 4) === "\0asm"],
+    ["zip archive (also .npz, .pt, .jar, .docx)", (b) => b.toString("latin1", 0, 4) === "PK\x03\x04"],
+    ["gzip data", (b) => b[0] === 0x1f && b[1] === 0x8b],
+    ["bzip2 data", (b) => b.toString("latin1", 0, 3) === "BZh"],
+    ["xz data", (b) => b.toString("latin1", 0, 6) === "\xfd7zXZ\0"],
+    ["zstd data", (b) => b.length > 4 && b.readUInt32LE(0) === 0xfd2fb528],
+    ["7-zip archive", (b) => b.toString("latin1", 0, 6) === "7z\xbc\xaf\x27\x1c"],
+    ["tar archive", (b) => b.toString("latin1", 257, 262) === "ustar"],
+    ["NumPy array (.npy)", (b) => b.toString("latin1", 0, 6) === "\x93NUMPY"],
+    ["HDF5 data", (b) => b.toString("latin1", 0, 8) === "\x89HDF\r\n\x1a\n"],
+    ["SQLite database", (b) => b.toString("latin1", 0, 16) === "SQLite format 3\0"],
+    ["Parquet file", (b) => b.toString("latin1", 0, 4) === "PAR1"],
+    ["Python pickle", (b) => b[0] === 0x80 && b[1] >= 2 && b[1] <= 5]
+];
+
+const EXTENSION_TYPES = {
+    ".png": "image/png", ".jpg": "image/jpeg", ".jpeg": "image/jpeg", ".gif": "image/gif", ".webp": "image/webp",
+    ".bmp": "image/bmp", ".tif": "image/tiff", ".tiff": "image/tiff", ".pdf": "application/pdf"
+};
+
+function sniffType(buf) {
+    const hit = MAGIC_TYPES.find(([, test]) => test(buf));
+    return hit ? hit[0] : null;
+}
 
-            return { stdout, stderr, exitCode: isNaN(exitCode) ? 1 : exitCode };
-        } catch (_) {
-            // Exit file doesn't exist yet
-        }
+// Binary unless it has a text BOM; otherwise NUL bytes or lots of control characters give it away
+function looksBinary(buf) {
+    const head = buf.subarray(0, 8192);
+    if (head.length >= 2 && ((head[0] === 0xff && head[1] === 0xfe) || (head[0] === 0xfe && head[1] === 0xff))) return false;
+    if (head.length >= 3 && head[0] === 0xef && head[1] === 0xbb && head[2] === 0xbf) return false;
+    let control = 0;
+    for (const byte of head) {
+        if (byte === 0) return true;
+        if (byte < 32 && byte !== 9 && byte !== 10 && byte !== 13 && byte !== 12 && byte !== 27) control++;
     }
-
-    terminal.sendText(`kill %1 2>/dev/null; rm -f ${tmpBase}.out ${tmpBase}.err ${tmpBase}.exit`, true);
-    throw new Error(`Command timed out after ${timeoutMs}ms`);
+    return control > head.length / 10;
 }
 
-// ---------------------------------------------------------------------------
-// SSH-based execution (fallback)
-// ---------------------------------------------------------------------------
-
-function buildSshArgs(host) {
-    const config = vscode.workspace.getConfiguration("claudeCode");
-    const identityFile = config.get("sshIdentityFile", "");
-    const extraArgs = config.get("sshExtraArgs", []);
-    const remoteSSHConfig = vscode.workspace.getConfiguration("remote.SSH");
-    const configFile = remoteSSHConfig.get("configFile", "");
+// { width, height } from the image header, or null if it can't be read
+function imageDimensions(buf, mimeType) {
+    try {
+        if (mimeType === "image/png") return { width: buf.readUInt32BE(16), height: buf.readUInt32BE(20) };
+        if (mimeType === "image/gif") return { width: buf.readUInt16LE(6), height: buf.readUInt16LE(8) };
+        if (mimeType === "image/bmp") return { width: buf.readInt32LE(18), height: Math.abs(buf.readInt32LE(22)) };
+        if (mimeType === "image/webp") {
+            const chunk = buf.toString("latin1", 12, 16);
+            if (chunk === "VP8 ") return { width: buf.readUInt16LE(26) & 0x3fff, height: buf.readUInt16LE(28) & 0x3fff };
+            if (chunk === "VP8L") {
+                const bits = buf.readUInt32LE(21);
+                return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+            }
+            if (chunk === "VP8X") return { width: buf.readUIntLE(24, 3) + 1, height: buf.readUIntLE(27, 3) + 1 };
+        }
+        if (mimeType === "image/jpeg") {
+            // Walk the segments to the frame header (SOF0-SOF15, minus DHT/JPG/DAC)
+            let at = 2;
+            while (at + 9 < buf.length) {
+                if (buf[at] !== 0xff) return null;
+                const marker = buf[at + 1];
+                if (marker === 0xff) { at++; continue; }
+                if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+                    return { width: buf.readUInt16BE(at + 7), height: buf.readUInt16BE(at + 5) };
+                }
+                at += 2 + buf.readUInt16BE(at + 2);
+            }
+        }
+    } catch (_) {}
+    return null;
+}
 
-    const args = [];
-    if (configFile) args.push("-F", configFile);
-    if (identityFile) args.push("-i", identityFile.replace(/^~/, os.homedir()));
-    if (Array.isArray(extraArgs) && extraArgs.length > 0) args.push(...extraArgs);
-    args.push("-o", "BatchMode=yes", "-o", "ConnectTimeout=10", "-o", "StrictHostKeyChecking=no");
-    args.push("--", host);
-    return args;
+// xxd-style dump of the first bytes
+function hexDump(buf, length = 64) {
+    const lines = [];
+    for (let at = 0; at < Math.min(buf.length, length); at += 16) {
+        const row = buf.subarray(at, Math.min(at + 16, buf.length, length));
+        const hex = Array.from(row, (b) => b.toString(16).padStart(2, "0"));
+        const left = hex.slice(0, 8).join(" ");
+        const right = hex.slice(8).join(" ");
+        const ascii = Array.from(row, (b) => b >= 32 && b < 127 ? String.fromCharCode(b) : ".").join("");
+        lines.push(`${at.toString(16).padStart(8, "0")}  ${left.padEnd(23)}  ${right.padEnd(23)}  |${ascii}|`);
+    }
+    return lines.join("\n");
 }
 
-function sshExec(host, command, cwd, timeoutMs = 120000) {
-    return new Promise((resolve, reject) => {
-        const fullCmd = cwd ? `cd ${shellEscape(cwd)} && ${command}` : command;
-        const sshArgs = buildSshArgs(host);
-        sshArgs.push(fullCmd);
+function describeBinary(buf, filePath, size) {
+    const type = sniffType(buf) || "unrecognized binary data";
+    return `Binary file ${filePath} (${formatBytes(size)}, ${type}) — not shown as text.\n` +
+        `First ${Math.min(buf.length, 64)} bytes:\n${hexDump(buf)}`;
+}
 
-        const proc = spawn("ssh", sshArgs, { env: { ...process.env } });
-        let stdout = "", stderr = "";
-        let killed = false;
-        const MAX_BUFFER = 5 * 1024 * 1024;
+// Python fallback for downscaling when ImageMagick isn't installed
+const PIL_RESIZE_SCRIPT = [
+    "import sys",
+    "try:",
+    "    from PIL import Image",
+    "except ImportError:",
+    "    sys.exit(127)",
+    "src, dst, size = sys.argv[1], sys.argv[2], int(sys.argv[3])",
+    "im = Image.open(src)",
+    "im.seek(0)",
+    "im.thumbnail((size, size))",
+    "if dst.endswith('.jpg'):",
+    "    im.convert('RGB').save(dst, 'JPEG', quality=85)",
+    "else:",
+    "    im.save(dst, 'PNG', optimize=True)"
+].join("\n");
+
+/**
+ * Downscale (and/or convert to PNG/JPEG) an image on the remote, so only the
+ * small version crosses the link. Resolves with the new image's bytes, or null
+ * if neither ImageMagick nor Pillow is available there.
+ */
+async function convertImageRemote(remotePath, mimeType, execOpts) {
+    const dir = await getSessionDir();
+    const ext = mimeType === "image/jpeg" ? ".jpg" : ".png";
+    const dst = `${dir}/img_${crypto.randomBytes(6).toString("hex")}${ext}`;
+    const size = IMAGE_MAX_DIMENSION;
+    const script = [
+        `src=${shellEscape(remotePath)}; dst=${shellEscape(dst)}`,
+        "if command -v magick >/dev/null 2>&1; then",
+        `  magick "$src[0]" -resize '${size}x${size}>' -quality 85 "$dst"`,
+        "elif command -v convert >/dev/null 2>&1; then",
+        `  convert "$src[0]" -resize '${size}x${size}>' -quality 85 "$dst"`,
+        "elif command -v python3 >/dev/null 2>&1; then",
+        `  python3 -c ${shellEscape(PIL_RESIZE_SCRIPT)} "$src" "$dst" ${size}`,
+        "else",
+        "  exit 127",
+        "fi"
+    ].join("\n");
+    const dstUri = getRemoteUri(dst);
+    try {
+        const result = await execRemoteCommand(script, undefined, BINARY_TIMEOUT, execOpts);
+        if (result.exitCode === 127) return null;
+        if (result.exitCode !== 0) throw new Error(`image conversion failed: ${(result.stderr || result.stdout).trim()}`);
+        return Buffer.from(await vscode.workspace.fs.readFile(dstUri));
+    } finally {
+        vscode.workspace.fs.delete(dstUri).then(undefined, () => {});
+    }
+}
 
-        const timer = setTimeout(() => { killed = true; proc.kill("SIGTERM"); }, timeoutMs);
-        proc.stdout.on("data", (d) => { if (stdout.length < MAX_BUFFER) stdout += d.toString(); });
-        proc.stderr.on("data", (d) => { if (stderr.length < MAX_BUFFER) stderr += d.toString(); });
-        proc.on("close", (code) => {
-            clearTimeout(timer);
-            killed ? reject(new Error(`SSH command timed out after ${timeoutMs}ms`)) : resolve({ stdout, stderr, exitCode: code });
-        });
-        proc.on("error", (err) => {
-            clearTimeout(timer);
-            reject(err.code === "ENOENT" ? new Error("SSH client not found.") : err);
-        });
-    });
+/**
+ * An image as MCP content. data is the file's bytes if already read (null if it
+ * was too large to fetch as is); size is the file size.
+ */
+async function readImage(remotePath, filePath, mimeType, data, size, execOpts) {
+    const dims = data ? imageDimensions(data, mimeType) : null;
+    const tooLarge = size > IMAGE_MAX_BYTES || (dims && Math.max(dims.width, dims.height) > IMAGE_MAX_DIMENSION);
+    const label = `${mimeType.replace("image/", "").toUpperCase()}${dims ? `, ${dims.width}×${dims.height}` : ""}, ${formatBytes(size)}`;
+    let note = `Image ${filePath} (${label})`;
+
+    if (tooLarge || !IMAGE_MODEL_TYPES.includes(mimeType)) {
+        const converted = await convertImageRemote(remotePath, mimeType, execOpts);
+        if (converted) {
+            const outType = sniffType(converted);
+            const outDims = imageDimensions(converted, outType);
+            note += ` — ${tooLarge ? "downscaled" : "converted"} to ${outDims ? `${outDims.width}×${outDims.height} ` : ""}` +
+                `${outType.replace("image/", "").toUpperCase()}, ${formatBytes(converted.length)}`;
+            data = converted;
+            mimeType = outType;
+        } else if (!data || size > IMAGE_MAX_BYTES || !IMAGE_MODEL_TYPES.includes(mimeType)) {
+            return [{ type: "text", text: `${note} — can't be shown: it is ${IMAGE_MODEL_TYPES.includes(mimeType) ? "too large" : "not PNG, JPEG, GIF or WebP"}, ` +
+                "and neither ImageMagick nor Python Pillow is available on the remote to convert it." }];
+        }
+    }
+    if (data.length > IMAGE_MAX_BYTES) {
+        return [{ type: "text", text: `${note} — still too large to show after downscaling.` }];
+    }
+    return [
+        { type: "text", text: note },
+        { type: "image", data: data.toString("base64"), mimeType }
+    ];
 }
 
-async function execRemoteCommand(command, cwd, timeoutMs = 120000) {
-    const config = vscode.workspace.getConfiguration("claudeCode");
-    const useSSH = config.get("useSSHExec", false);
+// Python fallback for PDFs when poppler's pdftotext isn't installed: PyMuPDF, then pypdf / PyPDF2
+const PDF_TEXT_SCRIPT = [
+    "import sys",
+    "f, first, last = sys.argv[1], int(sys.argv[2]), int(sys.argv[3])",
+    "try:",
+    "    import fitz",
+    "    doc = fitz.open(f)",
+    "    count, page_text = doc.page_count, lambda i: doc[i].get_text()",
+    "except ImportError:",
+    "    try:",
+    "        from pypdf import PdfReader",
+    "    except ImportError:",
+    "        try:",
+    "            from PyPDF2 import PdfReader",
+    "        except ImportError:",
+    "            sys.exit(127)",
+    "    reader = PdfReader(f)",
+    "    count, page_text = len(reader.pages), lambda i: reader.pages[i].extract_text() or ''",
+    "print('@@pages %d' % count)",
+    "for i in range(first - 1, min(last, count)):",
+    "    sys.stdout.write(page_text(i) + '\\f')"
+].join("\n");
+
+// "3" or "1-5" → { first, last } (1-based, inclusive)
+function parsePageRange(pages) {
+    const m = /^\s*(\d+)\s*(?:-\s*(\d+)\s*)?$/.exec(pages);
+    if (!m) throw new Error(`Invalid pages "${pages}": use a page number or a range like "1-5"`);
+    const first = Number(m[1]);
+    const last = m[2] === undefined ? first : Number(m[2]);
+    if (first < 1 || last < first) throw new Error(`Invalid pages "${pages}"`);
+    if (last - first + 1 > PDF_MAX_PAGES) throw new Error(`At most ${PDF_MAX_PAGES} pages can be read at once`);
+    return { first, last };
+}
 
-    if (useSSH) {
-        const host = getSshHost();
-        if (!host) throw new Error("No SSH host configured");
-        return sshExec(host, command, cwd, timeoutMs);
+/**
+ * Extract a PDF's text on the remote (pdftotext, else PyMuPDF/pypdf), page by page.
+ * Without a page range, the first PDF_MAX_PAGES pages are returned.
+ */
+async function readPdf(remotePath, filePath, pages, execOpts) {
+    const { first, last } = pages ? parsePageRange(pages) : { first: 1, last: PDF_MAX_PAGES };
+    const script = [
+        `f=${shellEscape(remotePath)}`,
+        "if command -v pdftotext >/dev/null 2>&1; then",
+        "  echo \"@@pages $(pdfinfo \"$f\" 2>/dev/null | sed -n 's/^Pages: *//p')\"",
+        `  pdftotext -layout -enc UTF-8 -f ${first} -l ${last} "$f" -`,
+        "elif command -v python3 >/dev/null 2>&1; then",
+        `  python3 -c ${shellEscape(PDF_TEXT_SCRIPT)} "$f" ${first} ${last}`,
+        "else",
+        "  exit 127",
+        "fi"
+    ].join("\n");
+    const result = await execRemoteCommand(script, undefined, BINARY_TIMEOUT, execOpts);
+    if (result.exitCode === 127) {
+        throw new Error(`can't extract text from PDF ${filePath}: install poppler-utils (pdftotext) or a Python PDF library (pymupdf, pypdf) on the remote`);
+    }
+    if (result.exitCode !== 0) {
+        throw new Error(`PDF text extraction failed: ${(result.stderr || result.stdout).trim()}`);
     }
 
-    return remoteExec(command, cwd, timeoutMs);
+    const header = /^@@pages ?(\d*)\n/.exec(result.stdout);
+    const count = header && header[1] ? Number(header[1]) : null;
+    const texts = result.stdout.slice(header ? header[0].length : 0).split("\f");
+    if (texts[texts.length - 1].trim() === "") texts.pop();
+    if (count !== null && first > count) {
+        throw new Error(`${filePath} has only ${count} pages`);
+    }
+    const shownLast = first + texts.length - 1;
+    const parts = [`PDF ${filePath}: ${count !== null ? `${count} pages` : "page count unknown"}, showing pages ${first}-${shownLast}`];
+    texts.forEach((text, i) => parts.push(`\n--- Page ${first + i} ---\n${text.replace(/\s+$/, "")}`));
+    if (!pages && count !== null && count > shownLast) {
+        parts.push(`\n... [${count - shownLast} more pages — read again with pages="${shownLast + 1}-${Math.min(count, shownLast + PDF_MAX_PAGES)}" to continue]`);
+    }
+    return truncateOutput(parts.join("\n"), PDF_MAX_CHARS);
 }
 
 // ---------------------------------------------------------------------------
 // Tool registration
 // ---------------------------------------------------------------------------
 
-function registerTools(mcpServer, s, logger, onFileUpdated, reviewEdit) {
+// conversationId: the webview channel the tools serve; reviews and edit overrides are kept per conversation
+function registerTools(mcpServer, s, logger, onFileUpdated, reviewEdit, onToolProgress, conversationId = null) {
+    _logger = logger;
+    const shellSession = createShellSession();
+    const commands = createCommandScope();
+    // Permission checks around writes; not tied to a request signal, so a write is never left half-checked
+    const writeOpts = { owner: commands };
+    const fileTracker = createFileTracker();
+    const checkpoints = createCheckpoints();
+    _changeSets.set(conversationId, { checkpoints, execOpts: writeOpts });
     const host = getSshHost();
     if (!host) {
         logger.warn("forceLocal: no SSH host detected, remote tools will not function");
+    } else {
+        // Create the private temp dir (and sweep crashed sessions' leftovers) up front
+        getSessionDir().catch((err) => logger.warn("forceLocal: " + (err.message || err)));
     }
 
     // ----- read_file -----
     mcpServer.tool(
         "read_file",
-        "Read the contents of a file on the remote server",
+        "Read the contents of a file on the remote server. Text is returned with `cat -n` line numbers, " +
+        `up to ${READ_DEFAULT_LINES} lines by default (use offset/limit to page). Jupyter notebooks (.ipynb) are shown as cells with their outputs, ` +
+        "images are returned as images, PDFs as extracted text; other binary files get a short summary",
         {
             file_path: s.string().describe("Absolute path to the file on the remote server"),
-            offset: s.number().optional().describe("Line number to start reading from (1-based)"),
-            limit: s.number().optional().describe("Number of lines to read")
+            offset: s.number().optional().describe("Line number to start reading from (1-based); for notebooks, the cell number"),
+            limit: s.number().optional().describe(`Number of lines to read (default ${READ_DEFAULT_LINES}); for notebooks, the number of cells`),
+            pages: s.string().optional().describe(`PDF page range, e.g. "3" or "1-5" (at most ${PDF_MAX_PAGES} pages)`)
         },
-        async ({ file_path, offset, limit }) => {
+        async ({ file_path, offset, limit, pages }, extra) => {
+            const scope = commands.begin(extra && extra.signal);
             try {
                 const remotePath = toRemotePath(file_path);
+                const uri = getRemoteUri(file_path);
+                const execOpts = { signal: scope.signal, owner: commands };
 
-                // Check write cache first (avoids stale FS reads after edit)
-                let text = getCachedWrite(remotePath);
-                if (text === null) {
-                    const uri = getRemoteUri(file_path);
-                    const data = await vscode.workspace.fs.readFile(uri);
-                    text = Buffer.from(data).toString("utf8");
+                // PDFs are read on the remote; large images are downscaled there before fetching
+                const byName = EXTENSION_TYPES[path.posix.extname(remotePath).toLowerCase()];
+                if (byName === "application/pdf") {
+                    return { content: [{ type: "text", text: await readPdf(remotePath, file_path, pages, execOpts) }] };
                 }
 
-                if (offset !== undefined || limit !== undefined) {
-                    const lines = text.split("\n");
-                    const start = (offset ?? 1) - 1;
-                    const end = limit ? start + limit : lines.length;
-                    text = lines.slice(start, end).join("\n");
+                // A cached version the file watcher vouches for needs no round trip at all
+                const fileCache = getFileCache();
+                let version = fileCache.trusted(remotePath);
+                if (!version) {
+                    let stat;
+                    try {
+                        stat = await vscode.workspace.fs.stat(uri);
+                    } catch (err) {
+                        if (isNotFound(err)) fileTracker.forget(remotePath);
+                        throw err;
+                    }
+                    const { size, mtime } = stat;
+                    if (byName && size > IMAGE_MAX_BYTES) {
+                        return { content: await readImage(remotePath, file_path, byName, null, size, execOpts) };
+                    }
+
+                    // Big files: cut offset/limit ranges out on the remote; refuse to fetch them whole
+                    const isNotebook = /\.ipynb$/i.test(remotePath);
+                    if (!byName && !isNotebook && size > RANGE_READ_MIN_BYTES && (offset !== undefined || limit !== undefined)) {
+                        const range = await readLineRange(remotePath, offset, limit, execOpts, fileFormat(uri, remotePath).encoding);
+                        if (range.binary) {
+                            const head = await readHeadBytes(remotePath, 512, execOpts);
+                            return { content: [{ type: "text", text: describeBinary(head, file_path, size) }] };
+                        }
+                        // Only part of the file was seen: later edits are checked by mtime and size alone
+                        fileTracker.record(remotePath, { mtime, size });
+                        return {
+                            content: [{
+                                type: "text",
+                                text: formatFileLines(range.lines, file_path, {
+                                    offset, limit, firstLine: Math.max(1, offset ?? 1),
+                                    moreAfter: range.moreAfter, lineLengths: range.lineLengths
+                                })
+                            }]
+                        };
+                    }
+                    const maxBytes = getReadMaxBytes();
+                    if (!byName && size > maxBytes) {
+                        const head = await readHeadBytes(remotePath, 512, execOpts);
+                        if (looksBinary(head)) {
+                            return { content: [{ type: "text", text: describeBinary(head, file_path, size) }] };
+                        }
+                        return {
+                            content: [{ type: "text", text: tooLargeToReadMessage(file_path, size, maxBytes) }],
+                            isError: true
+                        };
+                    }
+
+                    // Only text files are cached, so an entry still at this version skips the fetch
+                    version = fileCache.validate(remotePath, stat);
+                    if (!version) {
+                        const data = Buffer.from(await vscode.workspace.fs.readFile(uri));
+                        const type = sniffType(data);
+                        if (type && type.startsWith("image/")) {
+                            return { content: await readImage(remotePath, file_path, type, data, data.length, execOpts) };
+                        }
+                        if (type === "application/pdf") {
+                            return { content: [{ type: "text", text: await readPdf(remotePath, file_path, pages, execOpts) }] };
+                        }
+                        if (looksBinary(data)) {
+                            return { content: [{ type: "text", text: describeBinary(data, file_path, data.length) }] };
+                        }
+                        version = fileCache.put(remotePath, {
+                            mtime, size: data.length, hash: hashBytes(data), text: decodeRemoteText(data, uri, remotePath)
+                        });
+                    }
+                }
+                fileTracker.record(remotePath, version);
+                const text = version.text;
+
+                if (/\.ipynb$/i.test(remotePath)) {
+                    let nb = null;
+                    try { nb = parseNotebook(text, file_path); } catch (_) {}
+                    // Not a valid notebook: fall through and show the raw text
+                    if (nb) return { content: renderNotebook(nb, file_path, offset, limit) };
                 }
 
                 return {
-                    content: [{ type: "text", text: truncateOutput(text) }]
+                    content: [{ type: "text", text: formatFileLines(splitLines(text), file_path, { offset, limit }) }]
                 };
             } catch (err) {
                 return {
                     content: [{ type: "text", text: `Error reading file: ${err.message}` }],
                     isError: true
                 };
+            } finally {
+                scope.end();
             }
         }
     );
@@ -302,42 +3283,38 @@ function registerTools(mcpServer, s, logger, onFileUpdated, reviewEdit) {
             file_path: s.string().describe("Absolute path to the file on the remote server"),
             content: s.string().describe("The content to write to the file")
         },
-        async ({ file_path, content }) => {
+        async ({ file_path, content }, extra) => {
             try {
                 const uri = getRemoteUri(file_path);
                 const remotePath = toRemotePath(file_path);
 
                 // Check if user modified the diff tab — use their content instead
-                var _override = consumeEditOverride(remotePath);
+                var _override = consumeEditOverride(conversationId, remotePath, toolUseIdOf(extra));
                 if (_override !== null) {
-                    let oldText = getCachedWrite(remotePath) || "";
-                    if (!oldText) {
-                        try {
-                            const oldData = await vscode.workspace.fs.readFile(uri);
-                            oldText = Buffer.from(oldData).toString("utf8");
-                        } catch (_) {}
-                    }
-                    await vscode.workspace.fs.writeFile(uri, Buffer.from(_override, "utf8"));
-                    cacheWrite(remotePath, _override);
+                    let oldText = "";
+                    try { oldText = await readRemoteText(uri, remotePath); } catch (_) {}
+                    const written = await writeRemoteText(uri, remotePath, _override, writeOpts, fileTracker, checkpoints);
                     if (onFileUpdated) {
                         try { onFileUpdated(remotePath, oldText, _override); } catch (_) {}
                     }
                     return {
-                        content: [{ type: "text", text: `Successfully wrote ${Buffer.from(_override, "utf8").length} bytes to ${file_path}` }]
+                        content: [{ type: "text", text: withNotice(`Successfully wrote ${written.bytes} bytes to ${file_path}`, written.notice) }]
                     };
                 }
 
-                let oldText = getCachedWrite(remotePath) || "";
-                if (!oldText) {
-                    try {
-                        const oldData = await vscode.workspace.fs.readFile(uri);
-                        oldText = Buffer.from(oldData).toString("utf8");
-                    } catch (_) {}
+                let oldText = "";
+                try {
+                    oldText = await readForEdit(uri, remotePath, fileTracker);
+                } catch (err) {
+                    if (!isNotFound(err)) throw err; // a new file
                 }
+                const newText = matchTrailingNewline(oldText, normalizeLineEndings(content));
+                // Refuse before review if the file's encoding can't hold the new content
+                encodeRemoteText(uri, remotePath, newText);
 
                 // Review mode: show diff and ask for approval before writing
                 if (reviewEdit) {
-                    var _review = await reviewEdit("write_file", { file_path, content }, oldText, content);
+                    var _review = await reviewEdit("write_file", { file_path, content }, oldText, newText, toolUseIdOf(extra));
                     if (!_review.accepted) {
                         return {
                             content: [{ type: "text", text: `Write rejected by user for ${file_path}` }],
@@ -346,19 +3323,17 @@ function registerTools(mcpServer, s, logger, onFileUpdated, reviewEdit) {
                     }
                     var _finalContent = _review.finalContent;
                 } else {
-                    var _finalContent = content;
+                    var _finalContent = newText;
                 }
 
-                const encoded = Buffer.from(_finalContent, "utf8");
-                await vscode.workspace.fs.writeFile(uri, encoded);
-                cacheWrite(remotePath, _finalContent);
+                const written = await writeRemoteText(uri, remotePath, _finalContent, writeOpts, fileTracker, checkpoints);
 
                 if (onFileUpdated) {
                     try { onFileUpdated(remotePath, oldText, _finalContent); } catch (_) {}
                 }
 
                 return {
-                    content: [{ type: "text", text: `Successfully wrote ${encoded.length} bytes to ${file_path}` }]
+                    content: [{ type: "text", text: withNotice(`Successfully wrote ${written.bytes} bytes to ${file_path}`, written.notice) }]
                 };
             } catch (err) {
                 return {
@@ -376,64 +3351,132 @@ function registerTools(mcpServer, s, logger, onFileUpdated, reviewEdit) {
         {
             file_path: s.string().describe("Absolute path to the file on the remote server"),
             old_string: s.string().describe("The exact string to find and replace"),
-            new_string: s.string().describe("The replacement string")
+            new_string: s.string().describe("The replacement string"),
+            replace_all: s.boolean().optional().describe("Replace every occurrence of old_string (default false)")
         },
-        async ({ file_path, old_string, new_string }) => {
+        async ({ file_path, old_string, new_string, replace_all }, extra) => {
             try {
                 const uri = getRemoteUri(file_path);
                 const remotePath = toRemotePath(file_path);
 
                 // Check if user modified the diff tab — use their content instead
-                var _override = consumeEditOverride(remotePath);
+                var _override = consumeEditOverride(conversationId, remotePath, toolUseIdOf(extra));
                 if (_override !== null) {
                     // Read old content for file_updated callback
-                    let oldText = getCachedWrite(remotePath);
-                    if (oldText === null) {
-                        try {
-                            const data = await vscode.workspace.fs.readFile(uri);
-                            oldText = Buffer.from(data).toString("utf8");
-                        } catch (_) { oldText = ""; }
-                    }
-                    await vscode.workspace.fs.writeFile(uri, Buffer.from(_override, "utf8"));
-                    cacheWrite(remotePath, _override);
+                    let oldText = "";
+                    try { oldText = await readRemoteText(uri, remotePath); } catch (_) {}
+                    const written = await writeRemoteText(uri, remotePath, _override, writeOpts, fileTracker, checkpoints);
                     if (onFileUpdated) {
                         try { onFileUpdated(remotePath, oldText, _override); } catch (_) {}
                     }
                     return {
-                        content: [{ type: "text", text: `Successfully edited ${file_path}` }]
+                        content: [{ type: "text", text: withNotice(`Successfully edited ${file_path}`, written.notice) }]
                     };
                 }
 
                 // Read from cache first, then FS
-                let oldText = getCachedWrite(remotePath);
-                if (oldText === null) {
-                    const data = await vscode.workspace.fs.readFile(uri);
-                    oldText = Buffer.from(data).toString("utf8");
+                const oldText = await readForEdit(uri, remotePath, fileTracker);
+
+                let newText;
+                try {
+                    // Line endings are matched as LF; the file's own are restored on write
+                    newText = applyEdits(oldText, [{
+                        old_string: normalizeLineEndings(old_string), new_string: normalizeLineEndings(new_string), replace_all
+                    }], file_path);
+                    newText = matchTrailingNewline(oldText, newText);
+                    encodeRemoteText(uri, remotePath, newText);
+                } catch (err) {
+                    return {
+                        content: [{ type: "text", text: `Error: ${err.message}` }],
+                        isError: true
+                    };
+                }
+
+                // Review mode: show diff and ask for approval before writing
+                if (reviewEdit) {
+                    var _review = await reviewEdit("edit_file", { file_path, old_string, new_string, replace_all: !!replace_all }, oldText, newText, toolUseIdOf(extra));
+                    if (!_review.accepted) {
+                        return {
+                            content: [{ type: "text", text: `Edit rejected by user for ${file_path}` }],
+                            isError: true
+                        };
+                    }
+                    var _finalContent = _review.finalContent;
+                } else {
+                    var _finalContent = newText;
+                }
+
+                const written = await writeRemoteText(uri, remotePath, _finalContent, writeOpts, fileTracker, checkpoints);
+
+                if (onFileUpdated) {
+                    try { onFileUpdated(remotePath, oldText, _finalContent); } catch (_) {}
                 }
 
-                if (!oldText.includes(old_string)) {
+                return {
+                    content: [{ type: "text", text: withNotice(`Successfully edited ${file_path}`, written.notice) }]
+                };
+            } catch (err) {
+                return {
+                    content: [{ type: "text", text: `Error editing file: ${err.message}` }],
+                    isError: true
+                };
+            }
+        }
+    );
+
+    // ----- multi_edit -----
+    mcpServer.tool(
+        "multi_edit",
+        "Make several edits to one file on the remote server in a single operation. Edits apply in order, " +
+        "each to the result of the previous one; if any edit fails, none are applied.",
+        {
+            file_path: s.string().describe("Absolute path to the file on the remote server"),
+            edits: s.array(s.object({
+                old_string: s.string().describe("The exact string to find and replace"),
+                new_string: s.string().describe("The replacement string"),
+                replace_all: s.boolean().optional().describe("Replace every occurrence of old_string (default false)")
+            })).min(1).describe("Edits to apply, in order")
+        },
+        async ({ file_path, edits }, extra) => {
+            try {
+                const uri = getRemoteUri(file_path);
+                const remotePath = toRemotePath(file_path);
+
+                // Read from cache first, then FS — the only read for all edits
+                const oldText = await readForEdit(uri, remotePath, fileTracker);
+
+                // Check if user modified the diff tab — use their content instead
+                var _override = consumeEditOverride(conversationId, remotePath, toolUseIdOf(extra));
+                if (_override !== null) {
+                    const written = await writeRemoteText(uri, remotePath, _override, writeOpts, fileTracker, checkpoints);
+                    if (onFileUpdated) {
+                        try { onFileUpdated(remotePath, oldText, _override); } catch (_) {}
+                    }
                     return {
-                        content: [{ type: "text", text: `Error: old_string not found in ${file_path}` }],
-                        isError: true
+                        content: [{ type: "text", text: withNotice(`Successfully applied ${edits.length} edits to ${file_path}`, written.notice) }]
                     };
                 }
 
-                const count = oldText.split(old_string).length - 1;
-                if (count > 1) {
+                let newText;
+                try {
+                    newText = applyEdits(oldText, edits.map((edit) => Object.assign({}, edit, {
+                        old_string: normalizeLineEndings(edit.old_string), new_string: normalizeLineEndings(edit.new_string)
+                    })), file_path);
+                    newText = matchTrailingNewline(oldText, newText);
+                    encodeRemoteText(uri, remotePath, newText);
+                } catch (err) {
                     return {
-                        content: [{ type: "text", text: `Error: old_string found ${count} times in ${file_path}. Provide more context to make it unique.` }],
+                        content: [{ type: "text", text: `Error: ${err.message}\nNo edits were applied.` }],
                         isError: true
                     };
                 }
 
-                const newText = oldText.replace(old_string, new_string);
-
-                // Review mode: show diff and ask for approval before writing
+                // Review mode: one diff for the whole set of edits
                 if (reviewEdit) {
-                    var _review = await reviewEdit("edit_file", { file_path, old_string, new_string }, oldText, newText);
+                    var _review = await reviewEdit("multi_edit", { file_path, edits }, oldText, newText, toolUseIdOf(extra));
                     if (!_review.accepted) {
                         return {
-                            content: [{ type: "text", text: `Edit rejected by user for ${file_path}` }],
+                            content: [{ type: "text", text: `Edits rejected by user for ${file_path}` }],
                             isError: true
                         };
                     }
@@ -442,15 +3485,14 @@ function registerTools(mcpServer, s, logger, onFileUpdated, reviewEdit) {
                     var _finalContent = newText;
                 }
 
-                await vscode.workspace.fs.writeFile(uri, Buffer.from(_finalContent, "utf8"));
-                cacheWrite(remotePath, _finalContent);
+                const written = await writeRemoteText(uri, remotePath, _finalContent, writeOpts, fileTracker, checkpoints);
 
                 if (onFileUpdated) {
                     try { onFileUpdated(remotePath, oldText, _finalContent); } catch (_) {}
                 }
 
                 return {
-                    content: [{ type: "text", text: `Successfully edited ${file_path}` }]
+                    content: [{ type: "text", text: withNotice(`Successfully applied ${edits.length} edits to ${file_path}`, written.notice) }]
                 };
             } catch (err) {
                 return {
@@ -461,6 +3503,84 @@ function registerTools(mcpServer, s, logger, onFileUpdated, reviewEdit) {
         }
     );
 
+    // ----- notebook_edit -----
+    mcpServer.tool(
+        "notebook_edit",
+        "Edit a Jupyter notebook (.ipynb) on the remote server: replace, insert or delete one cell. " +
+        "Other cells, outputs and metadata are left untouched.",
+        {
+            notebook_path: s.string().describe("Absolute path to the .ipynb file on the remote server"),
+            cell_id: s.string().optional().describe("Id of the cell to edit. For insert, the new cell goes after it (at the start if omitted)"),
+            cell_index: s.number().optional().describe("0-based index of the cell to edit, as an alternative to cell_id"),
+            new_source: s.string().optional().describe("New source for the cell (not needed for delete)"),
+            cell_type: s.enum(["code", "markdown"]).optional().describe("Cell type. Required for insert; for replace, changes the cell's type"),
+            edit_mode: s.enum(["replace", "insert", "delete"]).optional().describe("Kind of edit (default replace)")
+        },
+        async (input, extra) => {
+            const file_path = input.notebook_path;
+            try {
+                const uri = getRemoteUri(file_path);
+                const remotePath = toRemotePath(file_path);
+
+                const oldText = await readForEdit(uri, remotePath, fileTracker);
+
+                // Check if user modified the diff tab — use their content instead
+                var _override = consumeEditOverride(conversationId, remotePath, toolUseIdOf(extra));
+                if (_override !== null) {
+                    const written = await writeRemoteText(uri, remotePath, _override, writeOpts, fileTracker, checkpoints);
+                    if (onFileUpdated) {
+                        try { onFileUpdated(remotePath, oldText, _override); } catch (_) {}
+                    }
+                    return {
+                        content: [{ type: "text", text: withNotice(`Successfully edited ${file_path}`, written.notice) }]
+                    };
+                }
+
+                let summary, newText;
+                try {
+                    const nb = parseNotebook(oldText, file_path);
+                    summary = applyNotebookEdit(nb, input);
+                    newText = serializeNotebook(nb, oldText);
+                    encodeRemoteText(uri, remotePath, newText);
+                } catch (err) {
+                    return {
+                        content: [{ type: "text", text: `Error: ${err.message}` }],
+                        isError: true
+                    };
+                }
+
+                // Review mode: the whole notebook is reviewed as a write, so the diff tab shows the JSON change
+                if (reviewEdit) {
+                    var _review = await reviewEdit("notebook_edit", { file_path, content: newText }, oldText, newText, toolUseIdOf(extra));
+                    if (!_review.accepted) {
+                        return {
+                            content: [{ type: "text", text: `Notebook edit rejected by user for ${file_path}` }],
+                            isError: true
+                        };
+                    }
+                    var _finalContent = _review.finalContent;
+                } else {
+                    var _finalContent = newText;
+                }
+
+                const written = await writeRemoteText(uri, remotePath, _finalContent, writeOpts, fileTracker, checkpoints);
+
+                if (onFileUpdated) {
+                    try { onFileUpdated(remotePath, oldText, _finalContent); } catch (_) {}
+                }
+
+                return {
+                    content: [{ type: "text", text: withNotice(`${summary} in ${file_path}`, written.notice) }]
+                };
+            } catch (err) {
+                return {
+                    content: [{ type: "text", text: `Error editing notebook: ${err.message}` }],
+                    isError: true
+                };
+            }
+        }
+    );
+
     // ----- glob -----
     mcpServer.tool(
         "glob",
@@ -500,7 +3620,8 @@ function registerTools(mcpServer, s, logger, onFileUpdated, reviewEdit) {
             context: s.number().optional().describe("Number of context lines before and after each match"),
             max_results: s.number().optional().describe("Maximum number of results to return")
         },
-        async ({ pattern, path: searchPath, include, context, max_results }) => {
+        async ({ pattern, path: searchPath, include, context, max_results }, extra) => {
+            const scope = commands.begin(extra && extra.signal);
             try {
                 const cwd = toRemotePath(searchPath || getRemoteCwd());
 
@@ -511,7 +3632,8 @@ function registerTools(mcpServer, s, logger, onFileUpdated, reviewEdit) {
                 if (max_results) rgCmd += ` --max-count ${parseInt(max_results, 10)}`;
                 rgCmd += ` ${shellEscape(pattern)}`;
 
-                let result = await execRemoteCommand(rgCmd, cwd);
+                const execOpts = { signal: scope.signal, owner: commands };
+                let result = await execRemoteCommand(rgCmd, cwd, undefined, execOpts);
 
                 // If rg not found (exit 127), fall back to grep -rn
                 if (result.exitCode === 127 || (result.stderr && result.stderr.includes("command not found"))) {
@@ -521,7 +3643,7 @@ function registerTools(mcpServer, s, logger, onFileUpdated, reviewEdit) {
                     if (max_results) grepCmd += ` -m ${parseInt(max_results, 10)}`;
                     grepCmd += ` ${shellEscape(pattern)} .`;
 
-                    result = await execRemoteCommand(grepCmd, cwd);
+                    result = await execRemoteCommand(grepCmd, cwd, undefined, execOpts);
                 }
 
                 const { stdout, stderr, exitCode } = result;
@@ -543,6 +3665,8 @@ function registerTools(mcpServer, s, logger, onFileUpdated, reviewEdit) {
                     content: [{ type: "text", text: `Error running grep: ${err.message}` }],
                     isError: true
                 };
+            } finally {
+                scope.end();
             }
         }
     );
@@ -550,38 +3674,194 @@ function registerTools(mcpServer, s, logger, onFileUpdated, reviewEdit) {
     // ----- bash -----
     mcpServer.tool(
         "bash",
-        "Execute a bash command on the remote server",
+        "Execute a bash command on the remote server. The shell session persists between calls: cd, export, " +
+        "source (e.g. a virtualenv) and module load carry over, and the current directory is reported back. " +
+        "Output is streamed as progress while the command runs.",
         {
             command: s.string().describe("The bash command to execute on the remote server"),
-            cwd: s.string().optional().describe("Working directory for the command. Defaults to workspace root."),
-            timeout: s.number().optional().describe("Timeout in milliseconds (default 120000)")
+            cwd: s.string().optional().describe("Working directory for the command. Defaults to the session's current directory (initially the workspace root)."),
+            timeout: s.number().optional().describe("Timeout in milliseconds (default 120000)"),
+            run_in_background: s.boolean().optional().describe("Run the command in the background and return its id immediately. Use bash_output to read its output and kill_shell to stop it."),
+            reset_session: s.boolean().optional().describe("Discard the saved working directory and environment before running, starting from a fresh shell in the workspace root")
         },
-        async ({ command, cwd, timeout }) => {
+        async ({ command, cwd, timeout, run_in_background, reset_session }, extra) => {
+            const progress = createOutputProgress(extra, "Bash", onToolProgress);
+            const scope = commands.begin(extra && extra.signal);
             try {
-                const remoteCwd = toRemotePath(cwd || getRemoteCwd());
+                const workspaceRoot = getRemoteCwd();
+                const explicitCwd = cwd ? toRemotePath(cwd) : null;
+                if (reset_session) shellSession.cwd = null;
+                await prepareShellSession(shellSession);
+
+                if (run_in_background) {
+                    if (!(await supportsBackgroundExec())) {
+                        return {
+                            content: [{ type: "text", text: "Error: background commands need the remote agent (claudeCode.useRemoteAgent) or claudeCode.useSSHExec." }],
+                            isError: true
+                        };
+                    }
+                    const job = startBackgroundJob(command, workspaceRoot, buildSessionCommand(
+                        shellSession, command, explicitCwd, { persist: false, reset: reset_session }
+                    ), { owner: commands });
+                    return {
+                        content: [{ type: "text", text: `Command running in background with ID: ${job.id}. Use bash_output to read its output and kill_shell to stop it.` }]
+                    };
+                }
+
                 const timeoutMs = timeout || 120000;
-                const bashCmd = `bash -c ${shellEscape(command)}`;
+                const bashCmd = buildSessionCommand(shellSession, command, explicitCwd, { reset: reset_session });
+                const stripMarker = createCwdMarkerFilter();
+                const onOutput = (stream, text) => {
+                    if (stream === "stdout") text = stripMarker(text);
+                    if (text) progress.onOutput(stream, text);
+                };
 
-                const { stdout, stderr, exitCode } = await execRemoteCommand(
-                    bashCmd, remoteCwd, timeoutMs
-                );
+                // The command may change any file: cached ones are rechecked until it ends, and once after
+                commandStarted();
+                let result;
+                try {
+                    result = await execRemoteCommand(
+                        bashCmd, workspaceRoot, timeoutMs, { onOutput, signal: scope.signal, owner: commands }
+                    );
+                } finally {
+                    commandFinished();
+                }
+                const { stderr, exitCode } = result;
+                const stdout = takeSessionCwd(shellSession, result.stdout);
 
                 let output = "";
                 if (stdout) output += stdout;
                 if (stderr) output += (output ? "\n" : "") + stderr;
                 if (!output) output = `(no output, exit code ${exitCode})`;
+                if (shellSession.cwd && shellSession.cwd !== workspaceRoot) {
+                    output += `\n[cwd: ${shellSession.cwd}]`;
+                }
 
                 return { content: [{ type: "text", text: truncateOutput(output) }] };
             } catch (err) {
+                let text = `Error running bash: ${err.message}`;
+                const partial = [err.stdout, err.stderr].filter(Boolean).join("\n").replace(CWD_MARKER_LINE_RE, "");
+                if (partial) text += "\n\nOutput before the command was stopped:\n" + truncateOutput(partial);
+                return {
+                    content: [{ type: "text", text }],
+                    isError: true
+                };
+            } finally {
+                scope.end();
+                progress.done();
+            }
+        }
+    );
+
+    // ----- bash_output -----
+    mcpServer.tool(
+        "bash_output",
+        "Read new output from a background bash command on the remote server (output since the last call)",
+        {
+            bash_id: s.string().describe("The id returned by bash with run_in_background"),
+            filter: s.string().optional().describe("Optional regex; only output lines matching it are returned")
+        },
+        async ({ bash_id, filter }) => {
+            const job = findBackgroundJob(commands, bash_id);
+            if (!job) {
+                const ids = backgroundJobIds(commands);
+                return {
+                    content: [{ type: "text", text: `Error: no background command with id ${bash_id}.` + (ids.length ? ` Known ids: ${ids.join(", ")}` : "") }],
+                    isError: true
+                };
+            }
+            try {
+                const hadDropped = job.dropped;
+                const output = readBackgroundJobOutput(job, filter);
+                const elapsed = Math.round((Date.now() - job.startTime) / 1000);
+                let text = `Status: ${job.status} (${elapsed}s)`;
+                if (job.exitCode !== null) text += `\nExit code: ${job.exitCode}`;
+                if (job.error) text += `\nError: ${job.error}`;
+                if (hadDropped) text += `\n(${hadDropped} earlier characters were discarded)`;
+                text += "\n\n" + (output ? truncateOutput(output) : "(no new output)");
+                return { content: [{ type: "text", text }] };
+            } catch (err) {
+                return {
+                    content: [{ type: "text", text: `Error reading output: ${err.message}` }],
+                    isError: true
+                };
+            }
+        }
+    );
+
+    // ----- kill_shell -----
+    mcpServer.tool(
+        "kill_shell",
+        "Stop a background bash command on the remote server (terminates its whole process group)",
+        {
+            shell_id: s.string().describe("The id returned by bash with run_in_background")
+        },
+        async ({ shell_id }) => {
+            const job = findBackgroundJob(commands, shell_id);
+            if (!job) {
                 return {
-                    content: [{ type: "text", text: `Error running bash: ${err.message}` }],
+                    content: [{ type: "text", text: `Error: no background command with id ${shell_id}` }],
                     isError: true
                 };
             }
+            if (job.status !== "running") {
+                return { content: [{ type: "text", text: `${shell_id} is not running (status: ${job.status})` }] };
+            }
+            job.controller.abort();
+            await job.done;
+            return { content: [{ type: "text", text: `Killed ${shell_id}` + (job.error ? ` (${job.error})` : "") }] };
         }
     );
 
-    logger.info("forceLocal: registered 6 remote proxy tools (read_file, write_file, edit_file, glob, grep, bash)");
+    logger.info("forceLocal: registered 10 remote proxy tools (read_file, write_file, edit_file, multi_edit, notebook_edit, glob, grep, bash, bash_output, kill_shell)");
+
+    return {
+        // Stop this conversation's in-flight foreground commands (user pressed stop)
+        interrupt: () => commands.interrupt(),
+        // A user message (by id) is being sent: the writes that follow can be rewound to before it
+        userMessage: (id) => checkpoints.userMessage(id),
+        // The webview's rewind_code: { dryRun } → the CLI's rewind result shape
+        async rewind(userMessageId, { dryRun } = {}) {
+            const result = await checkpoints.rewind(userMessageId, { dryRun, execOpts: writeOpts });
+            if (!dryRun) changeSetsChanged();
+            return result;
+        },
+        // The conversation was closed: forget what it read and wrote, its checkpoints and pending overrides
+        dispose() {
+            commands.interrupt();
+            stopBackgroundJobs(commands);
+            disposeShellSession(shellSession);
+            fileTracker.dispose();
+            checkpoints.dispose();
+            forgetConversation(conversationId);
+            if (_changeSets.has(conversationId) && _changeSets.get(conversationId).checkpoints === checkpoints) _changeSets.delete(conversationId);
+            changeSetsChanged();
+        }
+    };
+}
+
+// Called on extension deactivate: stop background jobs, close shared SSH connections and file watchers, forget file formats and stop timers
+function dispose() {
+    stopBackgroundJobs();
+    for (const master of Array.from(_sshMasters.values())) stopSshMaster(master);
+    for (const cache of _fileCaches.values()) cache.dispose();
+    _fileCaches.clear();
+    _fileFormats.clear();
+    clearInterval(_heartbeatTimer);
+    _heartbeatTimer = null;
 }
 
-module.exports = { registerTools, getSshHost, getRemoteCwd, getRemoteUri, toRemotePath, getLocalCwd, setEditOverride, consumeEditOverride };
+module.exports = {
+    registerTools, dispose, getSshHost, getRemoteCwd, getRemoteUri, toRemotePath, getLocalCwd,
+    beginReview, endReview, setEditOverride, consumeEditOverride, forgetConversation,
+    onDidChangeChangeSets, changedFiles, changeContents, revertChange, createOutputProgress, toolProgressMessage,
+    readRemoteText, fileFormat, normalizeLineEndings, matchTrailingNewline, parseAttributes, attributeProblems,
+    RemoteFileCache, globToRegExp, createFileTracker, readForEdit, ensureUnchanged,
+    startBackgroundJob, readBackgroundJobOutput, findBackgroundJob, stopBackgroundJobs,
+    buildSessionDirScript, getSessionDir, commandStoppedError, createCommandScope, RemoteAgent,
+    createShellSession, buildSessionCommand, takeSessionCwd, createCwdMarkerFilter,
+    shellDialect, wrapForShell, ExecScheduler, buildSshArgs, getSshControlPath, hostKeyFingerprint, formatKnownHostsLine, knownHostsName, applyEdits,
+    parseNotebook, serializeNotebook, applyNotebookEdit, renderNotebook,
+    sniffType, looksBinary, imageDimensions, hexDump, parsePageRange, formatFileLines, splitLines, readLineRange,
+    getReadMaxBytes, tooLargeToReadMessage
+};
@@ -0,0 +1,288 @@
+// text-encoding.js — decode and encode remote file contents in their own encoding
+// Used by remote-tools.js so GBK/GB18030, Latin-1, UTF-16 and BOM-marked files survive
+// a read → edit → write round trip. Encoding names are VS Code's `files.encoding` ids
+// ("utf8", "utf8bom", "gbk", "windows1252", ...).
+//
+// Decoding uses the WHATWG TextDecoder (full ICU in VS Code's node). TextEncoder only
+// speaks UTF-8, so the other encodings are encoded with reverse tables built from the
+// decoder on first use; the byte sequences written are exactly those that decode back.
+
+"use strict";
+
+// VS Code encoding id → WHATWG label. iso88591 and windows1252 are mapped by hand on top
+// of node's "latin1": WHATWG treats ISO-8859-1 as windows-1252, and some node builds
+// drop windows-1252's 0x80-0x9F range.
+const WHATWG_LABELS = {
+    utf8: "utf-8", utf8bom: "utf-8", utf16le: "utf-16le", utf16be: "utf-16be",
+    windows1250: "windows-1250", windows1251: "windows-1251", windows1252: "windows-1252",
+    windows1253: "windows-1253", windows1254: "windows-1254", windows1255: "windows-1255",
+    windows1256: "windows-1256", windows1257: "windows-1257", windows1258: "windows-1258",
+    windows874: "windows-874",
+    iso88592: "iso-8859-2", iso88593: "iso-8859-3", iso88594: "iso-8859-4", iso88595: "iso-8859-5",
+    iso88596: "iso-8859-6", iso88597: "iso-8859-7", iso88598: "iso-8859-8", iso885910: "iso-8859-10",
+    iso885913: "iso-8859-13", iso885914: "iso-8859-14", iso885915: "iso-8859-15", iso885916: "iso-8859-16",
+    cp866: "ibm866", koi8r: "koi8-r", koi8u: "koi8-u", macroman: "macintosh",
+    gbk: "gbk", gb2312: "gbk", gb18030: "gb18030", big5hkscs: "big5",
+    shiftjis: "shift_jis", eucjp: "euc-jp", euckr: "euc-kr"
+};
+
+// windows-1252 0x80-0x9F; the undefined slots keep their C1 control
+const CP1252_HIGH = "€\x81‚ƒ„…†‡ˆ‰Š‹Œ\x8dŽ\x8f\x90‘’“”•–—˜™š›œ\x9džŸ";
+
+// Double-byte encodings: reverse tables also cover lead 0x81-0xFE × trail 0x40-0xFE
+const MULTIBYTE = new Set(["gbk", "gb18030", "big5", "shift_jis", "euc-jp", "euc-kr"]);
+
+// Guessing order when a file isn't valid UTF-8, and the characters each encoding is expected to produce
+const DEFAULT_GUESS_CANDIDATES = ["gb18030", "big5hkscs", "shiftjis", "euckr", "windows1252"];
+const CJK = [[0x4e00, 0x9fff], [0x3000, 0x303f], [0xff00, 0xffef], [0x2010, 0x203b], [0x20ac, 0x20ac]];
+const KANA = [[0x3040, 0x30ff]];
+const HANGUL = [[0xac00, 0xd7af], [0x3130, 0x318f]];
+const SCRIPT_RANGES = {
+    gb18030: CJK, gbk: CJK, gb2312: CJK, big5hkscs: CJK,
+    shiftjis: KANA.concat(CJK), eucjp: KANA.concat(CJK),
+    euckr: HANGUL.concat(CJK),
+    windows1252: [[0xa0, 0xff], [0x2010, 0x203a], [0x20ac, 0x20ac]],
+    iso88591: [[0xa0, 0xff]]
+};
+
+const _reverseTables = new Map(); // encoding id → Map(char → byte array)
+
+function normalizeEncoding(encoding) {
+    const id = String(encoding || "utf8").toLowerCase().replace(/[^a-z0-9]/g, "");
+    if (id === "latin1") return "iso88591";
+    return id;
+}
+
+function isSupported(encoding) {
+    const id = normalizeEncoding(encoding);
+    return id === "iso88591" || id in WHATWG_LABELS;
+}
+
+// Human-readable name for messages
+function encodingLabel(encoding, bom) {
+    const id = normalizeEncoding(encoding);
+    if (id === "utf8" || id === "utf8bom") return bom || id === "utf8bom" ? "UTF-8 with BOM" : "UTF-8";
+    if (id === "iso88591") return "ISO-8859-1";
+    return (WHATWG_LABELS[id] || id).toUpperCase();
+}
+
+// Name for the remote's iconv, or null for encodings iconv isn't needed (or can't stream line by line) for
+function iconvName(encoding) {
+    const id = normalizeEncoding(encoding);
+    if (id === "utf8" || id === "utf8bom" || id === "utf16le" || id === "utf16be" || !isSupported(id)) return null;
+    if (id === "iso88591") return "ISO-8859-1";
+    return WHATWG_LABELS[id].toUpperCase();
+}
+
+function decodeWith(id, buf, fatal) {
+    if (id === "iso88591") return buf.toString("latin1");
+    if (id === "windows1252") return buf.toString("latin1").replace(/[\x80-\x9f]/g, (c) => CP1252_HIGH[c.charCodeAt(0) - 0x80]);
+    return new TextDecoder(WHATWG_LABELS[id], { fatal, ignoreBOM: true }).decode(buf);
+}
+
+function tryDecode(id, buf) {
+    try {
+        return decodeWith(id, buf, true);
+    } catch (_) {
+        return null;
+    }
+}
+
+function inRanges(code, ranges) {
+    return ranges.some(([lo, hi]) => code >= lo && code <= hi);
+}
+
+// Share of double-byte pairs inside GB2312's common area (both bytes 0xA1-0xFE). Shift_JIS
+// and Big5 text often decodes cleanly as GB18030 too, but mostly with trail bytes below 0xA1.
+function gb2312Share(buf) {
+    let pairs = 0;
+    let common = 0;
+    for (let i = 0; i < buf.length; i++) {
+        if (buf[i] < 0x81) continue;
+        if (i + 1 < buf.length && buf[i + 1] >= 0x30 && buf[i + 1] <= 0x39) {
+            i += 3; // four-byte sequence
+            continue;
+        }
+        pairs++;
+        if (buf[i] >= 0xa1 && i + 1 < buf.length && buf[i + 1] >= 0xa1) common++;
+        i++;
+    }
+    return pairs === 0 ? 1 : common / pairs;
+}
+
+// How plausible a clean decoding is: the share of non-ASCII characters in the
+// encoding's script, discounted by per-family tells
+function guessScore(id, text, buf) {
+    const ranges = SCRIPT_RANGES[id];
+    let nonAscii = 0;
+    let expected = 0;
+    let kana = 0;
+    let paired = 0;
+    let previous = 0;
+    for (const ch of text) {
+        const code = ch.codePointAt(0);
+        const last = previous;
+        previous = code;
+        if (code < 0x80) continue;
+        nonAscii++;
+        if (last >= 0x80) paired++;
+        if (!ranges || inRanges(code, ranges)) expected++;
+        if (inRanges(code, KANA)) kana++;
+    }
+    if (nonAscii === 0) return 1;
+    let score = expected / nonAscii;
+    if (id === "gb18030" || id === "gbk" || id === "gb2312") score *= gb2312Share(buf);
+    // Japanese prose is never without kana
+    if ((id === "shiftjis" || id === "eucjp") && kana === 0) score *= 0.5;
+    // Accented letters sit between plain ones; double-byte text read a byte at a time comes out in runs
+    if (!MULTIBYTE.has(WHATWG_LABELS[id])) score *= 1 - paired / nonAscii;
+    return score;
+}
+
+// Best candidate for bytes that aren't UTF-8; ties go to the earlier candidate
+function guessEncoding(buf, candidates) {
+    let best = null;
+    for (const candidate of candidates) {
+        const id = normalizeEncoding(candidate);
+        if (!isSupported(id) || id === "utf8" || id === "utf8bom") continue;
+        const text = tryDecode(id, buf);
+        if (text === null) continue;
+        const score = guessScore(id, text, buf);
+        if (!best || score > best.score) best = { id, text, score };
+    }
+    return best && best.score >= 0.5 ? best : null;
+}
+
+/**
+ * Decode file bytes. settings: { encoding, autoGuess, candidates } as in VS Code's
+ * files.encoding / files.autoGuessEncoding / files.candidateGuessEncodings.
+ * Returns { text, encoding, bom, lossy }; lossy means the bytes weren't valid in the
+ * chosen encoding, so writing the text back would change them.
+ */
+function decodeText(buf, settings = {}) {
+    buf = Buffer.from(buf);
+    if (buf.length >= 3 && buf[0] === 0xef && buf[1] === 0xbb && buf[2] === 0xbf) {
+        return { text: decodeWith("utf8", buf.subarray(3), false), encoding: "utf8", bom: true, lossy: false };
+    }
+    if (buf.length >= 2 && buf[0] === 0xff && buf[1] === 0xfe) {
+        return { text: decodeWith("utf16le", buf.subarray(2), false), encoding: "utf16le", bom: true, lossy: false };
+    }
+    if (buf.length >= 2 && buf[0] === 0xfe && buf[1] === 0xff) {
+        return { text: decodeWith("utf16be", buf.subarray(2), false), encoding: "utf16be", bom: true, lossy: false };
+    }
+
+    let configured = normalizeEncoding(settings.encoding);
+    if (!isSupported(configured)) configured = "utf8";
+    // A configured BOM encoding only applies to new files; existing files without a BOM keep having none
+    const fallback = configured === "utf8bom" ? "utf8" : configured;
+
+    if (settings.autoGuess) {
+        const utf8 = tryDecode("utf8", buf);
+        if (utf8 !== null) {
+            // Pure ASCII reads the same in the configured encoding; keep that for later non-ASCII edits
+            const ascii = !buf.some((b) => b >= 0x80);
+            return { text: utf8, encoding: ascii ? fallback : "utf8", bom: false, lossy: false };
+        }
+        const candidates = settings.candidates && settings.candidates.length ? settings.candidates : DEFAULT_GUESS_CANDIDATES;
+        const ordered = fallback !== "utf8" ? [fallback, ...candidates] : candidates;
+        const guess = guessEncoding(buf, ordered);
+        if (guess) return { text: guess.text, encoding: guess.id, bom: false, lossy: false };
+    }
+
+    const strict = tryDecode(fallback, buf);
+    if (strict !== null) return { text: strict, encoding: fallback, bom: false, lossy: false };
+    return { text: decodeWith(fallback, buf, false), encoding: fallback, bom: false, lossy: true };
+}
+
+function reverseTable(id) {
+    let table = _reverseTables.get(id);
+    if (table) return table;
+    const label = WHATWG_LABELS[id];
+    table = new Map();
+    const decoder = new TextDecoder(label, { ignoreBOM: true });
+    const add = (bytes) => {
+        const ch = decodeWith(id, Buffer.from(bytes), false);
+        // Keep the shortest sequence for each character: single bytes win over pairs
+        if (ch && !ch.includes("�") && Array.from(ch).length === 1 && !table.has(ch)) table.set(ch, bytes);
+    };
+    for (let b = 0; b < 0x100; b++) add([b]);
+    if (MULTIBYTE.has(label)) {
+        for (let lead = 0x81; lead <= 0xfe; lead++) {
+            for (let trail = 0x40; trail <= 0xfe; trail++) add([lead, trail]);
+        }
+    }
+    if (label === "gb18030") {
+        // Four-byte sequences for the rest of the BMP; each decodes to exactly one character (or U+FFFD)
+        const sequences = [];
+        for (let b1 = 0x81; b1 <= 0x84; b1++) {
+            for (let b2 = 0x30; b2 <= 0x39; b2++) {
+                for (let b3 = 0x81; b3 <= 0xfe; b3++) {
+                    for (let b4 = 0x30; b4 <= 0x39; b4++) sequences.push([b1, b2, b3, b4]);
+                }
+            }
+        }
+        const decoded = decoder.decode(Uint8Array.from(sequences.flat()));
+        let i = 0;
+        for (const ch of decoded) {
+            if (i >= sequences.length) break;
+            if (ch !== "�" && !table.has(ch)) table.set(ch, sequences[i]);
+            i++;
+        }
+    }
+    _reverseTables.set(id, table);
+    return table;
+}
+
+// GB18030 maps everything beyond the BMP linearly from 0x90308130
+function gb18030Supplementary(code) {
+    let linear = code - 0x10000;
+    const b4 = 0x30 + linear % 10; linear = Math.floor(linear / 10);
+    const b3 = 0x81 + linear % 126; linear = Math.floor(linear / 126);
+    const b2 = 0x30 + linear % 10; linear = Math.floor(linear / 10);
+    return [0x90 + linear, b2, b3, b4];
+}
+
+/**
+ * Encode text for writing. info: { encoding, bom }. Characters the encoding can't
+ * hold are written as "?" and listed in unencodable ({ char, index }, at most 20).
+ * Returns { data, unencodable }.
+ */
+function encodeText(text, info = {}) {
+    const id = normalizeEncoding(info.encoding);
+    const bom = !!info.bom || id === "utf8bom";
+    const unencodable = [];
+    let data;
+    if (id === "utf8" || id === "utf8bom" || !isSupported(id)) {
+        data = Buffer.from(text, "utf8");
+        if (bom) data = Buffer.concat([Buffer.from([0xef, 0xbb, 0xbf]), data]);
+    } else if (id === "utf16le" || id === "utf16be") {
+        data = Buffer.from(text, "utf16le");
+        if (id === "utf16be") data.swap16();
+        if (bom) data = Buffer.concat([Buffer.from(id === "utf16le" ? [0xff, 0xfe] : [0xfe, 0xff]), data]);
+    } else {
+        const label = id === "iso88591" ? null : WHATWG_LABELS[id];
+        const table = label ? reverseTable(id) : null;
+        const bytes = [];
+        let index = 0;
+        for (const ch of text) {
+            const code = ch.codePointAt(0);
+            if (code < 0x80) {
+                bytes.push(code);
+            } else if (!label && code <= 0xff) {
+                bytes.push(code);
+            } else if (table && table.has(ch)) {
+                bytes.push(...table.get(ch));
+            } else if (label === "gb18030" && code >= 0x10000) {
+                bytes.push(...gb18030Supplementary(code));
+            } else {
+                if (unencodable.length < 20) unencodable.push({ char: ch, index });
+                bytes.push(0x3f);
+            }
+            index += ch.length;
+        }
+        data = Buffer.from(bytes);
+    }
+    return { data, unencodable };
+}
+
+module.exports = { decodeText, encodeText, encodingLabel, iconvName, isSupported, normalizeEncoding };
@@ -0,0 +1,196 @@
+#!/usr/bin/env node
+/**
+ * Unit test: multi-hunk string edits
+ *
+ * Tests applyEdits from src/remote-tools.js (used by multi_edit):
+ *   - Are edits applied in order, each to the previous result?
+ *   - Does replace_all work per edit, and is uniqueness enforced otherwise?
+ *   - Does any failing edit abort the whole set, naming the edit?
+ *   - Are "$" patterns in new_string kept literally?
+ *   - Do "not found" errors point at the closest near-match?
+ *   - Do CRLF files match LF edits, and keep their trailing newline state?
+ *
+ * Run: node test-apply-edits.js
+ */
+
+"use strict";
+
+const Module = require("module");
+
+// remote-tools.js requires "vscode"; applyEdits doesn't touch it
+const _origLoad = Module._load;
+Module._load = function(request) {
+    if (request === "vscode") return {};
+    return _origLoad.apply(this, arguments);
+};
+const { applyEdits, normalizeLineEndings, matchTrailingNewline } = require("./src/remote-tools");
+
+let passed = 0;
+let failed = 0;
+
+function assert(cond, msg) {
+    if (cond) {
+        passed++;
+        console.log("  PASS: " + msg);
+    } else {
+        failed++;
+        console.log("  FAIL: " + msg);
+    }
+}
+
+function assertEqual(actual, expected, msg) {
+    const a = JSON.stringify(actual);
+    const e = JSON.stringify(expected);
+    if (a === e) {
+        passed++;
+        console.log("  PASS: " + msg);
+    } else {
+        failed++;
+        console.log("  FAIL: " + msg + " — expected " + e + ", got " + a);
+    }
+}
+
+function errorOf(fn) {
+    try {
+        fn();
+        return null;
+    } catch (err) {
+        return err.message;
+    }
+}
+
+const source = "const a = 1;\nconst b = 2;\nlog(a);\nlog(b);\n";
+
+// ============================================================
+// Test Suite 1: Ordered application
+// ============================================================
+console.log("\n=== Suite 1: Ordered application ===\n");
+
+assertEqual(applyEdits(source, [
+    { old_string: "const a = 1;", new_string: "const alpha = 1;" },
+    { old_string: "log(a);", new_string: "log(alpha);" }
+], "/f.js"), "const alpha = 1;\nconst b = 2;\nlog(alpha);\nlog(b);\n", "independent edits are all applied");
+
+assertEqual(applyEdits("x = 1;\n", [
+    { old_string: "x = 1;", new_string: "x = 2;" },
+    { old_string: "x = 2;\n", new_string: "x = 2;\ny = 3;\n" }
+], "/f.js"), "x = 2;\ny = 3;\n", "later edits see earlier edits' results");
+
+assertEqual(applyEdits(source, [{ old_string: "log(b);", new_string: "" }], "/f.js"),
+    "const a = 1;\nconst b = 2;\nlog(a);\n", "deleting a whole line removes its line break too");
+
+// ============================================================
+// Test Suite 2: replace_all and uniqueness
+// ============================================================
+console.log("\n=== Suite 2: replace_all ===\n");
+
+assertEqual(applyEdits(source, [{ old_string: "log(", new_string: "console.log(", replace_all: true }], "/f.js"),
+    "const a = 1;\nconst b = 2;\nconsole.log(a);\nconsole.log(b);\n", "replace_all replaces every occurrence");
+
+assertEqual(errorOf(() => applyEdits(source, [{ old_string: "log(", new_string: "console.log(" }], "/f.js")),
+    "old_string found 2 times in /f.js (lines 3, 4). Provide more context to make it unique, or set replace_all to change every occurrence.",
+    "an ambiguous match without replace_all is rejected");
+
+assertEqual(applyEdits(source, [
+    { old_string: "const", new_string: "let", replace_all: true },
+    { old_string: "log(a);", new_string: "print(a);" }
+], "/f.js"), "let a = 1;\nlet b = 2;\nprint(a);\nlog(b);\n", "replace_all applies per edit, not to the whole set");
+
+// ============================================================
+// Test Suite 3: Atomic failure
+// ============================================================
+console.log("\n=== Suite 3: Failures ===\n");
+
+assertEqual(errorOf(() => applyEdits(source, [
+    { old_string: "const a = 1;", new_string: "const a = 10;" },
+    { old_string: "missing", new_string: "x" }
+], "/f.js")), "Edit 2: old_string not found in /f.js", "a missing hunk names the failing edit");
+
+assertEqual(errorOf(() => applyEdits(source, [{ old_string: "missing", new_string: "x" }], "/f.js")),
+    "old_string not found in /f.js", "a single edit isn't numbered");
+
+assertEqual(errorOf(() => applyEdits(source, [
+    { old_string: "a = 1", new_string: "a = 1 + b" },
+    { old_string: "+ b", new_string: "+ c" }
+], "/f.js")), "Edit 2: old_string is a substring of a new_string from a previous edit",
+    "editing text introduced by an earlier edit is rejected");
+
+assert(errorOf(() => applyEdits(source, [{ old_string: "a", new_string: "a" }], "/f.js")).includes("identical"),
+    "identical old_string and new_string are rejected");
+assert(errorOf(() => applyEdits(source, [{ old_string: "", new_string: "x" }], "/f.js")).includes("empty"),
+    "an empty old_string is rejected");
+assertEqual(errorOf(() => applyEdits(source, [
+    { old_string: "b = 2", new_string: "b = 3" },
+    { old_string: "b = 3", new_string: "b = 2" }
+], "/f.js")), "Edit 2: old_string is a substring of a new_string from a previous edit",
+    "undoing an earlier edit is caught");
+
+// ============================================================
+// Test Suite 4: Literal replacement text
+// ============================================================
+console.log("\n=== Suite 4: Literal replacements ===\n");
+
+assertEqual(applyEdits("price = 0;\n", [{ old_string: "0", new_string: "\"$&$1$$\"" }], "/f.js"),
+    "price = \"$&$1$$\";\n", "$ patterns in new_string are not expanded");
+assertEqual(applyEdits("a.a.a", [{ old_string: "a", new_string: "$'", replace_all: true }], "/f.js"),
+    "$'.$'.$'", "replace_all keeps $ patterns literal too");
+
+// ============================================================
+// Test Suite 5: Diagnostics
+// ============================================================
+console.log("\n=== Suite 5: Diagnostics ===\n");
+
+const code = "function f() {\n\tif (x) {\n\t\treturn 1;\n\t}\n}\n\nfunction g() {\n\treturn 2;\n}\n";
+
+assert(errorOf(() => applyEdits(code + code, [{ old_string: "\treturn 1;", new_string: "\treturn 3;" }], "/f.js"))
+    .includes("found 2 times in /f.js (lines 3, 12)"), "ambiguous matches list their line numbers");
+
+{
+    const err = errorOf(() => applyEdits(code, [{ old_string: "    if (x) {\n        return 1;", new_string: "x" }], "/f.js"));
+    assert(err.startsWith("old_string not found in /f.js\nThe closest match (lines 2-3) differs only in whitespace"),
+        "indentation differences are reported as a whitespace-only near-match");
+    assert(err.includes("    file:       →→return·1;\n    old_string: ········return·1;"),
+        "tabs and spaces are made visible on the differing line");
+    assert(err.includes("    file:       →if·(x)·{\n    old_string: ····if·(x)·{"),
+        "a first line that differs only by indentation is shown too");
+}
+
+{
+    const err = errorOf(() => applyEdits(code, [{ old_string: "function g() {\n\treturn 22;\n}", new_string: "x" }], "/f.js"));
+    assert(/The closest match \(lines 7-9, \d+% similar\)/.test(err), "a near-miss reports its location and similarity");
+    assert(err.includes("  line 8:\n    file:       →return·2;\n    old_string: →return·22;") && !err.includes("line 7:"),
+        "only the differing line is shown");
+}
+
+assertEqual(errorOf(() => applyEdits(code, [{ old_string: "completely unrelated text", new_string: "x" }], "/f.js")),
+    "old_string not found in /f.js", "nothing similar → no near-match section");
+
+assert(errorOf(() => applyEdits("a\r\nb\r\n", [{ old_string: "a\nb", new_string: "x" }], "/f.js")).includes("a␍"),
+    "carriage returns are made visible");
+
+// ============================================================
+// Test Suite 6: Line endings
+// ============================================================
+console.log("\n=== Suite 6: Line endings ===\n");
+
+{
+    // The tools see CRLF files with LF line endings, and normalize old_string/new_string the same way
+    const crlf = normalizeLineEndings("a = 1;\r\nb = 2;\r\n");
+    assertEqual(crlf, "a = 1;\nb = 2;\n", "CRLF line breaks are normalized to LF");
+    assertEqual(applyEdits(crlf, [{ old_string: normalizeLineEndings("a = 1;\r\nb"), new_string: "a = 1;\nc = 3;\nb" }], "/f.js"),
+        "a = 1;\nc = 3;\nb = 2;\n", "a CRLF old_string matches, and inserted lines get no stray carriage returns");
+    assertEqual(normalizeLineEndings("a\rb\r\n"), "a\rb\n", "lone carriage returns are left alone");
+}
+
+assertEqual(matchTrailingNewline("x\ny\n", "x\nz"), "x\nz\n", "an edit at the end doesn't drop the final newline");
+assertEqual(matchTrailingNewline("x\ny", "x\nz\n"), "x\nz", "nor add one to a file that had none");
+assertEqual(matchTrailingNewline("", "new\n"), "new\n", "new files are written as given");
+assertEqual(matchTrailingNewline("x\n", ""), "", "emptying a file leaves it empty");
+
+// ============================================================
+// Summary
+// ============================================================
+console.log("\n========================================");
+console.log("Results: " + passed + " passed, " + failed + " failed");
+console.log("========================================\n");
+process.exit(failed > 0 ? 1 : 0);
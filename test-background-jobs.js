@@ -0,0 +1,187 @@
+#!/usr/bin/env node
+/**
+ * Unit test: background bash jobs
+ *
+ * Tests startBackgroundJob() / readBackgroundJobOutput() / stopBackgroundJobs()
+ * from src/remote-tools.js with a fake executor standing in for the remote:
+ *   - Does each read return only the output produced since the previous one?
+ *   - Does a filter keep matching lines, and does a bad regex leave the output unread?
+ *   - Is output trimmed at JOB_MAX_BUFFER, with the discarded amount counted?
+ *   - Are finished jobs forgotten once read, and a conversation's jobs stopped on close?
+ *
+ * Run: node test-background-jobs.js
+ */
+
+"use strict";
+
+const Module = require("module");
+
+// remote-tools.js requires "vscode"; the job functions don't touch it
+const _origLoad = Module._load;
+Module._load = function(request) {
+    if (request === "vscode") return {};
+    return _origLoad.apply(this, arguments);
+};
+const { startBackgroundJob, readBackgroundJobOutput, findBackgroundJob, stopBackgroundJobs } = require("./src/remote-tools");
+
+const JOB_MAX_BUFFER = 5 * 1024 * 1024;
+
+let passed = 0;
+let failed = 0;
+
+function assert(cond, msg) {
+    if (cond) {
+        passed++;
+        console.log("  PASS: " + msg);
+    } else {
+        failed++;
+        console.log("  FAIL: " + msg);
+    }
+}
+
+function assertEqual(actual, expected, msg) {
+    const a = JSON.stringify(actual);
+    const e = JSON.stringify(expected);
+    if (a === e) {
+        passed++;
+        console.log("  PASS: " + msg);
+    } else {
+        failed++;
+        console.log("  FAIL: " + msg + " — expected " + e + ", got " + a);
+    }
+}
+
+/**
+ * A fake remote command: emit(text) streams output, exit(code) finishes it.
+ * Aborting its signal rejects the way execRemoteCommand does.
+ */
+function fakeRun() {
+    const fake = { opts: null, emit: null, exit: null };
+    fake.run = (command, cwd, timeoutMs, opts) => new Promise((resolve, reject) => {
+        fake.opts = opts;
+        fake.emit = (text) => opts.onOutput("stdout", text);
+        fake.exit = (exitCode) => resolve({ stdout: "", stderr: "", exitCode });
+        opts.signal.addEventListener("abort", () => reject(new Error("Command cancelled")), { once: true });
+    });
+    return fake;
+}
+
+function start(owner, fake) {
+    return startBackgroundJob("cmd", "/work", "bash -c cmd", { owner, run: fake.run });
+}
+
+(async () => {
+    // ============================================================
+    // Test Suite 1: Incremental reads
+    // ============================================================
+    console.log("\n=== Suite 1: Incremental reads ===\n");
+    {
+        const owner = {};
+        const fake = fakeRun();
+        const job = start(owner, fake);
+        assertEqual(job.status, "running", "job starts running");
+        assert(fake.opts.background === true, "runs as a background command");
+        assertEqual(readBackgroundJobOutput(job), "", "nothing to read yet");
+        fake.emit("one\n");
+        fake.emit("two\n");
+        assertEqual(readBackgroundJobOutput(job), "one\ntwo\n", "first read returns everything so far");
+        assertEqual(readBackgroundJobOutput(job), "", "second read returns nothing new");
+        fake.emit("three\n");
+        assertEqual(readBackgroundJobOutput(job), "three\n", "third read returns only the new output");
+        fake.exit(0);
+        await job.done;
+        assertEqual([job.status, job.exitCode], ["completed", 0], "exit code is recorded");
+        stopBackgroundJobs(owner);
+    }
+
+    // ============================================================
+    // Test Suite 2: Filters
+    // ============================================================
+    console.log("\n=== Suite 2: Filters ===\n");
+    {
+        const owner = {};
+        const fake = fakeRun();
+        const job = start(owner, fake);
+        fake.emit("epoch 1 loss=0.5\nwarning: slow\nepoch 2 loss=0.4\n");
+        assertEqual(readBackgroundJobOutput(job, "^epoch"), "epoch 1 loss=0.5\nepoch 2 loss=0.4", "only matching lines are returned");
+        assertEqual(readBackgroundJobOutput(job), "", "filtered-out lines are consumed too");
+
+        fake.emit("epoch 3 loss=0.3\n");
+        let error = null;
+        try {
+            readBackgroundJobOutput(job, "epoch (");
+        } catch (err) {
+            error = err;
+        }
+        assert(error instanceof SyntaxError, "an invalid regex throws");
+        assertEqual(readBackgroundJobOutput(job), "epoch 3 loss=0.3\n", "output is still there after an invalid regex");
+        stopBackgroundJobs(owner);
+    }
+
+    // ============================================================
+    // Test Suite 3: Trimming at JOB_MAX_BUFFER
+    // ============================================================
+    console.log("\n=== Suite 3: Trimming ===\n");
+    {
+        const owner = {};
+        const fake = fakeRun();
+        const job = start(owner, fake);
+        const chunk = "x".repeat(1024 * 1024);
+        for (let i = 0; i < 5; i++) fake.emit(chunk);
+        assertEqual([job.output.length, job.dropped], [JOB_MAX_BUFFER, 0], "exactly JOB_MAX_BUFFER is kept whole");
+
+        // Already-read output is pushed out first: the read position moves back with it
+        readBackgroundJobOutput(job);
+        fake.emit("y".repeat(100));
+        assertEqual(job.output.length, JOB_MAX_BUFFER, "buffer stays at JOB_MAX_BUFFER");
+        assertEqual(job.dropped, 100, "discarded characters are counted");
+        assertEqual(readBackgroundJobOutput(job), "y".repeat(100), "only unread output is returned after trimming");
+
+        // Unread output is lost from the head, never from the tail
+        fake.emit("z".repeat(JOB_MAX_BUFFER));
+        assertEqual(job.dropped, 100 + JOB_MAX_BUFFER, "dropped keeps accumulating");
+        const text = readBackgroundJobOutput(job);
+        assert(text.length === JOB_MAX_BUFFER && /^z+$/.test(text), "the newest JOB_MAX_BUFFER characters survive");
+        stopBackgroundJobs(owner);
+    }
+
+    // ============================================================
+    // Test Suite 4: Job lifetime
+    // ============================================================
+    console.log("\n=== Suite 4: Lifetime ===\n");
+    {
+        const owner = {};
+        const fake = fakeRun();
+        const job = start(owner, fake);
+        fake.emit("done\n");
+        fake.exit(3);
+        await job.done;
+        assert(findBackgroundJob(owner, job.id) === job, "a finished job is kept until its output is read");
+        assert(findBackgroundJob({}, job.id) === null, "other conversations can't see the job");
+        assertEqual(readBackgroundJobOutput(job), "done\n", "output of a finished job can still be read");
+        assert(findBackgroundJob(owner, job.id) === null, "the job is forgotten once its output was read");
+
+        const again = fakeRun();
+        const other = start({}, again);
+        stopBackgroundJobs(owner);
+        assertEqual(other.status, "running", "other conversations' jobs keep running");
+
+        const a = fakeRun(), b = fakeRun();
+        const jobA = start(owner, a), jobB = start(owner, b);
+        stopBackgroundJobs(owner);
+        await Promise.all([jobA.done, jobB.done]);
+        assertEqual([jobA.status, jobB.status], ["killed", "killed"], "closing the conversation kills its running jobs");
+
+        stopBackgroundJobs();
+        await other.done;
+        assertEqual(other.status, "killed", "deactivate kills every job");
+    }
+
+    // ============================================================
+    // Summary
+    // ============================================================
+    console.log("\n========================================");
+    console.log("Results: " + passed + " passed, " + failed + " failed");
+    console.log("========================================\n");
+    process.exit(failed > 0 ? 1 : 0);
+})();
@@ -0,0 +1,136 @@
+#!/usr/bin/env node
+/**
+ * Unit test: binary file detection for read_file
+ *
+ * Tests the helpers in src/remote-tools.js that keep images, PDFs and other
+ * binaries from being decoded as UTF-8:
+ *   - Are file types recognized by their magic bytes?
+ *   - Is text (including UTF-16 / BOM files) told apart from binary data?
+ *   - Are image dimensions read from PNG, GIF, JPEG, WebP and BMP headers?
+ *   - Are hex dumps and PDF page ranges formatted / validated?
+ *
+ * Run: node test-binary-files.js
+ */
+
+"use strict";
+
+const Module = require("module");
+
+// remote-tools.js requires "vscode"; these helpers don't touch it
+const _origLoad = Module._load;
+Module._load = function(request) {
+    if (request === "vscode") return {};
+    return _origLoad.apply(this, arguments);
+};
+const { sniffType, looksBinary, imageDimensions, hexDump, parsePageRange } = require("./src/remote-tools");
+
+let passed = 0;
+let failed = 0;
+
+function assert(cond, msg) {
+    if (cond) {
+        passed++;
+        console.log("  PASS: " + msg);
+    } else {
+        failed++;
+        console.log("  FAIL: " + msg);
+    }
+}
+
+function assertEqual(actual, expected, msg) {
+    const a = JSON.stringify(actual);
+    const e = JSON.stringify(expected);
+    if (a === e) {
+        passed++;
+        console.log("  PASS: " + msg);
+    } else {
+        failed++;
+        console.log("  FAIL: " + msg + " — expected " + e + ", got " + a);
+    }
+}
+
+function errorOf(fn) {
+    try {
+        fn();
+        return null;
+    } catch (err) {
+        return err.message;
+    }
+}
+
+// Minimal headers, padded so the size checks pass
+function bytes(...parts) {
+    const buf = Buffer.concat(parts.map((p) => typeof p === "string" ? Buffer.from(p, "latin1") : Buffer.from(p)));
+    return Buffer.concat([buf, Buffer.alloc(Math.max(0, 300 - buf.length))]);
+}
+
+const png = bytes("\x89PNG\r\n\x1a\n", [0, 0, 0, 13], "IHDR", [0, 0, 0x07, 0x80, 0, 0, 0x04, 0x38]);
+const gif = bytes("GIF89a", [0x40, 0x01, 0xf0, 0x00]);
+const jpeg = bytes([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x04, 0x00, 0x00],
+    [0xff, 0xc2, 0x00, 0x11, 0x08, 0x02, 0x58, 0x03, 0x20]);
+const webp = bytes("RIFF", [0, 0, 0, 0], "WEBP", "VP8X", [0, 0, 0, 0, 0, 0, 0, 0], [0xff, 0x0e, 0x00, 0x6f, 0x08, 0x00]);
+const bmp = bytes("BM", Buffer.alloc(16), [0x20, 0, 0, 0, 0xf0, 0xff, 0xff, 0xff]);
+
+// ============================================================
+// Test Suite 1: Magic bytes
+// ============================================================
+console.log("\n=== Suite 1: Magic bytes ===\n");
+
+assertEqual([png, gif, jpeg, webp, bmp].map(sniffType), ["image/png", "image/gif", "image/jpeg", "image/webp", "image/bmp"],
+    "image formats");
+assertEqual(sniffType(bytes("%PDF-1.7\n")), "application/pdf", "PDF");
+assertEqual(sniffType(bytes("\x7fELF\x02\x01")), "ELF executable", "ELF");
+assertEqual(sniffType(bytes("\x93NUMPY\x01\x00")), "NumPy array (.npy)", "NumPy");
+assertEqual(sniffType(bytes("PK\x03\x04")), "zip archive (also .npz, .pt, .jar, .docx)", "zip (PyTorch checkpoints are zips)");
+assertEqual(sniffType(bytes([0x80, 0x04, 0x95])), "Python pickle", "pickle");
+assertEqual(sniffType(bytes("hello")), null, "plain text has no type");
+assertEqual(sniffType(Buffer.alloc(0)), null, "empty file has no type");
+
+// ============================================================
+// Test Suite 2: Text vs binary
+// ============================================================
+console.log("\n=== Suite 2: Text vs binary ===\n");
+
+assert(!looksBinary(Buffer.from("def main():\n\tprint('héllo')\r\n")), "source code with tabs, CRLF and UTF-8");
+assert(!looksBinary(Buffer.from("\x1b[32mok\x1b[0m\n")), "logs with colour codes");
+assert(!looksBinary(Buffer.from("﻿name,value\n", "utf8")), "UTF-8 with BOM");
+assert(!looksBinary(Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from("a,b\n", "utf16le")])), "UTF-16 with BOM (has NUL bytes)");
+assert(!looksBinary(Buffer.alloc(0)), "empty file");
+assert(looksBinary(png), "PNG");
+assert(looksBinary(Buffer.from([1, 2, 3, 4, 5, 6, 65, 66, 67, 68])), "control-character soup without NULs");
+
+// ============================================================
+// Test Suite 3: Image dimensions
+// ============================================================
+console.log("\n=== Suite 3: Image dimensions ===\n");
+
+assertEqual(imageDimensions(png, "image/png"), { width: 1920, height: 1080 }, "PNG");
+assertEqual(imageDimensions(gif, "image/gif"), { width: 320, height: 240 }, "GIF");
+assertEqual(imageDimensions(jpeg, "image/jpeg"), { width: 800, height: 600 }, "JPEG (progressive SOF2 after APP0)");
+assertEqual(imageDimensions(webp, "image/webp"), { width: 3840, height: 2160 }, "WebP (VP8X)");
+assertEqual(imageDimensions(bmp, "image/bmp"), { width: 32, height: 16 }, "BMP (top-down rows)");
+assertEqual(imageDimensions(Buffer.from([0xff, 0xd8, 0xff]), "image/jpeg"), null, "truncated JPEG");
+
+// ============================================================
+// Test Suite 4: Hex dump and page ranges
+// ============================================================
+console.log("\n=== Suite 4: Hex dump / pages ===\n");
+
+assertEqual(hexDump(Buffer.from("\x7fELF\x02\x01\x01\x00abcdefghij", "latin1")).split("\n"),
+    ["00000000  7f 45 4c 46 02 01 01 00  61 62 63 64 65 66 67 68  |.ELF....abcdefgh|",
+        "00000010  69 6a                                             |ij|"], "xxd-style rows");
+assertEqual(hexDump(Buffer.alloc(100)).split("\n").length, 4, "dump stops after 64 bytes");
+
+assertEqual(parsePageRange("3"), { first: 3, last: 3 }, "single page");
+assertEqual(parsePageRange(" 2 - 7 "), { first: 2, last: 7 }, "range with spaces");
+assert(errorOf(() => parsePageRange("1-21")).includes("At most 20 pages"), "ranges are capped at 20 pages");
+assert(errorOf(() => parsePageRange("5-2")).startsWith("Invalid pages"), "backwards range");
+assert(errorOf(() => parsePageRange("first")).startsWith("Invalid pages"), "not a number");
+
+// ============================================================
+// Summary
+// ============================================================
+console.log("\n========================================");
+console.log("Results: " + passed + " passed, " + failed + " failed");
+console.log("========================================\n");
+process.exit(failed > 0 ? 1 : 0);
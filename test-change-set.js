@@ -0,0 +1,252 @@
+#!/usr/bin/env node
+/**
+ * Unit test: the "Claude Remote Changes" change set
+ *
+ * Drives the write tools of two conversations registered by src/remote-tools.js
+ * against an in-memory vscode.workspace.fs, then checks the change set and the
+ * tree view in src/change-set-view.js:
+ *   - Is every file a conversation changed listed, with line counts against the baseline?
+ *   - Are the line counts kept until the file changes, instead of downloading it on every refresh?
+ *   - Are the diff contents the text from before the conversation and now?
+ *   - Does reverting put one file back (or delete it if Claude created it)?
+ *   - Is a revert refused when someone else changed the file since?
+ *   - Are files grouped per conversation once there is more than one?
+ *
+ * Run: node test-change-set.js
+ */
+
+"use strict";
+
+const Module = require("module");
+
+// In-memory remote filesystem; no SSH host, so permission checks fail fast and writes go ahead with a notice
+const files = new Map();
+let clock = 1000;
+let reads = 0;
+function put(filePath, data) {
+    files.set(filePath, { data: Buffer.from(data), mtime: ++clock });
+}
+function notFound() {
+    const err = new Error("not found");
+    err.code = "FileNotFound";
+    return err;
+}
+
+class TreeItem {
+    constructor(label, collapsibleState) {
+        this.label = label;
+        this.collapsibleState = collapsibleState;
+    }
+}
+
+const vscodeStub = {
+    env: { remoteAuthority: "" },
+    Uri: { parse: (str) => ({ path: str.replace(/^vscode-remote:\/\/[^/]+/, "") }) },
+    RelativePattern: function() {},
+    TreeItem,
+    TreeItemCollapsibleState: { None: 0, Collapsed: 1, Expanded: 2 },
+    ThemeIcon: function(id) { this.id = id; },
+    EventEmitter: class {
+        constructor() { this.event = () => ({ dispose() {} }); }
+        fire() {}
+        dispose() {}
+    },
+    workspace: {
+        workspaceFolders: [{ uri: { path: "/srv" } }],
+        getConfiguration: (section) => ({ get: (key, fallback) => (section === "claudeCode" && key === "useSSHExec") ? true : fallback }),
+        createFileSystemWatcher: () => { throw new Error("no watcher in tests"); },
+        fs: {
+            stat: async (uri) => {
+                const file = files.get(uri.path);
+                if (!file) throw notFound();
+                return { size: file.data.length, mtime: file.mtime };
+            },
+            readFile: async (uri) => {
+                reads++;
+                const file = files.get(uri.path);
+                if (!file) throw notFound();
+                return file.data;
+            },
+            writeFile: async (uri, data) => put(uri.path, data),
+            delete: async (uri) => {
+                if (!files.delete(uri.path)) throw notFound();
+            }
+        }
+    }
+};
+
+const _origLoad = Module._load;
+Module._load = function(request) {
+    if (request === "vscode") return vscodeStub;
+    return _origLoad.apply(this, arguments);
+};
+const rt = require("./src/remote-tools");
+const { RemoteChangesProvider } = require("./src/change-set-view");
+
+let passed = 0;
+let failed = 0;
+
+function assert(cond, msg) {
+    if (cond) {
+        passed++;
+        console.log("  PASS: " + msg);
+    } else {
+        failed++;
+        console.log("  FAIL: " + msg);
+    }
+}
+
+function assertEqual(actual, expected, msg) {
+    const a = JSON.stringify(actual);
+    const e = JSON.stringify(expected);
+    if (a === e) {
+        passed++;
+        console.log("  PASS: " + msg);
+    } else {
+        failed++;
+        console.log("  FAIL: " + msg + " — expected " + e + ", got " + a);
+    }
+}
+
+async function errorOf(promise) {
+    try {
+        await promise;
+        return null;
+    } catch (err) {
+        return err.message;
+    }
+}
+
+// Stand-ins for the MCP server and zod: only the tool handlers matter here
+const schema = new Proxy(function() {}, { get: () => () => schema, apply: () => schema });
+const logger = { info() {}, warn() {}, error() {} };
+
+function registerChannel(channelId) {
+    const tools = {};
+    const server = { tool: (name, description, shape, handler) => { tools[name] = handler; } };
+    const handle = rt.registerTools(server, schema, logger, null, null, null, channelId);
+    const edit = async (filePath, oldString, newString) => {
+        const result = await tools.edit_file({ file_path: filePath, old_string: oldString, new_string: newString }, {});
+        if (result.isError) throw new Error(result.content[0].text);
+    };
+    const write = async (filePath, content) => {
+        const result = await tools.write_file({ file_path: filePath, content }, {});
+        if (result.isError) throw new Error(result.content[0].text);
+    };
+    return { tools, handle, edit, write };
+}
+
+function text(filePath) {
+    return files.has(filePath) ? files.get(filePath).data.toString("utf8") : null;
+}
+
+(async () => {
+    let notified = 0;
+    const listener = rt.onDidChangeChangeSets(() => notified++);
+
+    const a = registerChannel("chan-A");
+    put("/srv/app.py", "a = 1\nb = 2\n");
+    put("/srv/src/util.py", "x = 1\n");
+
+    // ============================================================
+    // Test Suite 1: Listing changes
+    // ============================================================
+    console.log("\n=== Suite 1: Change set ===\n");
+
+    a.handle.userMessage("msg-1");
+    await a.edit("/srv/app.py", "a = 1", "a = 10\nc = 3");
+    a.handle.userMessage("msg-2");
+    await a.edit("/srv/app.py", "b = 2\n", "");
+    await a.write("/srv/src/new.py", "print('hi')\n");
+    await a.edit("/srv/src/util.py", "x = 1", "x = 2");
+    await a.edit("/srv/src/util.py", "x = 2", "x = 1");
+
+    assert(notified >= 5, "every write notifies the view");
+    assertEqual(await rt.changedFiles(), [
+        { conversationId: "chan-A", remotePath: "/srv/app.py", status: "modified", insertions: 2, deletions: 2 },
+        { conversationId: "chan-A", remotePath: "/srv/src/new.py", status: "added", insertions: 1, deletions: 0 }
+    ], "changed files are counted against their content before the conversation, across messages; a file changed back isn't listed");
+
+    {
+        const before = reads;
+        await rt.changedFiles();
+        assertEqual(reads - before, 0, "listing again downloads nothing while the files' stat is the same");
+        await a.edit("/srv/app.py", "c = 3", "c = 30");
+        const after = reads;
+        const change = (await rt.changedFiles()).find((c) => c.remotePath === "/srv/app.py");
+        assertEqual([reads - after, change.insertions, change.deletions], [1, 2, 2], "a file Claude wrote again is counted again");
+        await a.edit("/srv/app.py", "c = 30", "c = 3");
+    }
+
+    assertEqual(await rt.changeContents("chan-A", "/srv/app.py"), { oldContent: "a = 1\nb = 2\n", newContent: "a = 10\nc = 3\n" },
+        "the diff is the file before the conversation against now");
+    assertEqual(await rt.changeContents("chan-A", "/srv/src/new.py"), { oldContent: null, newContent: "print('hi')\n" },
+        "a created file diffs against nothing");
+
+    // ============================================================
+    // Test Suite 2: Two conversations and the tree view
+    // ============================================================
+    console.log("\n=== Suite 2: Tree view ===\n");
+
+    const b = registerChannel("chan-B");
+    const provider = new RemoteChangesProvider();
+    {
+        const roots = await provider.getChildren();
+        assertEqual(roots.map((node) => provider.getTreeItem(node).label), ["app.py", "new.py"], "one conversation: its files at the top level");
+        const item = provider.getTreeItem(roots[1]);
+        assertEqual([item.description, item.contextValue, item.command.command], ["src  +1 −0  new", "remoteChange", "claude-vscode.remoteChanges.openDiff"],
+            "a file shows its folder, line counts and status, and opens its diff on click");
+    }
+
+    await b.edit("/srv/src/util.py", "x = 1", "x = 5");
+    {
+        const roots = await provider.getChildren();
+        assertEqual(roots.map((node) => [provider.getTreeItem(node).label, provider.getTreeItem(node).description]),
+            [["Conversation 1", "2 files"], ["Conversation 2", "1 file"]], "two conversations: a node for each");
+        assertEqual((await provider.getChildren(roots[1])).map((node) => node.change.remotePath), ["/srv/src/util.py"],
+            "each with its own files");
+    }
+
+    // ============================================================
+    // Test Suite 3: Reverting
+    // ============================================================
+    console.log("\n=== Suite 3: Revert ===\n");
+
+    await rt.revertChange("chan-A", "/srv/app.py");
+    assertEqual(text("/srv/app.py"), "a = 1\nb = 2\n", "reverting puts the file back as it was before the conversation");
+    await rt.revertChange("chan-A", "/srv/src/new.py");
+    assertEqual(text("/srv/src/new.py"), null, "and deletes a file Claude created");
+    assertEqual((await rt.changedFiles()).map((change) => change.conversationId), ["chan-B"], "reverted files leave the change set");
+
+    put("/srv/src/util.py", "x = 5\ny = 6  # teammate\n");
+    const err = await errorOf(rt.revertChange("chan-B", "/srv/src/util.py"));
+    assert(err && err.includes("changed by someone else"), "a file someone else changed since is not reverted");
+    assertEqual(text("/srv/src/util.py"), "x = 5\ny = 6  # teammate\n", "and keeps their change");
+
+    {
+        const counts = async () => (await rt.changedFiles()).map((c) => [c.remotePath, c.insertions, c.deletions]);
+        assertEqual(await counts(), [["/srv/src/util.py", 2, 1]], "someone else's change shows in the counts");
+        put("/srv/src/util.py", "x = 5\n");
+        assertEqual(await counts(), [["/srv/src/util.py", 1, 1]], "and so does the next one, since the file's mtime changed");
+        files.delete("/srv/src/util.py");
+        assertEqual((await rt.changedFiles()).map((c) => c.status), ["deleted"], "a file deleted since is listed as deleted");
+        put("/srv/src/util.py", "x = 5\ny = 6  # teammate\n");
+    }
+
+    b.handle.dispose();
+    assertEqual(await rt.changedFiles(), [], "a closed conversation leaves the view");
+    assert((await errorOf(rt.revertChange("chan-B", "/srv/src/util.py"))).includes("closed"), "and can't be reverted any more");
+
+    listener.dispose();
+    provider.dispose();
+    a.handle.dispose();
+    rt.dispose();
+
+    // ============================================================
+    // Summary
+    // ============================================================
+    console.log("\n========================================");
+    console.log("Results: " + passed + " passed, " + failed + " failed");
+    console.log("========================================\n");
+    process.exit(failed > 0 ? 1 : 0);
+})();
@@ -0,0 +1,254 @@
+#!/usr/bin/env node
+/**
+ * Unit test: remote file checkpoints for rewind_code
+ *
+ * Drives the write tools registered by src/remote-tools.js against an
+ * in-memory vscode.workspace.fs, then rewinds through the returned handle:
+ *   - Does a dry run report the files and line counts without touching them?
+ *   - Are files put back byte for byte, and files Claude created deleted?
+ *   - Does rewinding to an earlier message undo everything since?
+ *   - Is a rewind refused when someone else changed a file after Claude wrote it?
+ *   - Does a rewind that couldn't restore every file keep its checkpoints for a retry?
+ *   - Do the change set's baselines count against the 64 MB budget?
+ *
+ * Run: node test-checkpoints.js
+ */
+
+"use strict";
+
+const Module = require("module");
+
+// In-memory remote filesystem; no SSH host, so permission checks fail fast and writes go ahead with a notice
+const files = new Map();
+const failWrites = new Set(); // paths whose writes fail, like a file the remote user can't write
+let clock = 1000;
+function put(filePath, data) {
+    files.set(filePath, { data: Buffer.from(data), mtime: ++clock });
+}
+function notFound() {
+    const err = new Error("not found");
+    err.code = "FileNotFound";
+    return err;
+}
+
+const vscodeStub = {
+    env: { remoteAuthority: "" },
+    Uri: { parse: (str) => ({ path: str.replace(/^vscode-remote:\/\/[^/]+/, "") }) },
+    RelativePattern: function() {},
+    workspace: {
+        workspaceFolders: [{ uri: { path: "/srv" } }],
+        getConfiguration: (section) => ({ get: (key, fallback) => (section === "claudeCode" && key === "useSSHExec") ? true : fallback }),
+        createFileSystemWatcher: () => { throw new Error("no watcher in tests"); },
+        fs: {
+            stat: async (uri) => {
+                const file = files.get(uri.path);
+                if (!file) throw notFound();
+                return { size: file.data.length, mtime: file.mtime };
+            },
+            readFile: async (uri) => {
+                const file = files.get(uri.path);
+                if (!file) throw notFound();
+                return file.data;
+            },
+            writeFile: async (uri, data) => {
+                if (failWrites.has(uri.path)) throw new Error("permission denied");
+                put(uri.path, data);
+            },
+            delete: async (uri) => {
+                if (!files.delete(uri.path)) throw notFound();
+            }
+        }
+    }
+};
+
+const _origLoad = Module._load;
+Module._load = function(request) {
+    if (request === "vscode") return vscodeStub;
+    return _origLoad.apply(this, arguments);
+};
+const rt = require("./src/remote-tools");
+
+let passed = 0;
+let failed = 0;
+
+function assert(cond, msg) {
+    if (cond) {
+        passed++;
+        console.log("  PASS: " + msg);
+    } else {
+        failed++;
+        console.log("  FAIL: " + msg);
+    }
+}
+
+function assertEqual(actual, expected, msg) {
+    const a = JSON.stringify(actual);
+    const e = JSON.stringify(expected);
+    if (a === e) {
+        passed++;
+        console.log("  PASS: " + msg);
+    } else {
+        failed++;
+        console.log("  FAIL: " + msg + " — expected " + e + ", got " + a);
+    }
+}
+
+// Stand-ins for the MCP server and zod: only the tool handlers matter here
+const schema = new Proxy(function() {}, { get: () => () => schema, apply: () => schema });
+const tools = {};
+const server = { tool: (name, description, shape, handler) => { tools[name] = handler; } };
+const logger = { info() {}, warn() {}, error() {} };
+const handle = rt.registerTools(server, schema, logger, null, null, null, "chan-A");
+
+async function edit(filePath, oldString, newString) {
+    const result = await tools.edit_file({ file_path: filePath, old_string: oldString, new_string: newString }, {});
+    if (result.isError) throw new Error(result.content[0].text);
+}
+
+async function write(filePath, content) {
+    const result = await tools.write_file({ file_path: filePath, content }, {});
+    if (result.isError) throw new Error(result.content[0].text);
+}
+
+function text(filePath) {
+    return files.has(filePath) ? files.get(filePath).data.toString("latin1") : null;
+}
+
+(async () => {
+    // ============================================================
+    // Test Suite 1: Rewinding
+    // ============================================================
+    console.log("\n=== Suite 1: Rewind ===\n");
+
+    put("/srv/app.py", "a = 1\r\nb = 2\r\n");
+    put("/srv/lib.py", "def f():\n    return 1\n");
+
+    handle.userMessage("msg-1");
+    await write("/srv/new.py", "print('new')\n");
+    await edit("/srv/app.py", "a = 1", "a = 10");
+
+    handle.userMessage("msg-2");
+    await edit("/srv/app.py", "b = 2", "b = 20\nc = 30");
+    await edit("/srv/lib.py", "return 1", "return 2");
+
+    {
+        const dry = await handle.rewind("msg-2", { dryRun: true });
+        assertEqual(dry, { canRewind: true, filesChanged: ["/srv/app.py", "/srv/lib.py"], insertions: 2, deletions: 3 },
+            "a dry run lists the files and counts the lines the rewind adds and removes");
+        assertEqual(text("/srv/lib.py"), "def f():\n    return 2\n", "and changes nothing");
+    }
+
+    {
+        const result = await handle.rewind("msg-2");
+        assertEqual([result.canRewind, result.filesChanged], [true, ["/srv/app.py", "/srv/lib.py"]], "rewinding restores the files");
+        assertEqual(text("/srv/app.py"), "a = 10\r\nb = 2\r\n", "to how they were before that message, CRLF included");
+        assertEqual(text("/srv/lib.py"), "def f():\n    return 1\n", "every file written since");
+        assertEqual(text("/srv/new.py"), "print('new')\n", "while earlier messages' changes stay");
+    }
+
+    {
+        const result = await handle.rewind("msg-1");
+        assertEqual(result.filesChanged, ["/srv/new.py", "/srv/app.py"], "rewinding further back");
+        assertEqual(text("/srv/new.py"), null, "deletes a file Claude created");
+        assertEqual(text("/srv/app.py"), "a = 1\r\nb = 2\r\n", "and brings back the original bytes");
+        assertEqual((await handle.rewind("msg-1")).canRewind, false, "a rewound message's checkpoint is gone");
+    }
+
+    assertEqual(await handle.rewind("msg-unknown", { dryRun: true }),
+        { canRewind: false, error: "No remote file checkpoint was kept for this message." }, "an unknown message can't be rewound to");
+
+    {
+        handle.userMessage("msg-3");
+        const result = await handle.rewind("msg-3", { dryRun: true });
+        assertEqual(result, { canRewind: true, filesChanged: [], insertions: 0, deletions: 0 }, "a message without edits rewinds to nothing");
+    }
+
+    // ============================================================
+    // Test Suite 2: Changes by someone else
+    // ============================================================
+    console.log("\n=== Suite 2: Changed since ===\n");
+
+    {
+        handle.userMessage("msg-4");
+        const stale = await tools.edit_file({ file_path: "/srv/app.py", old_string: "a = 1", new_string: "a = 4" }, {});
+        assert(stale.isError && stale.content[0].text.includes("read_file"), "after a rewind, Claude has to read a restored file again before editing it");
+        await tools.read_file({ file_path: "/srv/app.py" }, {});
+        await edit("/srv/app.py", "a = 1", "a = 4");
+        put("/srv/app.py", "a = 4\r\nb = 2\r\n# teammate\r\n");
+        const result = await handle.rewind("msg-4");
+        assert(!result.canRewind && result.error.includes("/srv/app.py") && result.error.includes("nothing was restored"),
+            "a file changed after Claude's write is not overwritten");
+        assertEqual(text("/srv/app.py"), "a = 4\r\nb = 2\r\n# teammate\r\n", "and stays as the teammate left it");
+    }
+
+    {
+        handle.userMessage("msg-5");
+        await tools.read_file({ file_path: "/srv/app.py" }, {});
+        await edit("/srv/app.py", "# teammate", "# teammate, reviewed");
+        const result = await handle.rewind("msg-4", { dryRun: true });
+        assert(!result.canRewind && result.error.includes("/srv/app.py"),
+            "rewinding past a teammate's change that Claude later built on is refused too");
+        assertEqual((await handle.rewind("msg-5")).filesChanged, ["/srv/app.py"], "rewinding only Claude's own later edit is fine");
+        assertEqual(text("/srv/app.py"), "a = 4\r\nb = 2\r\n# teammate\r\n", "and keeps the teammate's change");
+    }
+
+    handle.dispose();
+    assertEqual((await handle.rewind("msg-4")).canRewind, false, "closing the conversation drops its checkpoints");
+
+    // ============================================================
+    // Test Suite 3: Failed restores
+    // ============================================================
+    console.log("\n=== Suite 3: Failed restores ===\n");
+
+    const second = rt.registerTools(server, schema, logger, null, null, null, "chan-B");
+    {
+        put("/srv/a.txt", "a\n");
+        put("/srv/b.txt", "b\n");
+        second.userMessage("msg-b1");
+        await edit("/srv/a.txt", "a", "A");
+        await edit("/srv/b.txt", "b", "B");
+        failWrites.add("/srv/b.txt");
+        let result = await second.rewind("msg-b1");
+        assert(!result.canRewind && result.error.includes("/srv/b.txt (permission denied)"), "a file that can't be restored is reported");
+        assertEqual([text("/srv/a.txt"), text("/srv/b.txt")], ["a\n", "B\n"], "the other files are restored");
+        failWrites.clear();
+        result = await second.rewind("msg-b1");
+        assertEqual([result.canRewind, result.filesChanged], [true, ["/srv/b.txt"]], "the checkpoints are kept, so the rewind can be retried");
+        assertEqual(text("/srv/b.txt"), "b\n", "and finishes the job");
+        assertEqual((await second.rewind("msg-b1")).canRewind, false, "a complete rewind drops the checkpoints");
+    }
+    second.dispose();
+
+    // ============================================================
+    // Test Suite 4: Memory budget
+    // ============================================================
+    console.log("\n=== Suite 4: Memory budget ===\n");
+
+    const third = rt.registerTools(server, schema, logger, null, null, null, "chan-C");
+    {
+        // Three 24 MB files: the baselines of the first two fit in 64 MB, the third's doesn't
+        const big = "x".repeat(24 * 1024 * 1024);
+        for (const name of ["big1", "big2", "big3"]) {
+            put(`/srv/${name}.log`, big + "\n");
+            third.userMessage(`msg-${name}`);
+            await write(`/srv/${name}.log`, big + "\ny\n");
+        }
+        const listed = (await rt.changedFiles()).map((change) => change.remotePath);
+        assertEqual(listed, ["/srv/big1.log", "/srv/big2.log"], "a baseline past the budget is not kept, so the file isn't listed");
+        assertEqual((await third.rewind("msg-big3")).filesChanged, ["/srv/big3.log"], "the latest message's snapshot is still kept");
+        assertEqual((await third.rewind("msg-big1", { dryRun: true })).filesChanged, ["/srv/big1.log", "/srv/big2.log"],
+            "snapshots that are also baselines cost nothing more and are kept");
+        assertEqual(text("/srv/big3.log").length, big.length + 1, "and rewinds");
+    }
+    third.dispose();
+    files.clear();
+    rt.dispose();
+
+    // ============================================================
+    // Summary
+    // ============================================================
+    console.log("\n========================================");
+    console.log("Results: " + passed + " passed, " + failed + " failed");
+    console.log("========================================\n");
+    process.exit(failed > 0 ? 1 : 0);
+})();
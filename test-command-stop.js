@@ -0,0 +1,201 @@
+#!/usr/bin/env node
+/**
+ * Unit test: stopping remote commands
+ *
+ * Tests the timeout / interrupt handling in src/remote-tools.js:
+ *   - What does commandStoppedError() tell the model?
+ *   - Does createCommandScope() abort in-flight commands on interrupt and on request cancellation?
+ *   - Does RemoteAgent.exec() send SIGTERM with a SIGKILL grace period and report the escalation?
+ *   - Does the real agent escalate to SIGKILL when a command ignores SIGTERM?
+ *
+ * The last suite runs src/remote-agent.js locally (from a temp copy, since the
+ * agent deletes its own script) and takes a few seconds for the grace period.
+ *
+ * Run: node test-command-stop.js
+ */
+
+"use strict";
+
+const Module = require("module");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawn } = require("child_process");
+
+// remote-tools.js requires "vscode"; the code under test doesn't touch it
+const _origLoad = Module._load;
+Module._load = function(request) {
+    if (request === "vscode") return {};
+    return _origLoad.apply(this, arguments);
+};
+const { commandStoppedError, createCommandScope, RemoteAgent } = require("./src/remote-tools");
+
+let passed = 0;
+let failed = 0;
+
+function assert(cond, msg) {
+    if (cond) {
+        passed++;
+        console.log("  PASS: " + msg);
+    } else {
+        failed++;
+        console.log("  FAIL: " + msg);
+    }
+}
+
+function assertEqual(actual, expected, msg) {
+    const a = JSON.stringify(actual);
+    const e = JSON.stringify(expected);
+    if (a === e) {
+        passed++;
+        console.log("  PASS: " + msg);
+    } else {
+        failed++;
+        console.log("  FAIL: " + msg + " — expected " + e + ", got " + a);
+    }
+}
+
+// Decode what RemoteAgent typed into its terminal
+function decodeSent(line) {
+    return JSON.parse(Buffer.from(line, "base64").toString("utf8"));
+}
+
+// A terminal that records sendText() calls
+function fakeTerminal() {
+    return { sent: [], sendText(text) { this.sent.push(decodeSent(text)); }, dispose() {} };
+}
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+(async () => {
+    // ============================================================
+    // Test Suite 1: commandStoppedError
+    // ============================================================
+    console.log("\n=== Suite 1: commandStoppedError ===\n");
+
+    let err = commandStoppedError({ reason: "timeout", timeoutMs: 5000 }, 4242, false, "partial", "warn");
+    assertEqual(err.message, "Command timed out after 5000ms; sent SIGTERM to remote process group 4242", "timeout message");
+    assertEqual([err.stdout, err.stderr], ["partial", "warn"], "partial output is attached");
+    err = commandStoppedError({ reason: "cancelled" }, 4242, true);
+    assertEqual(err.message, "Command cancelled; sent SIGTERM and then SIGKILL to remote process group 4242", "escalation is reported");
+    assertEqual([err.stdout, err.stderr], ["", ""], "missing output becomes empty strings");
+    err = commandStoppedError({ reason: "timeout", timeoutMs: 100 }, null, false);
+    assertEqual(err.message, "Command timed out after 100ms", "no process group → no signal details");
+
+    // ============================================================
+    // Test Suite 2: createCommandScope
+    // ============================================================
+    console.log("\n=== Suite 2: createCommandScope ===\n");
+
+    const scope = createCommandScope();
+    const a = scope.begin(null);
+    const b = scope.begin(null);
+    b.end();
+    scope.interrupt();
+    assert(a.signal.aborted, "interrupt aborts a running command");
+    assert(!b.signal.aborted, "a finished command is not aborted");
+    const c = scope.begin(null);
+    assert(!c.signal.aborted, "commands started after an interrupt run normally");
+
+    const request = new AbortController();
+    const d = scope.begin(request.signal);
+    request.abort();
+    assert(d.signal.aborted, "cancelling the MCP request aborts the command");
+    const cancelled = new AbortController();
+    cancelled.abort();
+    assert(scope.begin(cancelled.signal).signal.aborted, "an already-cancelled request starts aborted");
+
+    // ============================================================
+    // Test Suite 3: RemoteAgent.exec stop handling
+    // ============================================================
+    console.log("\n=== Suite 3: RemoteAgent.exec ===\n");
+
+    {
+        const terminal = fakeTerminal();
+        const agent = new RemoteAgent(terminal);
+        const pending = agent.exec("sleep 100", "/work", 50);
+        const execMsg = terminal.sent[0];
+        assertEqual([execMsg.method, execMsg.params.command, execMsg.params.cwd], ["exec", "sleep 100", "/work"], "exec request is sent");
+        agent.handleMessage({ method: "started", params: { id: execMsg.params.id, pid: 777 } });
+        agent.handleMessage({ method: "output", params: { id: execMsg.params.id, stream: "stdout", data: "step 1\n" } });
+        await sleep(100);
+        const killMsg = terminal.sent[1];
+        assertEqual(killMsg && [killMsg.method, killMsg.params.signal, killMsg.params.graceMs], ["kill", "SIGTERM", 3000],
+            "timeout sends SIGTERM with a SIGKILL grace period");
+        agent.handleMessage({ method: "exit", params: { id: execMsg.params.id, code: null, signal: "SIGKILL", escalated: true } });
+        let error = null;
+        try { await pending; } catch (e) { error = e; }
+        assertEqual(error && error.message, "Command timed out after 50ms; sent SIGTERM and then SIGKILL to remote process group 777",
+            "the model is told the command was killed");
+        assertEqual(error && error.stdout, "step 1\n", "output before the kill is kept");
+        assertEqual(agent.pending.size, 0, "the job is forgotten");
+    }
+
+    {
+        const terminal = fakeTerminal();
+        const agent = new RemoteAgent(terminal);
+        const controller = new AbortController();
+        const pending = agent.exec("sleep 100", null, 0, { signal: controller.signal });
+        const id = terminal.sent[0].params.id;
+        controller.abort();
+        assertEqual(terminal.sent[1] && terminal.sent[1].method, "kill", "abort sends a kill request");
+        agent.handleMessage({ method: "exit", params: { id, code: 143, signal: null, escalated: false } });
+        let error = null;
+        try { await pending; } catch (e) { error = e; }
+        assertEqual(error && error.message, "Command cancelled", "cancellation without a pid");
+
+        const aborted = new AbortController();
+        aborted.abort();
+        error = null;
+        try { await agent.exec("true", null, 60000, { signal: aborted.signal }); } catch (e) { error = e; }
+        assertEqual(error && error.message, "Command cancelled", "an already-aborted signal rejects at once");
+        assertEqual([terminal.sent.length, agent.pending.size], [2, 0], "nothing is sent or left pending");
+    }
+
+    // ============================================================
+    // Test Suite 4: SIGTERM → SIGKILL escalation in the agent
+    // ============================================================
+    console.log("\n=== Suite 4: Agent escalation ===\n");
+
+    const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "claude-stop-test-"));
+    const agentPath = path.join(tmp, "agent.js");
+    fs.copyFileSync(path.join(__dirname, "src", "remote-agent.js"), agentPath);
+    const child = spawn(process.execPath, [agentPath], { stdio: ["pipe", "pipe", "inherit"] });
+    child.stdout.setEncoding("utf8");
+    const terminal = { sendText: (text) => child.stdin.write(text + "\r"), dispose: () => child.stdin.end() };
+    const agent = new RemoteAgent(terminal);
+    const ready = new Promise((resolve) => agent.readOutput(child.stdout, resolve));
+    await ready;
+
+    const started = Date.now();
+    let error = null;
+    try {
+        await agent.exec("trap '' TERM; echo waiting; while :; do sleep 0.1; done", tmp, 300);
+    } catch (e) {
+        error = e;
+    }
+    const elapsed = Date.now() - started;
+    assert(error && /^Command timed out after 300ms; sent SIGTERM and then SIGKILL to remote process group \d+$/.test(error.message),
+        "a command ignoring SIGTERM is killed with SIGKILL (" + (error && error.message) + ")");
+    assertEqual(error && error.stdout, "waiting\n", "its output is kept");
+    assert(elapsed >= 3000 && elapsed < 9000, "SIGKILL follows after the grace period");
+
+    try {
+        const result = await agent.exec("sleep 30", tmp, 300);
+        assert(false, "sleep should have been stopped, got exit " + result.exitCode);
+    } catch (e) {
+        assertEqual(e.message.includes("SIGKILL"), false, "a command that honors SIGTERM is not escalated");
+    }
+
+    agent.dispose();
+    await new Promise((resolve) => child.on("close", resolve));
+    fs.rmSync(tmp, { recursive: true, force: true });
+
+    // ============================================================
+    // Summary
+    // ============================================================
+    console.log("\n========================================");
+    console.log("Results: " + passed + " passed, " + failed + " failed");
+    console.log("========================================\n");
+    process.exit(failed > 0 ? 1 : 0);
+})();
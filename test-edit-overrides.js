@@ -0,0 +1,214 @@
+#!/usr/bin/env node
+/**
+ * Unit test: per-conversation edit overrides
+ *
+ * Tests beginReview/endReview, setEditOverride, consumeEditOverride and
+ * forgetConversation from src/remote-tools.js, and the edit tools of two
+ * conversations (channels) registered side by side:
+ *   - Is a modified diff only picked up by the conversation that reviewed it?
+ *   - Is it only picked up by the tool call whose diff was open?
+ *   - Does a diff request without a channel go to the one conversation reviewing the file?
+ *   - Does closing a conversation drop its overrides and leave the other's alone?
+ *
+ * Run: node test-edit-overrides.js
+ */
+
+"use strict";
+
+const Module = require("module");
+
+// In-memory remote filesystem; no SSH host, so permission checks fail fast and writes go ahead with a notice
+const files = new Map();
+let clock = 1000;
+function notFound() {
+    const err = new Error("not found");
+    err.code = "FileNotFound";
+    return err;
+}
+
+const vscodeStub = {
+    env: { remoteAuthority: "" },
+    Uri: { parse: (str) => ({ path: str.replace(/^vscode-remote:\/\/[^/]+/, "") }) },
+    RelativePattern: function() {},
+    workspace: {
+        workspaceFolders: [{ uri: { path: "/srv" } }],
+        getConfiguration: (section) => ({ get: (key, fallback) => (section === "claudeCode" && key === "useSSHExec") ? true : fallback }),
+        createFileSystemWatcher: () => { throw new Error("no watcher in tests"); },
+        fs: {
+            stat: async (uri) => {
+                const file = files.get(uri.path);
+                if (!file) throw notFound();
+                return { size: file.data.length, mtime: file.mtime };
+            },
+            readFile: async (uri) => {
+                const file = files.get(uri.path);
+                if (!file) throw notFound();
+                return file.data;
+            },
+            writeFile: async (uri, data) => {
+                files.set(uri.path, { data: Buffer.from(data), mtime: ++clock });
+            }
+        }
+    }
+};
+
+const _origLoad = Module._load;
+Module._load = function(request) {
+    if (request === "vscode") return vscodeStub;
+    return _origLoad.apply(this, arguments);
+};
+const rt = require("./src/remote-tools");
+
+let passed = 0;
+let failed = 0;
+
+function assert(cond, msg) {
+    if (cond) {
+        passed++;
+        console.log("  PASS: " + msg);
+    } else {
+        failed++;
+        console.log("  FAIL: " + msg);
+    }
+}
+
+function assertEqual(actual, expected, msg) {
+    const a = JSON.stringify(actual);
+    const e = JSON.stringify(expected);
+    if (a === e) {
+        passed++;
+        console.log("  PASS: " + msg);
+    } else {
+        failed++;
+        console.log("  FAIL: " + msg + " — expected " + e + ", got " + a);
+    }
+}
+
+// Stand-ins for the MCP server and zod: only the tool handlers matter here
+const schema = new Proxy(function() {}, { get: () => () => schema, apply: () => schema });
+const logger = { info() {}, warn() {}, error() {} };
+
+function registerChannel(channelId, reviewEdit) {
+    const tools = {};
+    const server = { tool: (name, description, shape, handler) => { tools[name] = handler; } };
+    const handle = rt.registerTools(server, schema, logger, null, reviewEdit || null, null, channelId);
+    return { tools, handle };
+}
+
+function call(tool, input, toolUseId) {
+    return tool(input, { _meta: { "claudecode/toolUseId": toolUseId } });
+}
+
+function text(path) {
+    return files.get(path).data.toString("utf8");
+}
+
+(async () => {
+    // ============================================================
+    // Test Suite 1: Overrides per conversation and tool call
+    // ============================================================
+    console.log("\n=== Suite 1: Overrides ===\n");
+
+    {
+        rt.beginReview("chan-A", "/srv/app.py", "toolu_A");
+        rt.beginReview("chan-B", "/srv/app.py", "toolu_B");
+        rt.setEditOverride("chan-A", "/srv/app.py", "from A's diff");
+        assertEqual(rt.consumeEditOverride("chan-B", "/srv/app.py", "toolu_B"), null, "another conversation's override is not consumed");
+        assertEqual(rt.consumeEditOverride("chan-A", "/srv/app.py", "toolu_A2"), null, "nor is one for another tool call of the same conversation");
+        assertEqual(rt.consumeEditOverride("chan-A", "/srv/app.py", "toolu_A"), "from A's diff", "the reviewed call gets it");
+        assertEqual(rt.consumeEditOverride("chan-A", "/srv/app.py", "toolu_A"), null, "only once");
+        rt.endReview("chan-A", "/srv/app.py");
+        rt.endReview("chan-B", "/srv/app.py");
+    }
+
+    {
+        rt.beginReview("chan-B", "/srv/lib.py", "toolu_B");
+        rt.setEditOverride(undefined, "/srv/lib.py", "from a diff without a channel");
+        assertEqual(rt.consumeEditOverride("chan-B", "/srv/lib.py", "toolu_B"), "from a diff without a channel",
+            "a diff request without a channel goes to the conversation reviewing the file");
+        rt.beginReview("chan-A", "/srv/lib.py", "toolu_A");
+        rt.setEditOverride(undefined, "/srv/lib.py", "ambiguous");
+        assertEqual([rt.consumeEditOverride("chan-A", "/srv/lib.py", "toolu_A"), rt.consumeEditOverride("chan-B", "/srv/lib.py", "toolu_B")], [null, null],
+            "and is dropped when two conversations are reviewing it");
+        rt.endReview("chan-A", "/srv/lib.py");
+        rt.endReview("chan-B", "/srv/lib.py");
+    }
+
+    {
+        rt.setEditOverride("chan-A", "/srv/old.py", "late");
+        const realNow = Date.now;
+        Date.now = () => realNow() + 60000;
+        assertEqual(rt.consumeEditOverride("chan-A", "/srv/old.py", null), null, "an override expires after a few seconds");
+        Date.now = realNow;
+    }
+
+    {
+        rt.setEditOverride("chan-A", "/srv/a.py", "a");
+        rt.setEditOverride("chan-B", "/srv/a.py", "b");
+        rt.forgetConversation("chan-A");
+        assertEqual([rt.consumeEditOverride("chan-A", "/srv/a.py", null), rt.consumeEditOverride("chan-B", "/srv/a.py", null)], [null, "b"],
+            "forgetting a conversation leaves the other's overrides alone");
+    }
+
+    // ============================================================
+    // Test Suite 2: Two channels editing the same file
+    // ============================================================
+    console.log("\n=== Suite 2: Two channels ===\n");
+
+    {
+        files.set("/srv/shared.py", { data: Buffer.from("x = 1\n"), mtime: ++clock });
+
+        // A's review: the user edits the diff tab before accepting, as RY() does in the extension
+        let openA;
+        const aOpened = new Promise((resolve) => { openA = resolve; });
+        let acceptA;
+        const aAccepted = new Promise((resolve) => { acceptA = resolve; });
+        const a = registerChannel("chan-A", async (tool, input, oldText, newText, toolUseId) => {
+            const remotePath = rt.toRemotePath(input.file_path);
+            rt.beginReview("chan-A", remotePath, toolUseId);
+            try {
+                openA();
+                await aAccepted;
+                const override = rt.consumeEditOverride("chan-A", remotePath, toolUseId);
+                return { accepted: true, finalContent: override !== null ? override : newText };
+            } finally {
+                rt.endReview("chan-A", remotePath);
+            }
+        });
+        const b = registerChannel("chan-B");
+
+        const editA = call(a.tools.edit_file, { file_path: "/srv/shared.py", old_string: "x = 1", new_string: "x = 2" }, "toolu_A");
+        await aOpened;
+        rt.setEditOverride("chan-A", "/srv/shared.py", "x = 42  # edited in the diff\n");
+
+        const readB = await call(b.tools.read_file, { file_path: "/srv/shared.py" }, "toolu_B1");
+        assert(!readB.isError && readB.content[0].text.includes("x = 1"), "channel B reads the file while A's diff is open");
+        const writeB = await call(b.tools.write_file, { file_path: "/srv/other.py", content: "y = 1\n" }, "toolu_B2");
+        assert(!writeB.isError, "and writes another file");
+        assertEqual(text("/srv/other.py"), "y = 1\n", "with its own content");
+        const editB = await call(b.tools.edit_file, { file_path: "/srv/shared.py", old_string: "x = 1", new_string: "x = 3" }, "toolu_B3");
+        assert(!editB.isError, "channel B's edit of the same file goes through");
+        assertEqual(text("/srv/shared.py"), "x = 3\n", "with B's change, not A's modified diff");
+
+        acceptA();
+        const resultA = await editA;
+        assert(resultA.isError && resultA.content[0].text.includes("changed on the remote"),
+            "A's accepted edit then finds the file changed instead of overwriting B's edit");
+        assertEqual(text("/srv/shared.py"), "x = 3\n", "so B's change survives");
+
+        rt.setEditOverride("chan-A", "/srv/shared.py", "x = 4\n");
+        b.handle.dispose();
+        a.handle.dispose();
+        assertEqual(rt.consumeEditOverride("chan-A", "/srv/shared.py", null), null, "closing a channel drops its pending overrides");
+    }
+
+    rt.dispose();
+
+    // ============================================================
+    // Summary
+    // ============================================================
+    console.log("\n========================================");
+    console.log("Results: " + passed + " passed, " + failed + " failed");
+    console.log("========================================\n");
+    process.exit(failed > 0 ? 1 : 0);
+})();
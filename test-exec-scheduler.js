@@ -0,0 +1,202 @@
+#!/usr/bin/env node
+/**
+ * Unit test: remote command scheduling
+ *
+ * Tests ExecScheduler from src/remote-tools.js:
+ *   - Is the concurrency limit respected?
+ *   - Are queued commands served round-robin between conversations?
+ *   - Does one conversation leave a slot free for the others?
+ *   - Does cancelling a queued command free its place in line?
+ *
+ * Run: node test-exec-scheduler.js
+ */
+
+"use strict";
+
+const Module = require("module");
+
+// remote-tools.js requires "vscode"; the scheduler doesn't touch it
+const _origLoad = Module._load;
+Module._load = function(request) {
+    if (request === "vscode") return {};
+    return _origLoad.apply(this, arguments);
+};
+const { ExecScheduler } = require("./src/remote-tools");
+
+let passed = 0;
+let failed = 0;
+
+function assert(cond, msg) {
+    if (cond) {
+        passed++;
+        console.log("  PASS: " + msg);
+    } else {
+        failed++;
+        console.log("  FAIL: " + msg);
+    }
+}
+
+function assertEqual(actual, expected, msg) {
+    const a = JSON.stringify(actual);
+    const e = JSON.stringify(expected);
+    if (a === e) {
+        passed++;
+        console.log("  PASS: " + msg);
+    } else {
+        failed++;
+        console.log("  FAIL: " + msg + " — expected " + e + ", got " + a);
+    }
+}
+
+// Let pending promise callbacks run
+const tick = () => new Promise((r) => setImmediate(r));
+
+/**
+ * Queue tasks that only finish when finish(name) is called, recording start order.
+ */
+function harness(limit) {
+    const scheduler = new ExecScheduler(() => limit.value);
+    const started = [];
+    const finishers = new Map();
+    const results = [];
+    const submit = (owner, name, signal) => scheduler.run(owner, signal, () => {
+        started.push(name);
+        return new Promise((resolve) => finishers.set(name, () => resolve(name)));
+    }).then((r) => results.push(r), (err) => results.push(name + ": " + err.message));
+    const finish = async (name) => {
+        finishers.get(name)();
+        await tick();
+        await tick();
+    };
+    return { scheduler, started, results, submit, finish };
+}
+
+(async () => {
+    // ============================================================
+    // Test Suite 1: Concurrency limit
+    // ============================================================
+    console.log("\n=== Suite 1: Concurrency limit ===\n");
+
+    {
+        const h = harness({ value: 3 });
+        ["a1", "a2", "a3"].forEach((n) => h.submit("A", n));
+        ["b1", "b2"].forEach((n) => h.submit("B", n));
+        await tick();
+        assertEqual(h.started, ["a1", "a2", "b1"], "only 3 of 5 commands start with limit 3");
+        assertEqual(h.scheduler.running, 3, "running count is 3");
+        await h.finish("a1");
+        assertEqual(h.started, ["a1", "a2", "b1", "a3"], "finishing one starts the next");
+        await h.finish("a2");
+        await h.finish("b1");
+        await h.finish("a3");
+        await h.finish("b2");
+        assertEqual(h.results, ["a1", "a2", "b1", "a3", "b2"], "all commands complete with their own results");
+        assertEqual(h.scheduler.running, 0, "no slots held afterwards");
+    }
+
+    {
+        const limit = { value: 1 };
+        const h = harness(limit);
+        ["a1", "a2", "a3"].forEach((n) => h.submit("A", n));
+        await tick();
+        limit.value = 3;
+        await h.finish("a1");
+        assertEqual(h.started, ["a1", "a2", "a3"], "raising the limit lets more commands start at the next release");
+    }
+
+    {
+        const scheduler = new ExecScheduler(() => 1);
+        let result = null;
+        await scheduler.run("A", null, async () => { throw new Error("boom"); }).catch((err) => { result = err.message; });
+        assertEqual(result, "boom", "task errors propagate to the caller");
+        assertEqual(scheduler.running, 0, "a failed task still releases its slot");
+    }
+
+    // ============================================================
+    // Test Suite 2: Round-robin between conversations
+    // ============================================================
+    console.log("\n=== Suite 2: Fair scheduling ===\n");
+
+    {
+        const h = harness({ value: 1 });
+        h.submit("A", "a0");
+        ["a1", "a2", "a3"].forEach((n) => h.submit("A", n));
+        ["b1", "b2"].forEach((n) => h.submit("B", n));
+        h.submit("C", "c1");
+        await tick();
+        for (const n of ["a0", "a1", "b1", "c1", "a2", "b2", "a3"]) await h.finish(n);
+        assertEqual(h.started, ["a0", "a1", "b1", "c1", "a2", "b2", "a3"],
+            "queued commands alternate between conversations instead of draining A first");
+    }
+
+    {
+        const h = harness({ value: 1 });
+        h.submit("A", "a1");
+        h.submit("A", "a2");
+        await tick();
+        h.submit("B", "b1");
+        await h.finish("a1");
+        assertEqual(h.started, ["a1", "a2"], "A's earlier request goes first");
+        h.submit("A", "a3");
+        await h.finish("a2");
+        assertEqual(h.started, ["a1", "a2", "b1"], "B is served before A's newer request");
+        await h.finish("b1");
+        await h.finish("a3");
+        assertEqual(h.started, ["a1", "a2", "b1", "a3"], "A's newer request runs last");
+    }
+
+    {
+        const h = harness({ value: 4 });
+        ["a1", "a2", "a3", "a4", "a5"].forEach((n) => h.submit("A", n));
+        await tick();
+        assertEqual(h.started, ["a1", "a2", "a3"], "one conversation leaves a slot free for the others");
+        h.submit("B", "b1");
+        await tick();
+        assertEqual(h.started, ["a1", "a2", "a3", "b1"], "another conversation's command starts right away");
+        await h.finish("b1");
+        assertEqual(h.started, ["a1", "a2", "a3", "b1"], "A still can't take the free slot");
+        await h.finish("a1");
+        assertEqual(h.started, ["a1", "a2", "a3", "b1", "a4"], "A's next command starts when one of its own ends");
+        for (const n of ["a2", "a3", "a4", "a5"]) await h.finish(n);
+        assertEqual(h.scheduler.active.size, 0, "no slots are counted against either conversation afterwards");
+    }
+
+    // ============================================================
+    // Test Suite 3: Cancellation while queued
+    // ============================================================
+    console.log("\n=== Suite 3: Cancellation ===\n");
+
+    {
+        const h = harness({ value: 1 });
+        const controller = new AbortController();
+        h.submit("A", "a1");
+        h.submit("B", "b1", controller.signal);
+        h.submit("C", "c1");
+        await tick();
+        controller.abort();
+        await tick();
+        assertEqual(h.results, ["b1: Command cancelled"], "a queued command rejects as soon as it is cancelled");
+        await h.finish("a1");
+        assertEqual(h.started, ["a1", "c1"], "the cancelled command never starts; the next one takes its turn");
+        await h.finish("c1");
+        assert(!h.scheduler.queues.has("B"), "cancelled conversation leaves no empty queue behind");
+    }
+
+    {
+        const h = harness({ value: 1 });
+        const controller = new AbortController();
+        controller.abort();
+        h.submit("A", "a1", controller.signal);
+        await tick();
+        assertEqual(h.results, ["a1: Command cancelled"], "an already-aborted signal is rejected without queueing");
+        assertEqual(h.started, [], "it never starts");
+    }
+
+    // ============================================================
+    // Summary
+    // ============================================================
+    console.log("\n========================================");
+    console.log("Results: " + passed + " passed, " + failed + " failed");
+    console.log("========================================\n");
+    process.exit(failed > 0 ? 1 : 0);
+})();
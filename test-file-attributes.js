@@ -0,0 +1,220 @@
+#!/usr/bin/env node
+/**
+ * Unit test: file attribute checks around remote writes
+ *
+ * Tests parseAttributes and attributeProblems from src/remote-tools.js:
+ *   - Is `stat` output (GNU and BSD formats) parsed into mode/uid/gid?
+ *   - Are mode, owner and group changes reported, and nothing else?
+ *   - Is an unreadable result reported instead of passing silently?
+ *
+ * Then drives write_file end to end, with the remote scripts run by
+ * src/remote-agent.js under the local /bin/sh and a writeFile() that replaces
+ * the file the way a remote file system provider may:
+ *   - Is a write through a symlink sent to its target, keeping the link?
+ *   - Are an executable's +x and a file's group put back?
+ *   - Is a chown that fails reported in the tool result?
+ *
+ * The hidden terminals are faked: the setup terminal runs what it is given with
+ * sh, the agent terminal runs the agent as a local child process.
+ *
+ * Run: node test-file-attributes.js
+ */
+
+"use strict";
+
+const Module = require("module");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawn, spawnSync } = require("child_process");
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "claude-attrs-test-"));
+const work = path.join(tmp, "work");
+fs.mkdirSync(work);
+
+// A chown first on PATH that fails like an unprivileged one while <tmp>/chown-fails exists
+const binDir = path.join(tmp, "bin");
+const chownFails = path.join(tmp, "chown-fails");
+const realChown = spawnSync("/bin/sh", ["-c", "command -v chown"], { encoding: "utf8" }).stdout.trim();
+fs.mkdirSync(binDir);
+fs.writeFileSync(path.join(binDir, "chown"), [
+    "#!/bin/sh",
+    `[ -e '${chownFails}' ] || exec '${realChown}' "$@"`,
+    "echo \"chown: changing ownership of '$2': Operation not permitted\" >&2",
+    "exit 1"
+].join("\n") + "\n", { mode: 0o755 });
+const env = { ...process.env, PATH: binDir + path.delimiter + process.env.PATH, XDG_RUNTIME_DIR: tmp, VSCODE_GIT_ASKPASS_NODE: process.execPath };
+
+// The agent terminal: shell integration runs the command locally, sendText() feeds its stdin
+function agentTerminal() {
+    let child = null;
+    const terminal = {
+        shellIntegration: {
+            executeCommand(command) {
+                child = spawn("/bin/sh", ["-c", command], { env, stdio: ["pipe", "pipe", "inherit"] });
+                child.stdout.setEncoding("utf8");
+                return { read: () => child.stdout };
+            }
+        },
+        sendText: (text) => child.stdin.write(text + "\n"),
+        dispose: () => child && child.stdin.end()
+    };
+    return terminal;
+}
+
+const noEvent = () => ({ dispose() {} });
+const vscodeStub = {
+    env: { remoteAuthority: "ssh-remote+testhost" },
+    Uri: { parse: (str) => ({ path: str.replace(/^vscode-remote:\/\/[^/]+/, "") }) },
+    RelativePattern: function() {},
+    window: {
+        createTerminal: (options) => options.name === "Claude Code Remote Agent" ? agentTerminal() : {
+            sendText: (text) => spawnSync("/bin/sh", ["-c", text], { env }),
+            dispose() {}
+        },
+        onDidCloseTerminal: noEvent,
+        onDidEndTerminalShellExecution: noEvent,
+        onDidChangeTerminalShellIntegration: noEvent
+    },
+    workspace: {
+        workspaceFolders: [{ uri: { path: work } }],
+        getConfiguration: () => ({ get: (key, fallback) => fallback }),
+        createFileSystemWatcher: () => { throw new Error("no watcher in tests"); },
+        fs: {
+            stat: async (uri) => {
+                const st = fs.statSync(uri.path);
+                return { size: st.size, mtime: st.mtimeMs };
+            },
+            readFile: async (uri) => fs.readFileSync(uri.path),
+            // Like a provider that writes a new file and renames it over the old one: mode and owner are lost
+            writeFile: async (uri, data) => {
+                fs.rmSync(uri.path, { force: true });
+                fs.writeFileSync(uri.path, data, { mode: 0o644 });
+            },
+            delete: async (uri) => fs.unlinkSync(uri.path)
+        }
+    }
+};
+const _origLoad = Module._load;
+Module._load = function(request) {
+    if (request === "vscode") return vscodeStub;
+    return _origLoad.apply(this, arguments);
+};
+const rt = require("./src/remote-tools");
+const { parseAttributes, attributeProblems } = rt;
+
+let passed = 0;
+let failed = 0;
+
+function assert(cond, msg) {
+    if (cond) {
+        passed++;
+        console.log("  PASS: " + msg);
+    } else {
+        failed++;
+        console.log("  FAIL: " + msg);
+    }
+}
+
+function assertEqual(actual, expected, msg) {
+    const a = JSON.stringify(actual);
+    const e = JSON.stringify(expected);
+    if (a === e) {
+        passed++;
+        console.log("  PASS: " + msg);
+    } else {
+        failed++;
+        console.log("  FAIL: " + msg + " — expected " + e + ", got " + a);
+    }
+}
+
+// ============================================================
+// Test Suite 1: Parsing stat output
+// ============================================================
+console.log("\n=== Suite 1: Parsing ===\n");
+
+assertEqual(parseAttributes("755 1000 100"), { mode: "755", uid: "1000", gid: "100" }, "mode, uid and gid are read");
+assertEqual(parseAttributes("4755 0 0\n"), { mode: "4755", uid: "0", gid: "0" }, "setuid modes and trailing newlines are fine");
+assertEqual(parseAttributes(""), null, "no output (a new file) → null");
+assertEqual(parseAttributes("stat: cannot stat 'x': No such file or directory"), null, "error text → null");
+
+// ============================================================
+// Test Suite 2: Comparing before and after
+// ============================================================
+console.log("\n=== Suite 2: Problems ===\n");
+
+const before = { mode: "755", uid: "1000", gid: "100" };
+
+assertEqual(attributeProblems(before, { mode: "755", uid: "1000", gid: "100" }), [], "unchanged attributes → no problems");
+assertEqual(attributeProblems(before, { mode: "0755", uid: "1000", gid: "100" }), [], "modes are compared as octal numbers");
+assertEqual(attributeProblems(before, { mode: "644", uid: "1000", gid: "100" }), ["mode 755 (now 644)"], "a lost executable bit is reported");
+assertEqual(attributeProblems(before, { mode: "755", uid: "0", gid: "0" }), ["owner uid 1000 (now 0)", "group gid 100 (now 0)"],
+    "owner and group changes are reported separately");
+assert(attributeProblems(before, null)[0].includes("could not read them back"), "an unreadable result is a problem too");
+
+// Stand-ins for the MCP server and zod: only the tool handlers matter here
+const schema = new Proxy(function() {}, { get: () => () => schema, apply: () => schema });
+const tools = {};
+const server = { tool: (name, description, shape, handler) => { tools[name] = handler; } };
+const handle = rt.registerTools(server, schema, { info() {}, warn() {}, error() {} }, null, null, null, "chan-attrs");
+
+async function write(filePath, content) {
+    const result = await tools.write_file({ file_path: filePath, content }, {});
+    return result.content[0].text;
+}
+
+const modeOf = (p) => (fs.statSync(p).mode & 0o7777).toString(8);
+
+(async () => {
+    // ============================================================
+    // Test Suite 3: Writes under the local sh
+    // ============================================================
+    console.log("\n=== Suite 3: Writes ===\n");
+
+    const script = path.join(work, "run.sh");
+    fs.writeFileSync(script, "#!/bin/sh\necho old\n", { mode: 0o755 });
+    fs.chmodSync(script, 0o750);
+    let result = await write(script, "#!/bin/sh\necho new\n");
+    assertEqual(result, `Successfully wrote 19 bytes to ${script}`, "an executable is written without a notice");
+    assertEqual([fs.readFileSync(script, "utf8"), modeOf(script)], ["#!/bin/sh\necho new\n", "750"], "and keeps its mode");
+
+    const target = path.join(work, "real config.ini");
+    const link = path.join(work, "config.ini");
+    fs.writeFileSync(target, "a=1\n");
+    fs.symlinkSync("real config.ini", link);
+    result = await write(link, "a=2\n");
+    assert(result.startsWith("Successfully wrote 4 bytes"), "a symlink is written");
+    assert(fs.lstatSync(link).isSymbolicLink(), "the link stays a link");
+    assertEqual(fs.readFileSync(target, "utf8"), "a=2\n", "and its target gets the content");
+
+    const shared = path.join(work, "shared.txt");
+    fs.writeFileSync(shared, "x\n");
+    let canChown = true;
+    try { fs.chownSync(shared, 0, 4321); } catch (_) { canChown = false; }
+    if (canChown) {
+        await write(shared, "y\n");
+        assertEqual(fs.statSync(shared).gid, 4321, "a lost group is put back");
+
+        fs.chownSync(shared, 4321, 4321);
+        fs.writeFileSync(chownFails, "");
+        result = await write(shared, "z\n");
+        assertEqual(fs.readFileSync(shared, "utf8"), "z\n", "a file whose owner can't be kept is still written");
+        assert(result.includes(`Note: the content was written, but ${shared} did not keep its owner uid 4321 (now 0)`),
+            "the tool result says which attribute was lost");
+        assert(result.includes("Operation not permitted"), "and why (" + result.split("\n")[1] + ")");
+    } else {
+        console.log("  SKIP: not running as root, files can't be given to other users");
+    }
+
+    handle.dispose();
+    rt.dispose();
+    fs.rmSync(tmp, { recursive: true, force: true });
+
+// ============================================================
+// Summary
+// ============================================================
+    console.log("\n========================================");
+    console.log("Results: " + passed + " passed, " + failed + " failed");
+    console.log("========================================\n");
+    process.exit(failed > 0 ? 1 : 0);
+})();
@@ -0,0 +1,288 @@
+#!/usr/bin/env node
+/**
+ * Unit test: stale-read protection and the remote file cache
+ *
+ * Tests createFileTracker, readForEdit, ensureUnchanged and RemoteFileCache from
+ * src/remote-tools.js against an in-memory vscode.workspace.fs and file watcher:
+ *   - Can a file that was read be edited while it stays the same?
+ *   - Is an edit refused once someone else changed the file?
+ *   - Is a file that was only touched (same content, new mtime) still editable?
+ *   - Is a cached file served without a round trip until the watcher reports a change?
+ *   - Are files the watcher can't see, and everything while bash runs, rechecked?
+ *   - Is a deleted file's stored encoding and line ending forgotten?
+ *   - Can a file that was read, then deleted, be recreated?
+ *
+ * Run: node test-file-tracking.js
+ */
+
+"use strict";
+
+const Module = require("module");
+
+// In-memory remote filesystem: path → { data, mtime }, with a watcher that reports changes
+const files = new Map();
+const calls = { stat: 0, readFile: 0 };
+const watcher = { handlers: {}, disposed: false };
+let clock = 1000;
+function put(filePath, text, { quiet = false } = {}) {
+    files.set(filePath, { data: Buffer.from(text, "utf8"), mtime: ++clock });
+    if (!quiet && watcher.handlers.change) watcher.handlers.change({ path: filePath });
+}
+function notFound() {
+    const err = new Error("not found");
+    err.code = "FileNotFound";
+    return err;
+}
+function roundTrips() {
+    const total = calls.stat + calls.readFile;
+    calls.stat = calls.readFile = 0;
+    return total;
+}
+
+const vscodeStub = {
+    env: { remoteAuthority: "ssh-remote+box" },
+    Uri: { parse: (str) => ({ path: str.replace(/^vscode-remote:\/\/[^/]+/, "") }) },
+    RelativePattern: function(base, pattern) {
+        this.base = base;
+        this.pattern = pattern;
+    },
+    workspace: {
+        workspaceFolders: [{ uri: { path: "/srv" } }],
+        getConfiguration: () => ({ get: (key, fallback) => fallback }),
+        createFileSystemWatcher: (pattern) => {
+            watcher.base = pattern.base.path;
+            return {
+                onDidChange: (fn) => { watcher.handlers.change = fn; },
+                onDidCreate: (fn) => { watcher.handlers.create = fn; },
+                onDidDelete: (fn) => { watcher.handlers.delete = fn; },
+                dispose: () => { watcher.disposed = true; }
+            };
+        },
+        fs: {
+            stat: async (uri) => {
+                calls.stat++;
+                const file = files.get(uri.path);
+                if (!file) throw notFound();
+                return { size: file.data.length, mtime: file.mtime };
+            },
+            readFile: async (uri) => {
+                calls.readFile++;
+                const file = files.get(uri.path);
+                if (!file) throw notFound();
+                return file.data;
+            }
+        }
+    }
+};
+
+const _origLoad = Module._load;
+Module._load = function(request) {
+    if (request === "vscode") return vscodeStub;
+    return _origLoad.apply(this, arguments);
+};
+const remoteTools = require("./src/remote-tools");
+const { createFileTracker, readForEdit, ensureUnchanged, readRemoteText, fileFormat, RemoteFileCache, globToRegExp } = remoteTools;
+const isNotFound = (err) => !!err && err.code === "FileNotFound";
+
+let passed = 0;
+let failed = 0;
+
+function assert(cond, msg) {
+    if (cond) {
+        passed++;
+        console.log("  PASS: " + msg);
+    } else {
+        failed++;
+        console.log("  FAIL: " + msg);
+    }
+}
+
+function assertEqual(actual, expected, msg) {
+    const a = JSON.stringify(actual);
+    const e = JSON.stringify(expected);
+    if (a === e) {
+        passed++;
+        console.log("  PASS: " + msg);
+    } else {
+        failed++;
+        console.log("  FAIL: " + msg + " — expected " + e + ", got " + a);
+    }
+}
+
+async function errorOf(promise) {
+    try {
+        await promise;
+        return null;
+    } catch (err) {
+        return err.message;
+    }
+}
+
+const uri = { path: "/srv/app.py" };
+
+(async () => {
+    // ============================================================
+    // Test Suite 1: Unchanged files
+    // ============================================================
+    console.log("\n=== Suite 1: Unchanged files ===\n");
+
+    {
+        const tracker = createFileTracker();
+        put("/srv/app.py", "print(1)\r\n");
+        assertEqual(await readForEdit(uri, "/srv/app.py", tracker), "print(1)\n", "a file never read can be edited (text comes back LF-normalized)");
+        assert(tracker.get("/srv/app.py").hash !== null, "reading for an edit records the content hash");
+        assertEqual(await readForEdit(uri, "/srv/app.py", tracker), "print(1)\n", "reading again while unchanged is fine");
+        assertEqual(await errorOf(ensureUnchanged(uri, "/srv/app.py", tracker)), null, "an unchanged file can be written");
+        tracker.dispose();
+    }
+
+    // ============================================================
+    // Test Suite 2: Changed on the remote
+    // ============================================================
+    console.log("\n=== Suite 2: Changed files ===\n");
+
+    {
+        const tracker = createFileTracker();
+        put("/srv/app.py", "print(1)\n");
+        await readForEdit(uri, "/srv/app.py", tracker);
+        put("/srv/app.py", "print(1)\nprint(2)\n");
+        const err = await errorOf(readForEdit(uri, "/srv/app.py", tracker));
+        assert(err && err.startsWith("/srv/app.py changed on the remote since it was last read (it is now 18 B"),
+            "an edit after someone else's change is refused, saying what changed");
+        assert(err && err.includes("Read it again with read_file"), "the error says to re-read the file");
+
+        put("/srv/app.py", "print(3)\n");
+        assert((await errorOf(ensureUnchanged(uri, "/srv/app.py", tracker))).includes("changed on the remote"),
+            "a change during review is caught right before writing");
+
+        files.delete("/srv/app.py");
+        assert((await errorOf(ensureUnchanged(uri, "/srv/app.py", tracker))).includes("it has been deleted"),
+            "a file deleted since the read is reported as such");
+        watcher.handlers.delete({ path: "/srv/app.py" });
+        assert(isNotFound(await readForEdit(uri, "/srv/app.py", tracker).catch((e) => e)), "reading the deleted file fails as not found");
+        assertEqual(tracker.get("/srv/app.py"), null, "and forgets the version read before it was deleted");
+        assertEqual(await errorOf(ensureUnchanged(uri, "/srv/app.py", tracker)), null, "so the file can be recreated");
+        tracker.dispose();
+    }
+
+    {
+        const tracker = createFileTracker();
+        put("/srv/app.py", "same\n");
+        await readForEdit(uri, "/srv/app.py", tracker);
+        put("/srv/app.py", "same\n"); // touched: new mtime, same bytes
+        assertEqual(await errorOf(ensureUnchanged(uri, "/srv/app.py", tracker)), null, "a touched but unchanged file can still be written");
+        assertEqual(await readForEdit(uri, "/srv/app.py", tracker), "same\n", "and edited");
+        tracker.dispose();
+    }
+
+    {
+        const tracker = createFileTracker();
+        put("/srv/big.log", "x".repeat(100));
+        tracker.record("/srv/big.log", { mtime: files.get("/srv/big.log").mtime, size: 100 }); // a partial (offset/limit) read
+        assertEqual(await readForEdit({ path: "/srv/big.log" }, "/srv/big.log", tracker), "x".repeat(100),
+            "after a partial read, an unchanged mtime and size are enough");
+        tracker.dispose();
+    }
+
+    // ============================================================
+    // Test Suite 3: Remote file cache
+    // ============================================================
+    console.log("\n=== Suite 3: Cache ===\n");
+
+    assertEqual(watcher.base, "/srv", "the workspace folder is watched");
+
+    {
+        const tracker = createFileTracker();
+        const other = createFileTracker();
+        put("/srv/lib.py", "v1\n");
+        await readForEdit({ path: "/srv/lib.py" }, "/srv/lib.py", tracker);
+        roundTrips();
+        assertEqual(await readRemoteText({ path: "/srv/lib.py" }, "/srv/lib.py"), "v1\n", "a file read before is served from the cache");
+        assertEqual(roundTrips(), 0, "without a round trip");
+        assertEqual(await readForEdit({ path: "/srv/lib.py" }, "/srv/lib.py", other), "v1\n", "the cache is shared by conversations");
+        assertEqual(roundTrips(), 0, "so another conversation doesn't fetch it again");
+
+        watcher.handlers.change({ path: "/srv/lib.py" });
+        assertEqual(await readRemoteText({ path: "/srv/lib.py" }, "/srv/lib.py"), "v1\n", "after a watcher event without a real change");
+        assertEqual([calls.stat, calls.readFile], [1, 0], "a single stat confirms the cached version");
+        roundTrips();
+
+        put("/srv/lib.py", "v2\n");
+        assertEqual(await readRemoteText({ path: "/srv/lib.py" }, "/srv/lib.py"), "v2\n", "a changed file is fetched again");
+        assertEqual(roundTrips(), 2, "with a stat and a read");
+
+        put("/tmp/notes.txt", "a\n", { quiet: true });
+        await readRemoteText({ path: "/tmp/notes.txt" }, "/tmp/notes.txt");
+        roundTrips();
+        await readRemoteText({ path: "/tmp/notes.txt" }, "/tmp/notes.txt");
+        assertEqual(roundTrips(), 1, "a file outside the workspace is rechecked on every read");
+
+        tracker.dispose();
+        assertEqual(tracker.get("/srv/lib.py"), null, "dispose forgets what the conversation read");
+        other.dispose();
+    }
+
+    {
+        const winUri = { path: "/srv/win.txt" };
+        put("/srv/win.txt", "a\r\nb\r\n");
+        await readRemoteText(winUri, "/srv/win.txt");
+        assertEqual(fileFormat(winUri, "/srv/win.txt").eol, "\r\n", "a CRLF file is remembered as CRLF");
+        watcher.handlers.change({ path: "/srv/win.txt" });
+        assertEqual(fileFormat(winUri, "/srv/win.txt").eol, "\r\n", "a change event keeps the format until the file is read again");
+        files.delete("/srv/win.txt");
+        watcher.handlers.delete({ path: "/srv/win.txt" });
+        assertEqual(fileFormat(winUri, "/srv/win.txt").eol, "\n", "a delete event forgets it: a recreated file gets the settings' format");
+
+        put("/srv/win.txt", "c\r\n");
+        await readRemoteText(winUri, "/srv/win.txt");
+        assertEqual(fileFormat(winUri, "/srv/win.txt").eol, "\r\n", "reading it again stores the format again");
+    }
+
+    {
+        let quiet = true;
+        const cache = new RemoteFileCache("/srv/", { excludes: [globToRegExp("**/node_modules/**")], isQuiet: () => quiet });
+        cache.watching = true;
+        cache.put("/srv/a.js", { mtime: 1, size: 2, hash: "h", text: "a\n" });
+        cache.put("/srv/node_modules/x/index.js", { mtime: 1, size: 2, hash: "h", text: "x\n" });
+        assert(cache.trusted("/srv/a.js") !== null, "a watched, unchanged entry is trusted");
+        assertEqual(cache.trusted("/srv/node_modules/x/index.js"), null, "files in files.watcherExclude are not");
+        quiet = false;
+        assertEqual(cache.trusted("/srv/a.js"), null, "nothing is trusted while a bash command runs");
+        quiet = true;
+        cache.invalidateAll();
+        assertEqual(cache.trusted("/srv/a.js"), null, "and everything is rechecked after it ended");
+        assertEqual(cache.validate("/srv/a.js", { mtime: 1, size: 2 }).text, "a\n", "a stat showing the same version revalidates the entry");
+        assertEqual(cache.validate("/srv/a.js", { mtime: 5, size: 2 }), null, "a different version drops it");
+        assertEqual(cache.entries.has("/srv/a.js"), false, "from the cache");
+    }
+
+    {
+        const cache = new RemoteFileCache("/srv", {});
+        const mb = 1024 * 1024;
+        cache.put("/srv/huge.bin", { mtime: 1, size: 5 * mb, hash: "h", text: "" });
+        assertEqual(cache.entries.has("/srv/huge.bin"), false, "files over 4 MB are not cached");
+        for (let i = 0; i < 9; i++) cache.put(`/srv/f${i}`, { mtime: 1, size: 4 * mb, hash: "h", text: "" });
+        assertEqual([cache.entries.has("/srv/f0"), cache.entries.has("/srv/f8"), cache.bytes], [false, true, 32 * mb],
+            "the least recently used files are evicted beyond 32 MB");
+    }
+
+    {
+        const re = globToRegExp("**/.git/objects/**");
+        assertEqual([re.test(".git/objects/ab/cd"), re.test("sub/.git/objects/ab"), re.test(".git/config")], [true, true, false],
+            "watcherExclude globs match at any depth");
+        assertEqual([globToRegExp("*.{js,ts}").test("a.ts"), globToRegExp("*.{js,ts}").test("dir/a.ts")], [true, false],
+            "braces and single stars");
+    }
+
+    remoteTools.dispose();
+    assert(watcher.disposed, "deactivating the extension stops the watcher");
+    assertEqual(fileFormat({ path: "/srv/win.txt" }, "/srv/win.txt").eol, "\n", "and forgets every file's format");
+
+    // ============================================================
+    // Summary
+    // ============================================================
+    console.log("\n========================================");
+    console.log("Results: " + passed + " passed, " + failed + " failed");
+    console.log("========================================\n");
+    process.exit(failed > 0 ? 1 : 0);
+})();
@@ -0,0 +1,287 @@
+#!/usr/bin/env node
+/**
+ * Unit test: Jupyter notebook handling
+ *
+ * Tests the notebook helpers in src/remote-tools.js (used by notebook_edit and read_file):
+ *   - Can cells be replaced, inserted and deleted by id, "cell-N" or index?
+ *   - Are outputs, metadata and untouched cells preserved?
+ *   - Does changing a cell's type add/remove the type-specific fields?
+ *   - Is the file written back in the original layout (indent, trailing newline, number literals)?
+ *   - Does read_file render cells in order, with capped text and image outputs?
+ *
+ * Run: node test-notebooks.js
+ */
+
+"use strict";
+
+const Module = require("module");
+
+// remote-tools.js requires "vscode"; the notebook helpers don't touch it
+const _origLoad = Module._load;
+Module._load = function(request) {
+    if (request === "vscode") return {};
+    return _origLoad.apply(this, arguments);
+};
+const { parseNotebook, serializeNotebook, applyNotebookEdit, renderNotebook } = require("./src/remote-tools");
+
+let passed = 0;
+let failed = 0;
+
+function assert(cond, msg) {
+    if (cond) {
+        passed++;
+        console.log("  PASS: " + msg);
+    } else {
+        failed++;
+        console.log("  FAIL: " + msg);
+    }
+}
+
+function assertEqual(actual, expected, msg) {
+    const a = JSON.stringify(actual);
+    const e = JSON.stringify(expected);
+    if (a === e) {
+        passed++;
+        console.log("  PASS: " + msg);
+    } else {
+        failed++;
+        console.log("  FAIL: " + msg + " — expected " + e + ", got " + a);
+    }
+}
+
+function errorOf(fn) {
+    try {
+        fn();
+        return null;
+    } catch (err) {
+        return err.message;
+    }
+}
+
+const imageOutput = {
+    data: { "image/png": "iVBORw0KGgo=", "text/plain": ["<Figure size 640x480>"] },
+    metadata: {},
+    output_type: "display_data"
+};
+
+// A notebook as Jupyter writes it: 1-space indent, trailing newline
+function sampleText() {
+    const nb = {
+        cells: [
+            { cell_type: "markdown", id: "intro", metadata: {}, source: ["# Training\n", "Loss curves"] },
+            {
+                cell_type: "code", execution_count: 3, id: "plot", metadata: { tags: ["figure"] },
+                outputs: [{ name: "stdout", output_type: "stream", text: ["epoch 1\n"] }, imageOutput],
+                source: ["import matplotlib\n", "plot(loss)"]
+            },
+            { cell_type: "code", execution_count: null, id: "tail", metadata: {}, outputs: [], source: "print('done')" }
+        ],
+        metadata: { kernelspec: { display_name: "Python 3", language: "python", name: "python3" } },
+        nbformat: 4,
+        nbformat_minor: 5
+    };
+    return JSON.stringify(nb, null, 1) + "\n";
+}
+
+function edit(input, text) {
+    text = text || sampleText();
+    const nb = parseNotebook(text, "/nb.ipynb");
+    const summary = applyNotebookEdit(nb, input);
+    return { nb, summary, text: serializeNotebook(nb, text) };
+}
+
+// ============================================================
+// Test Suite 1: Replace
+// ============================================================
+console.log("\n=== Suite 1: Replace ===\n");
+
+{
+    const r = edit({ cell_id: "plot", new_source: "import matplotlib\nplot(loss, log=True)" });
+    const cell = r.nb.cells[1];
+    assertEqual(cell.source, ["import matplotlib\n", "plot(loss, log=True)"], "source is stored as a list of lines");
+    assertEqual(cell.outputs[1], imageOutput, "outputs are preserved");
+    assertEqual(cell.metadata, { tags: ["figure"] }, "cell metadata is preserved");
+    assertEqual(cell.execution_count, 3, "execution count is preserved");
+    assertEqual(r.summary, "Replaced cell plot (index 1)", "summary names the cell");
+    const before = JSON.parse(sampleText());
+    assertEqual([r.nb.cells[0], r.nb.cells[2], r.nb.metadata], [before.cells[0], before.cells[2], before.metadata],
+        "other cells and notebook metadata are untouched");
+}
+
+assertEqual(edit({ cell_index: 2, new_source: "print('ok')" }).nb.cells[2].source, "print('ok')",
+    "by index; a string source stays a string");
+assertEqual(edit({ cell_id: "cell-0", new_source: "# Eval" }).nb.cells[0].source, ["# Eval"],
+    "\"cell-N\" addresses a cell by position");
+
+// ============================================================
+// Test Suite 2: Cell type changes
+// ============================================================
+console.log("\n=== Suite 2: Cell type ===\n");
+
+{
+    const r = edit({ cell_id: "plot", new_source: "Plot notes", cell_type: "markdown" });
+    assertEqual(Object.keys(r.nb.cells[1]), ["cell_type", "id", "metadata", "source"],
+        "code → markdown drops outputs and execution_count");
+    assertEqual(r.nb.cells[1].metadata, { tags: ["figure"] }, "metadata survives a type change");
+}
+
+{
+    const r = edit({ cell_id: "intro", new_source: "x = 1", cell_type: "code" });
+    assertEqual(Object.keys(r.nb.cells[0]), ["cell_type", "execution_count", "id", "metadata", "outputs", "source"],
+        "markdown → code adds empty outputs, in nbformat key order");
+}
+
+// ============================================================
+// Test Suite 3: Insert and delete
+// ============================================================
+console.log("\n=== Suite 3: Insert / delete ===\n");
+
+{
+    const r = edit({ cell_id: "plot", new_source: "evaluate()\n", cell_type: "code", edit_mode: "insert" });
+    const cell = r.nb.cells[2];
+    assertEqual(r.nb.cells.map((c) => c.id).filter((id) => id !== cell.id), ["intro", "plot", "tail"], "inserted after the given cell");
+    assert(/^[0-9a-f]{8}$/.test(cell.id), "a new cell gets an id (nbformat 4.5)");
+    assertEqual([cell.execution_count, cell.outputs, cell.source], [null, [], ["evaluate()\n"]], "a new code cell is empty and unexecuted");
+}
+
+assertEqual(edit({ new_source: "# Title", cell_type: "markdown", edit_mode: "insert" }).nb.cells[0].source, ["# Title"],
+    "insert without a cell goes first");
+
+{
+    const old = JSON.parse(sampleText());
+    delete old.cells[0].id;
+    old.nbformat_minor = 4;
+    const r = edit({ cell_index: 0, new_source: "y", cell_type: "code", edit_mode: "insert" }, JSON.stringify(old, null, 1));
+    assert(!("id" in r.nb.cells[1]), "no ids are added to nbformat 4.4 notebooks");
+}
+
+{
+    const r = edit({ cell_id: "plot", edit_mode: "delete" });
+    assertEqual(r.nb.cells.map((c) => c.id), ["intro", "tail"], "delete removes just that cell");
+}
+
+// ============================================================
+// Test Suite 4: Errors
+// ============================================================
+console.log("\n=== Suite 4: Errors ===\n");
+
+assertEqual(errorOf(() => edit({ cell_id: "nope", new_source: "x" })), "Cell \"nope\" not found (the notebook has 3 cells)",
+    "unknown cell id");
+assertEqual(errorOf(() => edit({ cell_index: 3, new_source: "x" })), "Cell index 3 is out of range (the notebook has 3 cells)",
+    "index out of range");
+assertEqual(errorOf(() => edit({ new_source: "x", edit_mode: "insert" })), "cell_type is required when inserting a cell",
+    "insert needs a cell type");
+assertEqual(errorOf(() => edit({ new_source: "x" })), "cell_id or cell_index is required for replace", "replace needs a cell");
+assertEqual(errorOf(() => parseNotebook("{\"a\": 1}", "/x.ipynb")), "/x.ipynb is not a Jupyter notebook (no cells array)",
+    "JSON without cells is refused");
+assert(errorOf(() => parseNotebook("{", "/x.ipynb")).startsWith("/x.ipynb is not valid notebook JSON"), "invalid JSON is refused");
+
+// ============================================================
+// Test Suite 5: Layout round trip
+// ============================================================
+console.log("\n=== Suite 5: Layout ===\n");
+
+{
+    const text = sampleText();
+    assertEqual(serializeNotebook(parseNotebook(text, "/nb.ipynb"), text), text, "Jupyter's 1-space layout round-trips unchanged");
+    const two = JSON.stringify(JSON.parse(text), null, 2);
+    assertEqual(serializeNotebook(parseNotebook(two, "/nb.ipynb"), two), two, "2-space indent without trailing newline is kept");
+    const r = edit({ cell_id: "tail", new_source: "print('über')" });
+    assert(r.text.includes("print('über')"), "non-ASCII text is written as is, like Jupyter (ensure_ascii=False)");
+}
+
+{
+    // Number literals JSON.parse/stringify would rewrite: 1.0 becomes 1, integers past 2^53 are rounded
+    const text = sampleText()
+        .replace('"tags": [', '"scale": 1.0,\n    "tags": [')
+        .replace('"name": "python3"', '"name": "python3",\n   "seed": 12345678901234567890');
+    const normalize = (t) => t.replace('"scale": 1.0', '"scale": 1').replace("12345678901234567890", "12345678901234567000");
+    const jupyter = (t) => JSON.stringify(JSON.parse(t), null, 1) + "\n";
+
+    const r = edit({ cell_id: "plot", new_source: "plot(loss, log=True)" }, text);
+    assert(r.text.includes('"scale": 1.0,') && r.text.includes('"seed": 12345678901234567890'),
+        "literals in the edited cell's metadata and in the notebook's are kept");
+    assertEqual(normalize(r.text), jupyter(r.text), "the rest is laid out like Jupyter");
+    assertEqual(JSON.parse(r.text).cells[1].source, ["plot(loss, log=True)"], "the edit is applied");
+
+    const inserted = edit({ cell_id: "intro", new_source: "x = 1", cell_type: "code" }, text);
+    assert(inserted.text.includes('"scale": 1.0,') && inserted.text.includes('"seed": 12345678901234567890'),
+        "cells shifted by an insert keep their literals");
+    assertEqual(normalize(inserted.text), jupyter(inserted.text), "and the inserted cell is laid out like the others");
+
+    const deleted = edit({ cell_id: "intro", edit_mode: "delete" }, text);
+    assert(deleted.text.includes('"scale": 1.0,'), "so do cells shifted by a delete");
+
+    const compact = '{"cells":[{"cell_type":"code","execution_count":1,"metadata":{"lr":1.0},"outputs":[],"source":"a"}],' +
+        '"metadata":{},"nbformat":4,"nbformat_minor":4}';
+    assertEqual(edit({ cell_index: 0, new_source: "b" }, compact).text, compact.replace('"source":"a"', '"source":"b"'),
+        "a notebook written without indentation stays compact");
+}
+
+// ============================================================
+// Test Suite 6: Rendering for read_file
+// ============================================================
+console.log("\n=== Suite 6: Rendering ===\n");
+
+{
+    const blocks = renderNotebook(parseNotebook(sampleText(), "/nb.ipynb"), "/nb.ipynb");
+    assertEqual(blocks.map((b) => b.type), ["text", "image", "text"], "text and image blocks are interleaved in cell order");
+    assertEqual(blocks[1], { type: "image", data: "iVBORw0KGgo=", mimeType: "image/png" }, "PNG outputs become MCP image content");
+    const before = blocks[0].text;
+    const after = blocks[2].text;
+    assert(before.startsWith("Jupyter notebook /nb.ipynb: 3 cells, python\n"), "header names cell count and language");
+    assert(before.includes("<cell id=\"intro\" index=\"0\" type=\"markdown\">\n# Training\nLoss curves\n</cell>"),
+        "markdown cell with id, index, type and source");
+    assert(before.includes("<cell id=\"plot\" index=\"1\" type=\"code\" execution_count=\"3\">\nimport matplotlib\nplot(loss)\n" +
+        "<output type=\"stream\" name=\"stdout\">\nepoch 1\n</output>"), "code cell with its stream output");
+    assert(before.endsWith("<output type=\"display_data\">[image/png image, 9 B]"), "image output is labelled with type and size");
+    assert(after.startsWith("</output>\n</cell>\n<cell id=\"tail\" index=\"2\""), "rendering continues after the image");
+}
+
+{
+    const nb = JSON.parse(sampleText());
+    nb.cells[2].outputs = [
+        { name: "stdout", output_type: "stream", text: "x".repeat(5000) },
+        { ename: "ValueError", evalue: "bad", output_type: "error", traceback: ["\u001b[0;31mValueError\u001b[0m: bad"] },
+        { data: { "text/html": "<table/>" }, metadata: {}, output_type: "display_data" },
+        { data: { "text/html": "<b>1</b>", "text/plain": "1" }, execution_count: 4, metadata: {}, output_type: "execute_result" }
+    ];
+    const text = renderNotebook(nb, "/nb.ipynb").map((b) => b.text || "").join("");
+    assert(text.includes("x".repeat(2000) + "\n... [3000 more characters]\n</output>"), "long text outputs are capped");
+    assert(text.includes("<output type=\"error\">\nValueError: bad\n</output>"), "tracebacks lose their colour codes");
+    assert(text.includes("<output type=\"display_data\">[text/html output — not shown]</output>"), "HTML-only outputs get a placeholder");
+    assert(text.includes("<output type=\"execute_result\">\n1\n</output>"), "text/plain is preferred over HTML");
+}
+
+{
+    const nb = JSON.parse(sampleText());
+    const big = "A".repeat(2 * 1024 * 1024);
+    nb.cells[1].outputs = [{ data: { "image/png": big }, metadata: {}, output_type: "display_data" }];
+    for (let i = 0; i < 10; i++) nb.cells[2].outputs.push(imageOutput);
+    const blocks = renderNotebook(nb, "/nb.ipynb");
+    assertEqual(blocks.filter((b) => b.type === "image").length, 8, "at most 8 images per read");
+    const text = blocks.map((b) => b.text || "").join("");
+    assert(text.includes("[image/png image, 1.5 MB — not shown]"), "oversized images are skipped with a placeholder");
+    assertEqual((text.match(/9 B — not shown/g) || []).length, 2, "images past the limit are skipped with a placeholder");
+}
+
+{
+    const nb = JSON.parse(sampleText());
+    for (let i = 0; i < 40; i++) {
+        nb.cells.push({ cell_type: "code", execution_count: null, id: "c" + i, metadata: {}, outputs: [], source: "y".repeat(1000) });
+    }
+    const text = renderNotebook(nb, "/nb.ipynb").map((b) => b.text || "").join("");
+    const shown = (text.match(/<cell /g) || []).length;
+    assert(shown < 43 && text.includes(`[${43 - shown} more cells not shown — read again with offset=${shown + 1} to continue]`),
+        "a long notebook stops at the size budget and says where to continue");
+    const page = renderNotebook(nb, "/nb.ipynb", 5, 2).map((b) => b.text || "").join("");
+    assertEqual(page.match(/index="\d+"/g), ["index=\"4\"", "index=\"5\""], "offset/limit select cells");
+}
+
+// ============================================================
+// Summary
+// ============================================================
+console.log("\n========================================");
+console.log("Results: " + passed + " passed, " + failed + " failed");
+console.log("========================================\n");
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,182 @@
+#!/usr/bin/env node
+/**
+ * Unit test: streaming command output as progress
+ *
+ * Tests createOutputProgress() and toolProgressMessage() from src/remote-tools.js
+ * with a fake sendNotification and fake timers:
+ *   - Is output sent at most once per interval, as notifications/progress?
+ *   - Does progress count the characters received, so it only ever increases?
+ *   - Is only the tail of long output sent, and the rest flushed when the command ends?
+ *   - Is the same output forwarded to the webview as a tool_progress message?
+ *
+ * Run: node test-output-progress.js
+ */
+
+"use strict";
+
+const Module = require("module");
+
+// remote-tools.js requires "vscode"; the code under test doesn't touch it
+const _origLoad = Module._load;
+Module._load = function(request) {
+    if (request === "vscode") return {};
+    return _origLoad.apply(this, arguments);
+};
+const { createOutputProgress, toolProgressMessage } = require("./src/remote-tools");
+
+let passed = 0;
+let failed = 0;
+
+function assert(cond, msg) {
+    if (cond) {
+        passed++;
+        console.log("  PASS: " + msg);
+    } else {
+        failed++;
+        console.log("  FAIL: " + msg);
+    }
+}
+
+function assertEqual(actual, expected, msg) {
+    const a = JSON.stringify(actual);
+    const e = JSON.stringify(expected);
+    if (a === e) {
+        passed++;
+        console.log("  PASS: " + msg);
+    } else {
+        failed++;
+        console.log("  FAIL: " + msg + " — expected " + e + ", got " + a);
+    }
+}
+
+// Fake clock: timers only fire when tick() moves past them
+let now = 0;
+let timers = [];
+global.setTimeout = (fn, ms) => {
+    const timer = { fn, at: now + ms };
+    timers.push(timer);
+    return timer;
+};
+global.clearTimeout = (timer) => {
+    timers = timers.filter((t) => t !== timer);
+};
+Date.now = () => now;
+function tick(ms) {
+    now += ms;
+    for (const timer of timers.filter((t) => t.at <= now)) {
+        timers = timers.filter((t) => t !== timer);
+        timer.fn();
+    }
+}
+
+// The MCP request's extra: a progress token, the CLI's tool use id and a recording sendNotification
+function fakeExtra(meta = { progressToken: 7, "claudecode/toolUseId": "toolu_1" }) {
+    const sent = [];
+    return {
+        sent,
+        _meta: meta,
+        sendNotification: async (notification) => { sent.push(notification); }
+    };
+}
+
+// ============================================================
+// Test Suite 1: Throttling and payload
+// ============================================================
+console.log("\n=== Suite 1: notifications/progress ===\n");
+
+{
+    const extra = fakeExtra();
+    const webview = [];
+    const progress = createOutputProgress(extra, "Bash", (update) => webview.push(update));
+    progress.onOutput("stdout", "line 1\n");
+    progress.onOutput("stderr", "warn\n");
+    assertEqual(extra.sent.length, 0, "nothing is sent before the interval is up");
+    tick(999);
+    assertEqual(extra.sent.length, 0, "not even just before it");
+    tick(1);
+    assertEqual(extra.sent, [{ method: "notifications/progress", params: { progressToken: 7, progress: 12, message: "line 1\nwarn\n" } }],
+        "one notification per interval, with the request's token, the characters so far and the output");
+
+    progress.onOutput("stdout", "line 2\n");
+    progress.onOutput("stdout", "line 3\n");
+    tick(1000);
+    assertEqual(extra.sent.length, 2, "later output waits for the next interval");
+    assertEqual(extra.sent[1].params.progress, 26, "progress counts everything received, so it keeps increasing");
+    assertEqual(extra.sent[1].params.message, "line 1\nwarn\nline 2\nline 3\n", "the message is the output so far");
+
+    tick(5000);
+    assertEqual(extra.sent.length, 2, "no output, no notification");
+
+    progress.onOutput("stdout", "last\n");
+    progress.done();
+    assertEqual(extra.sent.length, 3, "output held back when the command ends is flushed");
+    assertEqual(extra.sent[2].params.progress, 31, "with the final count");
+    assertEqual(timers.length, 0, "and no timer is left behind");
+    progress.done();
+    assertEqual(extra.sent.length, 3, "a second done() sends nothing");
+
+    assertEqual(webview.map((update) => update.output), extra.sent.map((n) => n.params.message), "the webview gets the same updates");
+}
+
+{
+    const extra = fakeExtra();
+    const progress = createOutputProgress(extra, "Bash", null);
+    const chunk = "0123456789".repeat(100) + "\n";
+    for (let i = 0; i < 20; i++) progress.onOutput("stdout", chunk);
+    tick(1000);
+    const message = extra.sent[0].params.message;
+    assertEqual(message.length, 4000, "long output is cut to its last 4000 characters");
+    assert(message.endsWith(chunk), "keeping the newest output");
+    assertEqual(extra.sent[0].params.progress, 20 * chunk.length, "progress still counts all of it");
+}
+
+{
+    const extra = fakeExtra({});
+    const webview = [];
+    const progress = createOutputProgress(extra, "Bash", (update) => webview.push(update));
+    progress.onOutput("stdout", "x\n");
+    tick(1000);
+    assertEqual([extra.sent.length, webview.length], [0, 0], "without a progress token or tool use id nothing is sent");
+    progress.done();
+}
+
+{
+    const progress = createOutputProgress({ _meta: { "claudecode/toolUseId": "toolu_2" } }, "Bash", () => { throw new Error("webview gone"); });
+    progress.onOutput("stdout", "x\n");
+    let error = null;
+    try { tick(1000); } catch (e) { error = e; }
+    assertEqual(error, null, "a failing webview callback doesn't break the command");
+    progress.done();
+}
+
+// ============================================================
+// Test Suite 2: Webview message
+// ============================================================
+console.log("\n=== Suite 2: tool_progress ===\n");
+
+{
+    const webview = [];
+    now = 0;
+    const progress = createOutputProgress(fakeExtra({ "claudecode/toolUseId": "toolu_3" }), "Bash", (update) => webview.push(update));
+    tick(2400);
+    progress.onOutput("stdout", "building...\n");
+    tick(1000);
+    assertEqual(webview, [{ toolUseId: "toolu_3", toolName: "Bash", output: "building...\n", elapsedSeconds: 3 }],
+        "onToolProgress gets the tool use id, tool name, output and whole seconds since the start");
+    assertEqual(toolProgressMessage(webview[0]), {
+        type: "tool_progress",
+        tool_use_id: "toolu_3",
+        tool_name: "Bash",
+        parent_tool_use_id: null,
+        elapsed_time_seconds: 3,
+        output: "building...\n"
+    }, "the webview gets the CLI's tool_progress message, with the output added");
+}
+
+// ============================================================
+// Summary
+// ============================================================
+console.log("\n========================================");
+console.log("Results: " + passed + " passed, " + failed + " failed");
+console.log("========================================\n");
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,279 @@
+#!/usr/bin/env node
+/**
+ * Unit test: read_file text output
+ *
+ * Tests formatFileLines / splitLines from src/remote-tools.js against the
+ * built-in Read tool's output contract:
+ *   - Are lines numbered like `cat -n` (6-wide number, tab)?
+ *   - Is the default cap 2000 lines, with a notice giving the total and next offset?
+ *   - Are very long lines clipped?
+ *   - Do offset/limit page through the file?
+ *   - Do remote range reads (only the requested lines fetched) read the same?
+ *
+ * Then runs readLineRange's awk (and iconv) script through src/remote-agent.js
+ * under the local /bin/sh against generated files, and read_file's size guard:
+ *   - Is exactly the requested range cut out, with long lines clipped?
+ *   - Are ranges at and past the end of the file, and the byte budget, reported right?
+ *   - Is a file over remoteReadMaxSizeMB refused, and read whole once the limit is 0?
+ *
+ * The hidden terminals are faked: the setup terminal runs what it is given with
+ * sh, the agent terminal runs the agent as a local child process.
+ *
+ * Run: node test-read-file.js
+ */
+
+"use strict";
+
+const Module = require("module");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawn, spawnSync } = require("child_process");
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "claude-read-test-"));
+const env = { ...process.env, XDG_RUNTIME_DIR: tmp, VSCODE_GIT_ASKPASS_NODE: process.execPath };
+const config = {}; // claudeCode.* settings
+
+// The agent terminal: shell integration runs the command locally, sendText() feeds its stdin
+function agentTerminal() {
+    let child = null;
+    return {
+        shellIntegration: {
+            executeCommand(command) {
+                child = spawn("/bin/sh", ["-c", command], { env, stdio: ["pipe", "pipe", "inherit"] });
+                child.stdout.setEncoding("utf8");
+                return { read: () => child.stdout };
+            }
+        },
+        sendText: (text) => child.stdin.write(text + "\n"),
+        dispose: () => child && child.stdin.end()
+    };
+}
+
+const noEvent = () => ({ dispose() {} });
+const vscodeStub = {
+    env: { remoteAuthority: "ssh-remote+testhost" },
+    Uri: { parse: (str) => ({ path: str.replace(/^vscode-remote:\/\/[^/]+/, "") }) },
+    RelativePattern: function() {},
+    window: {
+        createTerminal: (options) => options.name === "Claude Code Remote Agent" ? agentTerminal() : {
+            sendText: (text) => spawnSync("/bin/sh", ["-c", text], { env }),
+            dispose() {}
+        },
+        onDidCloseTerminal: noEvent,
+        onDidEndTerminalShellExecution: noEvent,
+        onDidChangeTerminalShellIntegration: noEvent
+    },
+    workspace: {
+        workspaceFolders: [{ uri: { path: tmp } }],
+        getConfiguration: (section) => ({ get: (key, fallback) => section === "claudeCode" && key in config ? config[key] : fallback }),
+        createFileSystemWatcher: () => { throw new Error("no watcher in tests"); },
+        fs: {
+            stat: async (uri) => {
+                const st = fs.statSync(uri.path);
+                return { size: st.size, mtime: st.mtimeMs };
+            },
+            readFile: async (uri) => fs.readFileSync(uri.path),
+            writeFile: async (uri, data) => fs.writeFileSync(uri.path, data),
+            delete: async (uri) => fs.unlinkSync(uri.path)
+        }
+    }
+};
+const _origLoad = Module._load;
+Module._load = function(request) {
+    if (request === "vscode") return vscodeStub;
+    return _origLoad.apply(this, arguments);
+};
+const rt = require("./src/remote-tools");
+const { formatFileLines, splitLines, readLineRange, getReadMaxBytes, tooLargeToReadMessage } = rt;
+
+let passed = 0;
+let failed = 0;
+
+function assert(cond, msg) {
+    if (cond) {
+        passed++;
+        console.log("  PASS: " + msg);
+    } else {
+        failed++;
+        console.log("  FAIL: " + msg);
+    }
+}
+
+function assertEqual(actual, expected, msg) {
+    const a = JSON.stringify(actual);
+    const e = JSON.stringify(expected);
+    if (a === e) {
+        passed++;
+        console.log("  PASS: " + msg);
+    } else {
+        failed++;
+        console.log("  FAIL: " + msg + " — expected " + e + ", got " + a);
+    }
+}
+
+const numbered = (n) => Array.from({ length: n }, (_, i) => "line " + (i + 1));
+
+// ============================================================
+// Test Suite 1: cat -n format
+// ============================================================
+console.log("\n=== Suite 1: Numbering ===\n");
+
+assertEqual(formatFileLines(splitLines("a\n\tb\n\nc\n"), "/f"), "     1\ta\n     2\t\tb\n     3\t\n     4\tc",
+    "every line numbered, blank lines included, no notice for a whole file");
+assertEqual(splitLines("a\nb"), ["a", "b"], "no trailing newline");
+assertEqual(splitLines("a\nb\n"), ["a", "b"], "a trailing newline doesn't add a line");
+assertEqual(splitLines(""), [], "empty file has no lines");
+assertEqual(formatFileLines([], "/f"), "(/f is empty)", "empty file");
+assert(formatFileLines(numbered(1234567), "/f", { offset: 1234567 }).startsWith("1234567\tline 1234567"),
+    "7-digit line numbers widen the column like cat -n");
+
+// ============================================================
+// Test Suite 2: Default cap and paging
+// ============================================================
+console.log("\n=== Suite 2: Paging ===\n");
+
+{
+    const out = formatFileLines(numbered(2500), "/f").split("\n");
+    assertEqual(out.filter((l) => /^\s+\d+\t/.test(l)).length, 2000, "2000 lines by default");
+    assertEqual(out[out.length - 1], "... [showing lines 1-2000 of 2500; read again with offset=2001 to see more]",
+        "notice gives the total and the next offset");
+}
+
+{
+    const out = formatFileLines(numbered(2500), "/f", { offset: 2001 }).split("\n");
+    assertEqual(out[0], "  2001\tline 2001", "offset starts at that line number");
+    assertEqual(out[out.length - 1], "... [showing lines 2001-2500 of 2500]", "last page says where it is, without 'more'");
+}
+
+assertEqual(formatFileLines(numbered(10), "/f", { offset: 3, limit: 2 }),
+    "     3\tline 3\n     4\tline 4\n\n... [showing lines 3-4 of 10; read again with offset=5 to see more]", "offset + limit");
+assertEqual(formatFileLines(numbered(10), "/f", { offset: 11 }), "(/f has 10 lines; offset 11 is past the end)",
+    "offset past the end");
+assertEqual(formatFileLines(["line 5", "line 6"], "/f", { offset: 5, firstLine: 5, totalLines: 900 }),
+    "     5\tline 5\n     6\tline 6\n\n... [showing lines 5-6 of 900; read again with offset=7 to see more]",
+    "range reads number from firstLine and report the real total");
+
+// ============================================================
+// Test Suite 3: Long lines and output budget
+// ============================================================
+console.log("\n=== Suite 3: Long lines ===\n");
+
+{
+    const out = formatFileLines(["x".repeat(5000), "short"], "/f");
+    assertEqual(out, "     1\t" + "x".repeat(2000) + "... [line truncated, 3000 more characters]\n     2\tshort",
+        "lines over 2000 characters are clipped with a marker");
+}
+
+{
+    const wide = Array.from({ length: 200 }, () => "y".repeat(1999));
+    const out = formatFileLines(wide, "/f").split("\n");
+    const shown = out.filter((l) => /^\s+\d+\t/.test(l)).length;
+    assert(shown < 200 && shown >= 45, "very wide files stop early to stay within the output budget");
+    assertEqual(out[out.length - 1], `... [showing lines 1-${shown} of 200; read again with offset=${shown + 1} to see more]`,
+        "and say where to continue");
+}
+
+// ============================================================
+// Test Suite 4: Remote range reads
+// ============================================================
+console.log("\n=== Suite 4: Range reads ===\n");
+
+assertEqual(formatFileLines(["line 1000000", "line 1000001"], "/big.log", { offset: 1000000, limit: 2, firstLine: 1000000, moreAfter: true }),
+    "1000000\tline 1000000\n1000001\tline 1000001\n\n... [showing lines 1000000-1000001; read again with offset=1000002 to see more]",
+    "unknown total: the notice only gives the next offset");
+assertEqual(formatFileLines(["line 9", "line 10"], "/f", { offset: 9, limit: 5, firstLine: 9 }),
+    "     9\tline 9\n    10\tline 10\n\n... [showing lines 9-10 of 10]", "a range that reaches the end knows the total");
+assertEqual(formatFileLines([], "/f", { offset: 50, firstLine: 50 }), "(/f has fewer than 50 lines)",
+    "a range past the end");
+assertEqual(formatFileLines(["x".repeat(2000)], "/f", { offset: 7, firstLine: 7, lineLengths: new Map([[0, 123456]]) }),
+    "     7\t" + "x".repeat(2000) + "... [line truncated, 121456 more characters]\n\n... [showing lines 7-7 of 7]",
+    "lines clipped on the remote report their original length");
+
+// Stand-ins for the MCP server and zod: only the tool handlers matter here
+const schema = new Proxy(function() {}, { get: () => () => schema, apply: () => schema });
+const tools = {};
+const server = { tool: (name, description, shape, handler) => { tools[name] = handler; } };
+const handle = rt.registerTools(server, schema, { info() {}, warn() {}, error() {} }, null, null, null, "chan-read");
+
+(async () => {
+    // ============================================================
+    // Test Suite 5: readLineRange under the local sh
+    // ============================================================
+    console.log("\n=== Suite 5: readLineRange ===\n");
+
+    const log = path.join(tmp, "train log.txt");
+    const lines = numbered(5000);
+    lines[1000] = "z".repeat(10000); // line 1001
+    fs.writeFileSync(log, lines.join("\n") + "\n");
+
+    let range = await readLineRange(log, 1000, 3);
+    assertEqual([range.lines[0], range.lines[2], range.lines.length, range.moreAfter], ["line 1000", "line 1002", 3, true],
+        "exactly the requested lines, and more after them");
+    assertEqual([range.lines[1].length, range.lineLengths.get(1)], [8000, 10000], "a long line comes back clipped, with its real length");
+    assertEqual(range.binary, false, "text is not taken for binary");
+
+    range = await readLineRange(log, 4999, 5);
+    assertEqual([range.lines, range.moreAfter], [["line 4999", "line 5000"], false], "a range reaching the end stops there");
+    range = await readLineRange(log, 6000, 10);
+    assertEqual([range.lines, range.moreAfter], [[], false], "an offset past the end gives no lines");
+    range = await readLineRange(log, undefined, undefined);
+    assertEqual([range.lines.length, range.lines[0], range.moreAfter], [2000, "line 1", true], "no offset or limit: the first 2000 lines");
+    assertEqual(formatFileLines(range.lines, log, { firstLine: 1, moreAfter: range.moreAfter, lineLengths: range.lineLengths }).split("\n")[1000],
+        "  1001\t" + "z".repeat(2000) + "... [line truncated, 8000 more characters]", "and number and clip like a whole read");
+
+    const wide = path.join(tmp, "wide.txt");
+    fs.writeFileSync(wide, Array.from({ length: 100 }, () => "w".repeat(7999)).join("\n") + "\n");
+    range = await readLineRange(wide, 1, 100);
+    assert(range.lines.length < 100 && range.moreAfter, `fetching stops once the output budget is used (${range.lines.length} lines)`);
+
+    if (spawnSync("/bin/sh", ["-c", "command -v iconv"]).status === 0) {
+        const gbk = path.join(tmp, "gbk.txt");
+        fs.writeFileSync(gbk, Buffer.from("6c696e6520310ad6d0cec40a6c696e6520330a", "hex")); // "line 1\n中文\nline 3\n" in GBK
+        range = await readLineRange(gbk, 2, 1, undefined, "gbk");
+        assertEqual([range.lines, range.moreAfter], [["中文"], true], "a GBK file is converted to UTF-8 by iconv");
+    } else {
+        console.log("  SKIP: iconv not installed");
+    }
+
+    // ============================================================
+    // Test Suite 6: Size guard
+    // ============================================================
+    console.log("\n=== Suite 6: Size guard ===\n");
+
+    const mb = 1024 * 1024;
+    assertEqual(getReadMaxBytes(), 5 * mb, "5 MB by default");
+    config.remoteReadMaxSizeMB = 0;
+    assertEqual(getReadMaxBytes(), Infinity, "remoteReadMaxSizeMB: 0 turns the limit off");
+    config.remoteReadMaxSizeMB = "lots";
+    assertEqual(getReadMaxBytes(), 5 * mb, "a setting that isn't a number falls back to the default");
+    assert(tooLargeToReadMessage("/srv/a.log", 12 * mb, 5 * mb).startsWith("/srv/a.log is 12.0 MB, over the 5.0 MB limit"),
+        "the message gives the size and the limit");
+    assert(tooLargeToReadMessage("/srv/a.log", 12 * mb, 5 * mb).includes("offset and limit"), "and says to page with offset/limit");
+    assert(tooLargeToReadMessage("/srv/a.ipynb", 12 * mb, 5 * mb).includes("jq"), "or, for a notebook, to use jq");
+
+    const big = path.join(tmp, "big.log");
+    fs.writeFileSync(big, numbered(150000).map((line) => line.padEnd(12, ".")).join("\n") + "\n"); // about 2 MB
+    config.remoteReadMaxSizeMB = 1;
+    let result = await tools.read_file({ file_path: big }, {});
+    assert(result.isError && result.content[0].text.startsWith(`${big} is 1.9 MB, over the 1.0 MB limit`), "a file over the limit is not read whole");
+    result = await tools.read_file({ file_path: big, offset: 120000, limit: 2 }, {});
+    assertEqual(result.content[0].text,
+        "120000\tline 120000.\n120001\tline 120001.\n\n... [showing lines 120000-120001; read again with offset=120002 to see more]",
+        "but a range of it is, cut out on the remote");
+    config.remoteReadMaxSizeMB = 0;
+    result = await tools.read_file({ file_path: big }, {});
+    assert(!result.isError && result.content[0].text.endsWith("read again with offset=2001 to see more]"), "with the limit off it is read whole");
+
+    handle.dispose();
+    rt.dispose();
+    fs.rmSync(tmp, { recursive: true, force: true });
+
+    // ============================================================
+    // Summary
+    // ============================================================
+    console.log("\n========================================");
+    console.log("Results: " + passed + " passed, " + failed + " failed");
+    console.log("========================================\n");
+    process.exit(failed > 0 ? 1 : 0);
+})();
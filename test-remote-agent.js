@@ -0,0 +1,214 @@
+#!/usr/bin/env node
+/**
+ * Unit test: companion remote agent protocol
+ *
+ * Runs src/remote-agent.js locally (from a temp copy, since the agent deletes its
+ * own script) and drives it over stdio like the hidden terminal does:
+ *   - Is every notification an @@claude-agent@@ line carrying base64 JSON?
+ *   - Do exec requests produce started / output / exit in order, with exit codes?
+ *   - Does output keep multibyte characters split across chunks?
+ *   - Are requests split across writes, CR line ends and stray input handled?
+ *   - Does kill stop the command's whole process group?
+ *   - Is a missing cwd reported as such rather than as exit 127?
+ *
+ * Run: node test-remote-agent.js
+ */
+
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawn, execFileSync } = require("child_process");
+
+let passed = 0;
+let failed = 0;
+
+function assert(cond, msg) {
+    if (cond) {
+        passed++;
+        console.log("  PASS: " + msg);
+    } else {
+        failed++;
+        console.log("  FAIL: " + msg);
+    }
+}
+
+function assertEqual(actual, expected, msg) {
+    const a = JSON.stringify(actual);
+    const e = JSON.stringify(expected);
+    if (a === e) {
+        passed++;
+        console.log("  PASS: " + msg);
+    } else {
+        failed++;
+        console.log("  FAIL: " + msg + " — expected " + e + ", got " + a);
+    }
+}
+
+const PREFIX = "@@claude-agent@@";
+
+function encode(method, params) {
+    return Buffer.from(JSON.stringify({ method, params }), "utf8").toString("base64");
+}
+
+/**
+ * Start the agent; collects decoded notifications and lets tests wait for one.
+ */
+function startAgent(dir) {
+    const agentPath = path.join(dir, "agent.js");
+    fs.copyFileSync(path.join(__dirname, "src", "remote-agent.js"), agentPath);
+    const child = spawn(process.execPath, [agentPath], { stdio: ["pipe", "pipe", "inherit"] });
+    const agent = { child, agentPath, messages: [], badLines: [], waiters: [] };
+    let buffered = "";
+    child.stdout.setEncoding("utf8");
+    child.stdout.on("data", (data) => {
+        buffered += data;
+        const lines = buffered.split("\n");
+        buffered = lines.pop();
+        for (const line of lines) {
+            if (!line.startsWith(PREFIX)) {
+                agent.badLines.push(line);
+                continue;
+            }
+            agent.messages.push(JSON.parse(Buffer.from(line.slice(PREFIX.length), "base64").toString("utf8")));
+        }
+        agent.waiters = agent.waiters.filter((w) => !w());
+    });
+    // Resolves with the first message matching pred (already received or still to come)
+    agent.waitFor = (pred, timeoutMs = 10000) => new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error("timed out waiting for agent message")), timeoutMs);
+        const check = () => {
+            const msg = agent.messages.find(pred);
+            if (!msg) return false;
+            clearTimeout(timer);
+            resolve(msg);
+            return true;
+        };
+        if (!check()) agent.waiters.push(check);
+    });
+    agent.send = (method, params) => child.stdin.write(encode(method, params) + "\r");
+    // Run a command to completion; returns its messages in order
+    agent.run = async (id, command, cwd) => {
+        agent.send("exec", { id, command, cwd });
+        await agent.waitFor((m) => m.method === "exit" && m.params.id === id);
+        return agent.messages.filter((m) => m.params.id === id);
+    };
+    return agent;
+}
+
+const outputOf = (msgs, stream) => msgs.filter((m) => m.method === "output" && m.params.stream === stream).map((m) => m.params.data).join("");
+const exitOf = (msgs) => msgs.find((m) => m.method === "exit").params;
+
+// Processes left in a group, ignoring zombies (nothing may reap them in a container)
+function liveGroupMembers(pgid) {
+    let out = "";
+    try {
+        out = execFileSync("ps", ["-o", "pid=,stat=", "-g", String(pgid)], { encoding: "utf8" });
+    } catch (_) {
+        return []; // ps exits 1 when the group is empty
+    }
+    return out.split("\n").map((l) => l.trim()).filter((l) => l && !/\sZ/.test(l));
+}
+
+function isRunning(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (_) {
+        return false;
+    }
+}
+
+(async () => {
+    const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "claude-agent-test-"));
+    const agent = startAgent(tmp);
+
+    // ============================================================
+    // Test Suite 1: Startup
+    // ============================================================
+    console.log("\n=== Suite 1: Startup ===\n");
+
+    const ready = await agent.waitFor((m) => m.method === "ready");
+    assertEqual(ready.params.pid, agent.child.pid, "ready reports the agent's pid");
+    assert(typeof ready.params.version === "number", "ready reports a protocol version");
+    assert(!fs.existsSync(agent.agentPath), "the uploaded script deletes itself");
+
+    // ============================================================
+    // Test Suite 2: exec / output / exit
+    // ============================================================
+    console.log("\n=== Suite 2: exec ===\n");
+
+    let msgs = await agent.run("1", "echo out; echo err >&2; exit 3", tmp);
+    assertEqual(msgs.map((m) => m.method).filter((m, i, all) => all.indexOf(m) === i), ["started", "output", "exit"],
+        "started comes first and exit last");
+    assert(msgs[0].params.pid > 0, "started carries the process group id");
+    assertEqual([outputOf(msgs, "stdout"), outputOf(msgs, "stderr")], ["out\n", "err\n"], "stdout and stderr are kept apart");
+    assertEqual([exitOf(msgs).code, exitOf(msgs).signal, exitOf(msgs).escalated], [3, null, false], "exit code is reported");
+
+    msgs = await agent.run("2", "pwd", tmp);
+    assertEqual(outputOf(msgs, "stdout"), fs.realpathSync(tmp) + "\n", "cwd is honored");
+
+    // 中 is E4 B8 AD: send its bytes in two chunks
+    msgs = await agent.run("3", "printf '\\344\\270'; sleep 0.3; printf '\\255文字\\n'", tmp);
+    assertEqual(outputOf(msgs, "stdout"), "中文字\n", "multibyte characters split across chunks survive");
+
+    msgs = await agent.run("4", "definitely-not-a-command-xyz", tmp);
+    assertEqual(exitOf(msgs).code, 127, "a missing command exits 127");
+
+    // ============================================================
+    // Test Suite 3: Bad working directory
+    // ============================================================
+    console.log("\n=== Suite 3: Bad cwd ===\n");
+
+    msgs = await agent.run("5", "true", path.join(tmp, "missing"));
+    assertEqual(exitOf(msgs).code, 1, "a missing cwd is not reported as exit 127");
+    assertEqual(exitOf(msgs).error, "working directory does not exist: " + path.join(tmp, "missing"), "the error names the directory");
+    fs.writeFileSync(path.join(tmp, "file"), "");
+    msgs = await agent.run("6", "true", path.join(tmp, "file"));
+    assertEqual(exitOf(msgs).error, "working directory is not a directory: " + path.join(tmp, "file"), "a file as cwd is reported");
+
+    // ============================================================
+    // Test Suite 4: Input framing
+    // ============================================================
+    console.log("\n=== Suite 4: Input framing ===\n");
+
+    const line = encode("exec", { id: "7", command: "echo split", cwd: tmp });
+    agent.child.stdin.write("garbage that is not base64 json\n");
+    agent.child.stdin.write("\x1b[200~" + line.slice(0, 10));
+    await new Promise((r) => setTimeout(r, 100));
+    agent.child.stdin.write(line.slice(10) + "\x1b[201~\n");
+    msgs = await agent.waitFor((m) => m.method === "exit" && m.params.id === "7")
+        .then(() => agent.messages.filter((m) => m.params.id === "7"));
+    assertEqual(outputOf(msgs, "stdout"), "split\n", "a request split across writes, in bracketed paste, is run");
+    assertEqual(agent.badLines, [], "every stdout line is a framed notification");
+
+    // ============================================================
+    // Test Suite 5: kill
+    // ============================================================
+    console.log("\n=== Suite 5: kill ===\n");
+
+    agent.send("exec", { id: "8", command: "sleep 30 & sleep 30; wait", cwd: tmp });
+    const started = await agent.waitFor((m) => m.method === "started" && m.params.id === "8");
+    await new Promise((r) => setTimeout(r, 200));
+    agent.send("kill", { id: "8", signal: "SIGTERM", graceMs: 2000 });
+    const exit = await agent.waitFor((m) => m.method === "exit" && m.params.id === "8");
+    assertEqual([exit.params.signal, exit.params.escalated], ["SIGTERM", false], "SIGTERM stops the command without escalation");
+    await new Promise((r) => setTimeout(r, 200));
+    assertEqual(liveGroupMembers(started.params.pid), [], "the background sleep in the same process group is gone too");
+
+    agent.child.stdin.end();
+    const code = await new Promise((resolve) => agent.child.on("close", resolve));
+    assertEqual(code, 0, "the agent exits when its input closes");
+    assert(!isRunning(agent.child.pid), "no agent process is left behind");
+
+    fs.rmSync(tmp, { recursive: true, force: true });
+
+    // ============================================================
+    // Summary
+    // ============================================================
+    console.log("\n========================================");
+    console.log("Results: " + passed + " passed, " + failed + " failed");
+    console.log("========================================\n");
+    process.exit(failed > 0 ? 1 : 0);
+})();
@@ -0,0 +1,216 @@
+#!/usr/bin/env node
+/**
+ * Unit test: shell-agnostic remote command wrapping
+ *
+ * Tests shellDialect() and wrapForShell() from src/remote-tools.js:
+ *   - Which dialect is detected from a probed shell name?
+ *   - Does each login shell hand /bin/sh exactly the script we meant to run?
+ *
+ * A FakeTerminal parses what sendText() receives with the quoting rules of one
+ * login shell (posix, fish or csh) and echoes back the script /bin/sh would get.
+ * Shells installed on this machine are also run for real.
+ *
+ * Run: node test-remote-shell-dialects.js
+ */
+
+"use strict";
+
+const Module = require("module");
+const { execFileSync } = require("child_process");
+
+// remote-tools.js requires "vscode"; the functions under test don't touch it
+const _origLoad = Module._load;
+Module._load = function(request) {
+    if (request === "vscode") return {};
+    return _origLoad.apply(this, arguments);
+};
+const { shellDialect, wrapForShell } = require("./src/remote-tools");
+
+let passed = 0;
+let failed = 0;
+
+function assert(cond, msg) {
+    if (cond) {
+        passed++;
+        console.log("  PASS: " + msg);
+    } else {
+        failed++;
+        console.log("  FAIL: " + msg);
+    }
+}
+
+function assertEqual(actual, expected, msg) {
+    const a = JSON.stringify(actual);
+    const e = JSON.stringify(expected);
+    if (a === e) {
+        passed++;
+        console.log("  PASS: " + msg);
+    } else {
+        failed++;
+        console.log("  FAIL: " + msg + " — expected " + e + ", got " + a);
+    }
+}
+
+/**
+ * Split a command line into words the way the given login shell would.
+ * Only the subset of syntax wrapForShell() can produce is supported:
+ * words, single/double quotes, backslashes and "|".
+ */
+function tokenize(line, dialect) {
+    const words = [];
+    let word = null;
+    let i = 0;
+    const push = () => { if (word !== null) words.push(word); word = null; };
+
+    while (i < line.length) {
+        const c = line[i];
+        if (c === " " || c === "\t") { push(); i++; continue; }
+        if (c === "|") { push(); words.push("|"); i++; continue; }
+        if (c === "!" && dialect === "csh") throw new Error("csh: event not found");
+        if (c === "\n") throw new Error(dialect + ": unexpected newline");
+        word = word || "";
+
+        if (c === "'") {
+            i++;
+            while (line[i] !== "'") {
+                if (i >= line.length) throw new Error(dialect + ": unmatched '");
+                if (dialect === "csh" && line[i] === "\n") throw new Error("csh: Unmatched '.");
+                if (dialect === "csh" && line[i] === "!") throw new Error("csh: event not found");
+                if (dialect === "fish" && line[i] === "\\" && (line[i + 1] === "'" || line[i + 1] === "\\")) i++;
+                word += line[i++];
+            }
+            i++;
+        } else if (c === "\"") {
+            i++;
+            while (line[i] !== "\"") {
+                if (i >= line.length) throw new Error(dialect + ": unmatched \"");
+                if (line[i] === "$") throw new Error(dialect + ": unexpected expansion in double quotes");
+                if (line[i] === "\\" && "\"\\$".includes(line[i + 1])) i++;
+                word += line[i++];
+            }
+            i++;
+        } else if (c === "\\") {
+            word += line[i + 1];
+            i += 2;
+        } else if (c === "$" || c === "`" || c === ";" || c === "&" || c === ">" || c === "<") {
+            throw new Error(dialect + ": unexpected unquoted " + c);
+        } else {
+            word += c;
+            i++;
+        }
+    }
+    push();
+    return words;
+}
+
+class FakeTerminal {
+    constructor(dialect) {
+        this.dialect = dialect;
+        this.scripts = [];
+    }
+
+    // Echo back the script the login shell would pass to /bin/sh
+    sendText(text) {
+        const words = tokenize(text, this.dialect);
+        if (words.length === 3 && words[0] === "/bin/sh" && words[1] === "-c") {
+            this.scripts.push(words[2]);
+        } else if (words.length === 7 && words[0] === "echo" && words[2] === "|" &&
+            words[3] === "base64" && words[4] === "-d" && words[5] === "|" && words[6] === "/bin/sh") {
+            this.scripts.push(Buffer.from(words[1], "base64").toString("utf8"));
+        } else {
+            throw new Error("unrecognized command line: " + text);
+        }
+        return this.scripts[this.scripts.length - 1];
+    }
+}
+
+const SCRIPTS = [
+    "echo hello",
+    "cd '/srv/my project' || exit 1\n(\npython train.py --lr=1e-3 # comment\n) </dev/null",
+    "echo \"it's \\\"quoted\\\"\" 'single' $HOME `date` $(pwd)",
+    "printf '%s\\n' back\\\\slash 'trailing\\'",
+    "echo 'history!' && echo done; ls | wc -l",
+    "echo 中文 ünïcödé"
+];
+
+// ============================================================
+// Test Suite 1: shellDialect
+// ============================================================
+console.log("\n=== Suite 1: shellDialect ===\n");
+
+assertEqual(shellDialect("bash\n"), "posix", "bash → posix");
+assertEqual(shellDialect("-zsh"), "posix", "login zsh (-zsh) → posix");
+assertEqual(shellDialect("/bin/dash"), "posix", "/bin/dash → posix");
+assertEqual(shellDialect("/usr/bin/fish"), "fish", "/usr/bin/fish → fish");
+assertEqual(shellDialect("tcsh"), "csh", "tcsh → csh");
+assertEqual(shellDialect("-csh"), "csh", "login csh → csh");
+assertEqual(shellDialect("nu"), "unknown", "nushell → unknown");
+assertEqual(shellDialect(""), "unknown", "failed probe → unknown");
+
+// ============================================================
+// Test Suite 2: FakeTerminal round trip per dialect
+// ============================================================
+console.log("\n=== Suite 2: FakeTerminal echoes the original script ===\n");
+
+for (const dialect of ["posix", "fish", "csh", "unknown"]) {
+    const terminalDialect = dialect === "unknown" ? "csh" : dialect; // unknown must survive the strictest parser
+    const terminal = new FakeTerminal(terminalDialect);
+    SCRIPTS.forEach((script, n) => {
+        let echoed;
+        try {
+            echoed = terminal.sendText(wrapForShell(script, dialect));
+        } catch (err) {
+            echoed = "ERROR: " + err.message;
+        }
+        assertEqual(echoed, script, `${dialect} wrapper through ${terminalDialect} terminal: script #${n + 1}`);
+    });
+}
+
+// ============================================================
+// Test Suite 3: Wrong dialect is caught by the fake terminal
+// ============================================================
+console.log("\n=== Suite 3: Posix quoting breaks under fish/csh ===\n");
+
+const tricky = "printf '%s\\n' back\\\\slash 'trailing\\'";
+let fishEcho;
+try { fishEcho = new FakeTerminal("fish").sendText(wrapForShell(tricky, "posix")); } catch (err) { fishEcho = null; }
+assert(fishEcho !== tricky, "posix quoting of backslashes is mangled by fish (why fish needs its own escaping)");
+
+let cshError = null;
+try { new FakeTerminal("csh").sendText(wrapForShell("echo a\necho b", "posix")); } catch (err) { cshError = err.message; }
+assert(cshError !== null, "posix quoting with newlines is rejected by csh (why csh gets the base64 pipe)");
+
+// ============================================================
+// Test Suite 4: Real shells available on this machine
+// ============================================================
+console.log("\n=== Suite 4: Real shells ===\n");
+
+const REAL_SHELLS = { bash: "posix", dash: "posix", zsh: "posix", fish: "fish", tcsh: "csh" };
+for (const [shell, dialect] of Object.entries(REAL_SHELLS)) {
+    let available = true;
+    try { execFileSync("sh", ["-c", `command -v ${shell}`], { stdio: "ignore" }); } catch (_) { available = false; }
+    if (!available) {
+        console.log(`  SKIP: ${shell} not installed`);
+        continue;
+    }
+    for (const script of [SCRIPTS[2], SCRIPTS[3], SCRIPTS[4]]) {
+        const expected = execFileSync("/bin/sh", ["-c", script], { encoding: "utf8" });
+        for (const d of [dialect, "unknown"]) {
+            let out;
+            try {
+                out = execFileSync(shell, ["-c", wrapForShell(script, d)], { encoding: "utf8" });
+            } catch (err) {
+                out = "ERROR: " + err.message;
+            }
+            assertEqual(out, expected, `${shell} runs ${d}-wrapped script: ${JSON.stringify(script).slice(0, 40)}`);
+        }
+    }
+}
+
+// ============================================================
+// Summary
+// ============================================================
+console.log("\n========================================");
+console.log("Results: " + passed + " passed, " + failed + " failed");
+console.log("========================================\n");
+process.exit(failed > 0 ? 1 : 0);
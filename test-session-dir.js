@@ -0,0 +1,198 @@
+#!/usr/bin/env node
+/**
+ * Unit test: private remote session directory
+ *
+ * Tests buildSessionDirScript() and getSessionDir() from src/remote-tools.js,
+ * running the setup script under the local /bin/sh:
+ *   - Is the directory created 0700 under $XDG_RUNTIME_DIR, else ~/.cache, else $TMPDIR?
+ *   - Are other sessions' directories swept only once their heartbeat is a day old?
+ *   - Does the heartbeat mark the directory, and is a new one made once it can't be written?
+ *
+ * The hidden setup terminal is faked: sendText() runs what it is given with sh.
+ *
+ * Run: node test-session-dir.js
+ */
+
+"use strict";
+
+const Module = require("module");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawnSync } = require("child_process");
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "claude-session-test-"));
+const env = { PATH: process.env.PATH };
+let failWrites = false;
+
+const vscodeStub = {
+    env: { remoteAuthority: "ssh-remote+testhost" },
+    Uri: { parse: (str) => ({ path: str.replace(/^vscode-remote:\/\/[^/]+/, "") }) },
+    window: {
+        createTerminal: () => ({
+            sendText: (text) => spawnSync("/bin/sh", ["-c", text], { env }),
+            dispose() {}
+        })
+    },
+    workspace: {
+        workspaceFolders: [{ uri: { path: "/srv" } }],
+        getConfiguration: () => ({ get: (key, fallback) => fallback }),
+        fs: {
+            readFile: async (uri) => fs.readFileSync(uri.path),
+            writeFile: async (uri, data) => {
+                if (failWrites) throw new Error("no such directory");
+                fs.writeFileSync(uri.path, data);
+            },
+            delete: async (uri) => fs.unlinkSync(uri.path)
+        }
+    }
+};
+const _origLoad = Module._load;
+Module._load = function(request) {
+    if (request === "vscode") return vscodeStub;
+    return _origLoad.apply(this, arguments);
+};
+const rt = require("./src/remote-tools");
+
+let passed = 0;
+let failed = 0;
+
+function assert(cond, msg) {
+    if (cond) {
+        passed++;
+        console.log("  PASS: " + msg);
+    } else {
+        failed++;
+        console.log("  FAIL: " + msg);
+    }
+}
+
+function assertEqual(actual, expected, msg) {
+    const a = JSON.stringify(actual);
+    const e = JSON.stringify(expected);
+    if (a === e) {
+        passed++;
+        console.log("  PASS: " + msg);
+    } else {
+        failed++;
+        console.log("  FAIL: " + msg + " — expected " + e + ", got " + a);
+    }
+}
+
+// Run the setup script with the given environment; returns the last line it printed
+function runScript(vars) {
+    const result = spawnSync("/bin/sh", ["-c", rt.buildSessionDirScript()], { env: { PATH: process.env.PATH, ...vars }, encoding: "utf8" });
+    return result.stdout.trim().split("\n").pop();
+}
+
+function mkdirs(...dirs) {
+    for (const dir of dirs) fs.mkdirSync(dir, { recursive: true });
+}
+
+const DAY = 24 * 60 * 60;
+function age(file, seconds) {
+    const t = Date.now() / 1000 - seconds;
+    fs.utimesSync(file, t, t);
+}
+
+const mode = (p) => fs.statSync(p).mode & 0o777;
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+(async () => {
+    // ============================================================
+    // Test Suite 1: Where the directory goes
+    // ============================================================
+    console.log("\n=== Suite 1: Location ===\n");
+
+    const runtime = path.join(tmp, "run");
+    const home = path.join(tmp, "home");
+    const tmpdir = path.join(tmp, "tmpdir");
+    mkdirs(runtime, home, tmpdir);
+
+    let dir = runScript({ XDG_RUNTIME_DIR: runtime, HOME: home, TMPDIR: tmpdir });
+    assert(dir.startsWith(runtime + "/claude-remote."), "uses $XDG_RUNTIME_DIR first (" + dir + ")");
+    assertEqual(mode(dir), 0o700, "directory is private (0700)");
+
+    dir = runScript({ XDG_RUNTIME_DIR: "", HOME: home, TMPDIR: tmpdir });
+    assert(dir.startsWith(path.join(home, ".cache") + "/claude-remote."), "falls back to ~/.cache");
+
+    fs.chmodSync(runtime, 0o500);
+    const readOnly = spawnSync("sh", ["-c", `[ -w '${runtime}' ]`]).status !== 0; // root can write anyway
+    if (readOnly) {
+        dir = runScript({ XDG_RUNTIME_DIR: runtime, HOME: home, TMPDIR: tmpdir });
+        assert(dir.startsWith(path.join(home, ".cache") + "/claude-remote."), "skips an unwritable $XDG_RUNTIME_DIR");
+    } else {
+        console.log("  SKIP: running as root, unwritable directories can't be tested");
+    }
+    fs.chmodSync(runtime, 0o700);
+
+    const homeFile = path.join(tmp, "home-is-a-file"); // ~/.cache can't be made, even as root
+    fs.writeFileSync(homeFile, "");
+    dir = runScript({ HOME: homeFile, TMPDIR: tmpdir });
+    assert(dir.startsWith(tmpdir + "/claude-remote."), "falls back to $TMPDIR");
+
+    // ============================================================
+    // Test Suite 2: Sweeping crashed sessions
+    // ============================================================
+    console.log("\n=== Suite 2: Sweep ===\n");
+
+    const base = path.join(tmp, "sweep");
+    const stale = path.join(base, "claude-remote.stale");
+    const fresh = path.join(base, "claude-remote.fresh");
+    const oldButBeating = path.join(base, "claude-remote.beating");
+    const newNoBeat = path.join(base, "claude-remote.starting");
+    const other = path.join(base, "unrelated");
+    mkdirs(stale, fresh, oldButBeating, newNoBeat, other);
+    fs.writeFileSync(path.join(stale, "alive"), "");
+    fs.writeFileSync(path.join(fresh, "alive"), "");
+    fs.writeFileSync(path.join(oldButBeating, "alive"), "");
+    age(path.join(stale, "alive"), 2 * DAY);
+    age(stale, 2 * DAY);
+    age(oldButBeating, 2 * DAY);
+    age(other, 2 * DAY);
+
+    dir = runScript({ XDG_RUNTIME_DIR: base });
+    assert(!fs.existsSync(stale), "a directory whose heartbeat is two days old is removed");
+    assert(fs.existsSync(fresh), "a directory with a recent heartbeat is kept");
+    assert(fs.existsSync(oldButBeating), "an old directory that is still beating is kept");
+    assert(fs.existsSync(newNoBeat), "a new directory without a heartbeat yet is kept");
+    assert(fs.existsSync(other), "unrelated directories are left alone");
+    assert(fs.existsSync(dir), "the new directory is created after the sweep");
+
+    // ============================================================
+    // Test Suite 3: getSessionDir and the heartbeat
+    // ============================================================
+    console.log("\n=== Suite 3: Heartbeat ===\n");
+
+    env.XDG_RUNTIME_DIR = path.join(tmp, "session");
+    mkdirs(env.XDG_RUNTIME_DIR);
+    const first = await rt.getSessionDir();
+    assert(first.startsWith(env.XDG_RUNTIME_DIR + "/claude-remote."), "getSessionDir creates the directory through the setup terminal");
+    assertEqual(await rt.getSessionDir(), first, "the directory is shared by later calls");
+    await sleep(50);
+    assert(fs.existsSync(path.join(first, "alive")), "the heartbeat writes <dir>/alive");
+
+    rt.dispose();
+
+    // The directory was wiped (the heartbeat can't be written): the next command makes a new one.
+    // A fresh copy of the module starts without a cached directory.
+    delete require.cache[require.resolve("./src/remote-tools")];
+    const rt2 = require("./src/remote-tools");
+    failWrites = true;
+    const wiped = await rt2.getSessionDir();
+    await sleep(50);
+    failWrites = false;
+    const replacement = await rt2.getSessionDir();
+    assert(replacement !== wiped && fs.existsSync(replacement), "a failed heartbeat makes the next call create a new directory");
+    rt2.dispose();
+
+    fs.rmSync(tmp, { recursive: true, force: true });
+
+    // ============================================================
+    // Summary
+    // ============================================================
+    console.log("\n========================================");
+    console.log("Results: " + passed + " passed, " + failed + " failed");
+    console.log("========================================\n");
+    process.exit(failed > 0 ? 1 : 0);
+})();
@@ -0,0 +1,151 @@
+#!/usr/bin/env node
+/**
+ * Unit test: persistent shell sessions
+ *
+ * Tests buildSessionCommand() / takeSessionCwd() / createCwdMarkerFilter() from
+ * src/remote-tools.js by running the built commands under the local bash:
+ *   - Do cd, exports, functions and aliases carry over to the next command?
+ *   - Does quoting survive commands and paths with quotes, spaces and $?
+ *   - Does reset discard the saved state, and do background commands leave it alone?
+ *   - Is the cwd marker stripped from final and streamed output?
+ *
+ * Run: node test-shell-session.js
+ */
+
+"use strict";
+
+const Module = require("module");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawnSync } = require("child_process");
+
+// remote-tools.js requires "vscode"; the functions under test don't touch it
+const _origLoad = Module._load;
+Module._load = function(request) {
+    if (request === "vscode") return {};
+    return _origLoad.apply(this, arguments);
+};
+const { createShellSession, buildSessionCommand, takeSessionCwd, createCwdMarkerFilter } = require("./src/remote-tools");
+
+let passed = 0;
+let failed = 0;
+
+function assert(cond, msg) {
+    if (cond) {
+        passed++;
+        console.log("  PASS: " + msg);
+    } else {
+        failed++;
+        console.log("  FAIL: " + msg);
+    }
+}
+
+function assertEqual(actual, expected, msg) {
+    const a = JSON.stringify(actual);
+    const e = JSON.stringify(expected);
+    if (a === e) {
+        passed++;
+        console.log("  PASS: " + msg);
+    } else {
+        failed++;
+        console.log("  FAIL: " + msg + " — expected " + e + ", got " + a);
+    }
+}
+
+// The session directory's name has spaces and quotes to exercise the quoting
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "claude shell 'test' "));
+const work = path.join(tmp, "work dir");
+fs.mkdirSync(path.join(work, "sub $dir"), { recursive: true });
+
+// Run a command the way the bash tool does: the built line goes to /bin/sh, starting in the workspace root
+function run(session, command, opts = {}) {
+    const line = buildSessionCommand(session, command, opts.cwd || null, opts);
+    const result = spawnSync("/bin/sh", ["-c", line], { cwd: work, encoding: "utf8" });
+    return { stdout: takeSessionCwd(session, result.stdout), stderr: result.stderr, exitCode: result.status };
+}
+
+function newSession() {
+    const session = createShellSession();
+    session.statePath = path.join(tmp, session.name);
+    return session;
+}
+
+if (spawnSync("bash", ["-c", "true"]).status !== 0) {
+    console.log("\n  SKIP: bash not installed (suites 1-2)");
+} else {
+    // ============================================================
+    // Test Suite 1: State carries over
+    // ============================================================
+    console.log("\n=== Suite 1: State carries over ===\n");
+
+    const session = newSession();
+    let r = run(session, "cd 'sub $dir' && export GREETING=\"it's \\\"quoted\\\"\" && greet() { echo \"hi $1\"; } && alias ll='echo listed'");
+    assertEqual(r.exitCode, 0, "setup command succeeds");
+    assertEqual(session.cwd, path.join(work, "sub $dir"), "cwd is reported through the marker");
+    assertEqual(r.stdout, "", "the marker is stripped from stdout");
+    assert(fs.statSync(session.statePath).mode % 0o1000 === 0o600, "state file is private (0600)");
+
+    r = run(session, "pwd; echo \"$GREETING\"; greet there; ll");
+    assertEqual(r.stdout, [path.join(work, "sub $dir"), "it's \"quoted\"", "hi there", "listed", ""].join("\n"),
+        "cwd, exports, functions and aliases persist");
+
+    r = run(session, "cd ..; false");
+    assertEqual(r.exitCode, 1, "the command's exit code is kept");
+    assertEqual(session.cwd, work, "state is saved even when the command fails");
+
+    r = run(session, "pwd", { cwd: path.join(work, "sub $dir") });
+    assertEqual(r.stdout, path.join(work, "sub $dir") + "\n", "an explicit cwd overrides the saved one");
+
+    r = run(session, "echo 'single' \"double\" $((1 + 2)) `echo back`");
+    assertEqual(r.stdout, "single double 3 back\n", "quotes, arithmetic and backticks reach bash intact");
+
+    // ============================================================
+    // Test Suite 2: Reset and background commands
+    // ============================================================
+    console.log("\n=== Suite 2: Reset and background ===\n");
+
+    run(session, "export ONLY_IN_BACKGROUND=1; cd /", { persist: false });
+    r = run(session, "pwd; echo \"[$ONLY_IN_BACKGROUND]\"");
+    assertEqual(r.stdout, path.join(work, "sub $dir") + "\n[]\n", "background commands don't save state");
+
+    r = run(session, "pwd; echo \"[$GREETING]\"", { reset: true });
+    assertEqual(r.stdout, work + "\n[]\n", "reset starts from the workspace root without exports");
+    r = run(session, "type greet >/dev/null 2>&1 && echo kept || echo gone");
+    assertEqual(r.stdout, "gone\n", "reset also drops functions");
+
+    const other = newSession();
+    r = run(other, "echo \"[$GREETING]\"");
+    assertEqual(r.stdout, "[]\n", "sessions don't share state");
+}
+
+// ============================================================
+// Test Suite 3: Marker handling
+// ============================================================
+console.log("\n=== Suite 3: Marker handling ===\n");
+
+const session = newSession();
+assertEqual(takeSessionCwd(session, "out\n\n@@claude-cwd@@/srv/a b\n"), "out\n", "takeSessionCwd strips the marker line");
+assertEqual(session.cwd, "/srv/a b", "takeSessionCwd records the cwd");
+assertEqual(takeSessionCwd(session, "no marker\n"), "no marker\n", "output without a marker is untouched");
+assertEqual(session.cwd, "/srv/a b", "cwd is kept when no marker is printed");
+
+function stream(chunks) {
+    const filter = createCwdMarkerFilter();
+    return chunks.map(filter);
+}
+assertEqual(stream(["a\nb\n", "\n@@claude-cwd@@/x\n"]), ["a\nb", "\n"], "marker in its own chunk is dropped");
+assertEqual(stream(["out\n\n@@claude-", "cwd@@/x\n"]), ["out\n", ""], "marker split across chunks is dropped");
+assertEqual(stream(["out\n\n@", "@", "claude-cwd@@/x", "y\n"]), ["out\n", "", "", ""], "marker split into many chunks is dropped");
+assertEqual(stream(["price: @", "@5\n", "more"]), ["price: ", "@@5", "\nmore"], "text that only looks like the marker's start is passed on");
+assertEqual(stream(["x\n\n@@claude-cwd@@/x\n", "late"]), ["x\n", ""], "nothing is passed on after the marker");
+
+fs.rmSync(tmp, { recursive: true, force: true });
+
+// ============================================================
+// Summary
+// ============================================================
+console.log("\n========================================");
+console.log("Results: " + passed + " passed, " + failed + " failed");
+console.log("========================================\n");
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,166 @@
+#!/usr/bin/env node
+/**
+ * Unit test: shared SSH connections (ControlMaster)
+ *
+ * Tests getSshControlPath() and buildSshArgs() from src/remote-tools.js against a
+ * fake `ssh` put first on PATH, which logs its arguments and plays the master:
+ *   - Are clients told to use the master's socket, and never to become masters?
+ *   - Is one master started per host and reused by later commands?
+ *   - Is a dead master replaced, and a failed start followed by direct connections?
+ *   - Are sockets left by crashed windows swept, and the master stopped on dispose?
+ *
+ * Run: node test-ssh-control-master.js
+ */
+
+"use strict";
+
+const Module = require("module");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// ~/.claude/remote holds the sockets: point HOME at a temp dir before loading the module
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "claude-cm-test-"));
+process.env.HOME = tmp;
+const controlDir = path.join(tmp, ".claude", "remote");
+const logFile = path.join(tmp, "ssh.log");
+process.env.FAKE_SSH_LOG = logFile;
+
+// Fake ssh: -G resolves %C, -M creates the socket and stays up, -O check looks for the socket
+const binDir = path.join(tmp, "bin");
+fs.mkdirSync(binDir);
+fs.writeFileSync(path.join(binDir, "ssh"), [
+    "#!/bin/sh",
+    "printf '%s\\n' \"$*\" >> \"$FAKE_SSH_LOG\"",
+    "cp=$(printf '%s\\n' \"$@\" | sed -n 's/^ControlPath=//p' | head -n 1 | sed 's/%C/c0ffee/')",
+    "case \" $* \" in",
+    "  *\" -G \"*) echo \"controlpath $cp\"; exit 0 ;;",
+    "  *\" -O check \"*) [ -e \"$cp\" ] && exit 0; exit 255 ;;",
+    "  *\" -M \"*)",
+    "    if [ -n \"$FAKE_SSH_FAIL\" ]; then echo 'Permission denied (publickey).' >&2; exit 255; fi",
+    "    trap 'rm -f \"$cp\"; exit 0' TERM",
+    "    : > \"$cp\"; echo $$ > \"$FAKE_SSH_LOG.master\"",
+    "    while :; do sleep 0.1; done ;;",
+    "esac",
+    "exit 0"
+].join("\n") + "\n", { mode: 0o755 });
+process.env.PATH = binDir + path.delimiter + process.env.PATH;
+
+const vscodeStub = {
+    workspace: {
+        getConfiguration: () => ({ get: (key, def) => def })
+    }
+};
+const _origLoad = Module._load;
+Module._load = function(request) {
+    if (request === "vscode") return vscodeStub;
+    return _origLoad.apply(this, arguments);
+};
+const rt = require("./src/remote-tools");
+
+let passed = 0;
+let failed = 0;
+
+function assert(cond, msg) {
+    if (cond) {
+        passed++;
+        console.log("  PASS: " + msg);
+    } else {
+        failed++;
+        console.log("  FAIL: " + msg);
+    }
+}
+
+function assertEqual(actual, expected, msg) {
+    const a = JSON.stringify(actual);
+    const e = JSON.stringify(expected);
+    if (a === e) {
+        passed++;
+        console.log("  PASS: " + msg);
+    } else {
+        failed++;
+        console.log("  FAIL: " + msg + " — expected " + e + ", got " + a);
+    }
+}
+
+function buildArgsHas(args, value) {
+    return args.some((arg) => arg.includes(value));
+}
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+const loggedCalls = () => fs.existsSync(logFile) ? fs.readFileSync(logFile, "utf8").trim().split("\n") : [];
+const masterStarts = () => loggedCalls().filter((line) => / -M /.test(" " + line + " "));
+
+(async () => {
+    // ============================================================
+    // Test Suite 1: Client arguments
+    // ============================================================
+    console.log("\n=== Suite 1: buildSshArgs ===\n");
+
+    assert(!buildArgsHas(rt.buildSshArgs("h"), "ControlPath"), "no control path → a plain connection");
+    const clientArgs = rt.buildSshArgs("h", "/sock/cm-1-abc");
+    assert(buildArgsHas(clientArgs, "ControlMaster=no"), "clients never become masters themselves");
+    assert(buildArgsHas(clientArgs, "ControlPath=/sock/cm-1-abc"), "clients use the master's socket");
+    assertEqual(clientArgs.slice(-2), ["--", "h"], "host stays last");
+    assert(clientArgs.indexOf("StrictHostKeyChecking=yes") < clientArgs.indexOf("ControlMaster=no"),
+        "strict host key checking still comes first");
+
+    // ============================================================
+    // Test Suite 2: One master per host, reused
+    // ============================================================
+    console.log("\n=== Suite 2: Reuse ===\n");
+
+    // Sockets of a crashed window (dead pid) and of a live one (our parent)
+    fs.mkdirSync(controlDir, { recursive: true });
+    const deadSocket = path.join(controlDir, "cm-999999999-dead");
+    const liveSocket = path.join(controlDir, `cm-${process.ppid}-live`);
+    fs.writeFileSync(deadSocket, "");
+    fs.writeFileSync(liveSocket, "");
+
+    const [p1, p2] = await Promise.all([rt.getSshControlPath("gpu01"), rt.getSshControlPath("gpu01")]);
+    const expected = path.join(controlDir, `cm-${process.pid}-c0ffee`);
+    assertEqual(p1, expected, "the socket is named after our pid and resolved %C");
+    assertEqual(p2, p1, "concurrent callers share the starting master");
+    assert(fs.existsSync(p1), "the master's socket exists");
+    assertEqual(await rt.getSshControlPath("gpu01"), p1, "later commands reuse the master");
+    assertEqual(masterStarts().length, 1, "only one master was started");
+    const masterLine = masterStarts()[0];
+    assert(/ControlMaster=yes/.test(masterLine) && /ControlPersist=no/.test(masterLine) && / -N /.test(masterLine),
+        "the master runs -N with ControlMaster=yes and ControlPersist=no");
+    assert(/StrictHostKeyChecking=yes/.test(masterLine), "the master checks host keys too");
+    assert(!fs.existsSync(deadSocket), "a crashed window's socket is swept");
+    assert(fs.existsSync(liveSocket), "another live window's socket is kept");
+
+    // ============================================================
+    // Test Suite 3: Dead master, failed start, dispose
+    // ============================================================
+    console.log("\n=== Suite 3: Failures ===\n");
+
+    // The master goes away (network drop): its exit handler forgets it, the next command starts another
+    process.kill(Number(fs.readFileSync(logFile + ".master", "utf8")), "SIGTERM");
+    await sleep(300);
+    const p3 = await rt.getSshControlPath("gpu01");
+    assertEqual(p3, p1, "a new master is started on the same path");
+    assertEqual(masterStarts().length, 2, "the dead master was replaced");
+
+    process.env.FAKE_SSH_FAIL = "1";
+    assertEqual(await rt.getSshControlPath("gpu02"), null, "a failed start falls back to a direct connection");
+    const starts = masterStarts().length;
+    assertEqual(await rt.getSshControlPath("gpu02"), null, "the host keeps connecting directly for a while");
+    assertEqual(masterStarts().length, starts, "no new master is tried during the retry delay");
+    delete process.env.FAKE_SSH_FAIL;
+
+    rt.dispose();
+    await sleep(300);
+    assert(!fs.existsSync(p3), "dispose stops the master and its socket is removed");
+
+    fs.rmSync(tmp, { recursive: true, force: true });
+
+    // ============================================================
+    // Summary
+    // ============================================================
+    console.log("\n========================================");
+    console.log("Results: " + passed + " passed, " + failed + " failed");
+    console.log("========================================\n");
+    process.exit(failed > 0 ? 1 : 0);
+})();
@@ -0,0 +1,176 @@
+#!/usr/bin/env node
+/**
+ * Unit test: SSH host key verification helpers
+ *
+ * Tests the known_hosts handling in src/remote-tools.js against the local OpenSSH tools:
+ *   - Which name is a host looked up by (port, HostKeyAlias)?
+ *   - Do our fingerprints match `ssh-keygen -l`?
+ *   - Can `ssh-keygen -F` find the lines we append, plain and hashed?
+ *   - Does StrictHostKeyChecking=yes win over sshExtraArgs and the config file?
+ *
+ * Suites needing ssh / ssh-keygen are skipped when they are not installed.
+ *
+ * Run: node test-ssh-host-keys.js
+ */
+
+"use strict";
+
+const Module = require("module");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execFileSync } = require("child_process");
+
+// Settings seen by remote-tools.js through the vscode stub
+const settings = {
+    "claudeCode.sshIdentityFile": "",
+    "claudeCode.sshExtraArgs": [],
+    "remote.SSH.configFile": ""
+};
+const vscodeStub = {
+    workspace: {
+        getConfiguration: (section) => ({
+            get: (key, def) => (section + "." + key) in settings ? settings[section + "." + key] : def
+        })
+    }
+};
+const _origLoad = Module._load;
+Module._load = function(request) {
+    if (request === "vscode") return vscodeStub;
+    return _origLoad.apply(this, arguments);
+};
+const { buildSshArgs, hostKeyFingerprint, formatKnownHostsLine, knownHostsName } = require("./src/remote-tools");
+
+let passed = 0;
+let failed = 0;
+
+function assert(cond, msg) {
+    if (cond) {
+        passed++;
+        console.log("  PASS: " + msg);
+    } else {
+        failed++;
+        console.log("  FAIL: " + msg);
+    }
+}
+
+function assertEqual(actual, expected, msg) {
+    const a = JSON.stringify(actual);
+    const e = JSON.stringify(expected);
+    if (a === e) {
+        passed++;
+        console.log("  PASS: " + msg);
+    } else {
+        failed++;
+        console.log("  FAIL: " + msg + " — expected " + e + ", got " + a);
+    }
+}
+
+function hasCommand(name) {
+    try {
+        execFileSync("sh", ["-c", `command -v ${name}`], { stdio: "ignore" });
+        return true;
+    } catch (_) {
+        return false;
+    }
+}
+
+// ssh-keygen -F exits 1 when the host isn't found
+function findHost(name, file) {
+    try {
+        return execFileSync("ssh-keygen", ["-F", name, "-f", file], { encoding: "utf8", stdio: ["ignore", "pipe", "ignore"] }).trim() !== "";
+    } catch (_) {
+        return false;
+    }
+}
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "claude-hostkey-test-"));
+
+// ============================================================
+// Test Suite 1: knownHostsName
+// ============================================================
+console.log("\n=== Suite 1: knownHostsName ===\n");
+
+assertEqual(knownHostsName({ hostname: "10.1.2.3", port: "22" }), "10.1.2.3", "default port → bare host name");
+assertEqual(knownHostsName({ hostname: "gpu01.example.org" }), "gpu01.example.org", "missing port means 22");
+assertEqual(knownHostsName({ hostname: "10.1.2.3", port: "2222" }), "[10.1.2.3]:2222", "other ports → [host]:port");
+assertEqual(knownHostsName({ hostname: "10.1.2.3", port: "2222", hostkeyalias: "cluster" }), "cluster", "HostKeyAlias wins");
+
+if (!hasCommand("ssh-keygen")) {
+    console.log("\n  SKIP: ssh-keygen not installed (suites 2-3)");
+} else {
+    // ============================================================
+    // Test Suite 2: hostKeyFingerprint matches ssh-keygen -l
+    // ============================================================
+    console.log("\n=== Suite 2: Fingerprints ===\n");
+
+    const keys = [];
+    for (const type of ["ed25519", "ecdsa", "rsa"]) {
+        const keyFile = path.join(tmp, "key_" + type);
+        const extra = type === "rsa" ? ["-b", "2048"] : [];
+        execFileSync("ssh-keygen", ["-q", "-t", type, ...extra, "-N", "", "-f", keyFile], { stdio: "ignore" });
+        const [keyType, key] = fs.readFileSync(keyFile + ".pub", "utf8").trim().split(/\s+/);
+        const expected = execFileSync("ssh-keygen", ["-l", "-E", "sha256", "-f", keyFile + ".pub"], { encoding: "utf8" }).split(/\s+/)[1];
+        assertEqual(hostKeyFingerprint(key), expected, `${type} fingerprint matches ssh-keygen`);
+        keys.push({ keyType, key });
+    }
+
+    // ============================================================
+    // Test Suite 3: known_hosts lines are found by ssh-keygen -F
+    // ============================================================
+    console.log("\n=== Suite 3: known_hosts lines ===\n");
+
+    const { keyType, key } = keys[0];
+    const plainFile = path.join(tmp, "known_hosts_plain");
+    fs.writeFileSync(plainFile, formatKnownHostsLine("gpu01.example.org", keyType, key, false) + "\n" +
+        formatKnownHostsLine("[10.1.2.3]:2222", keyType, key, false) + "\n");
+    assert(findHost("gpu01.example.org", plainFile), "plain entry is found");
+    assert(findHost("[10.1.2.3]:2222", plainFile), "plain [host]:port entry is found");
+    assert(!findHost("10.1.2.3", plainFile), "same host on port 22 is a different entry");
+
+    const hashedFile = path.join(tmp, "known_hosts_hashed");
+    const hashedLine = formatKnownHostsLine("[10.1.2.3]:2222", keyType, key, true);
+    fs.writeFileSync(hashedFile, hashedLine + "\n");
+    assert(hashedLine.startsWith("|1|") && !hashedLine.includes("10.1.2.3"), "hashed entry hides the host name");
+    assert(findHost("[10.1.2.3]:2222", hashedFile), "hashed entry is found by ssh-keygen -F");
+    assert(!findHost("[10.1.2.4]:2222", hashedFile), "hashed entry doesn't match another host");
+    assert(formatKnownHostsLine("h", keyType, key, true) !== formatKnownHostsLine("h", keyType, key, true),
+        "each hashed entry gets a fresh salt");
+}
+
+// ============================================================
+// Test Suite 4: StrictHostKeyChecking can't be switched off
+// ============================================================
+console.log("\n=== Suite 4: buildSshArgs ===\n");
+
+const args = buildSshArgs("myhost");
+assertEqual(args.slice(-2), ["--", "myhost"], "host comes last, after --");
+assert(!args.includes("StrictHostKeyChecking=no"), "never passes StrictHostKeyChecking=no");
+
+if (!hasCommand("ssh")) {
+    console.log("  SKIP: ssh not installed");
+} else {
+    const configFile = path.join(tmp, "ssh_config");
+    fs.writeFileSync(configFile, "Host myhost\n  HostName 10.1.2.3\n  Port 2222\n  StrictHostKeyChecking no\n  UserKnownHostsFile ~/.ssh/cluster_hosts\n");
+    settings["remote.SSH.configFile"] = configFile;
+    settings["claudeCode.sshExtraArgs"] = ["-o", "StrictHostKeyChecking=no", "-o", "ConnectTimeout=3"];
+
+    const sshArgs = buildSshArgs("myhost");
+    const resolved = execFileSync("ssh", ["-G", ...sshArgs], { encoding: "utf8", stdio: ["ignore", "pipe", "ignore"] });
+    const option = (name) => (resolved.match(new RegExp("^" + name + " (.*)$", "m")) || [])[1];
+    assertEqual(option("stricthostkeychecking"), "true", "strict checking wins over sshExtraArgs and the config file");
+    assertEqual(option("hostname"), "10.1.2.3", "Remote-SSH config file is honored (HostName)");
+    assertEqual(option("port"), "2222", "Remote-SSH config file is honored (Port)");
+    assertEqual(option("userknownhostsfile"), path.join(os.homedir(), ".ssh", "cluster_hosts"), "UserKnownHostsFile comes from the config file");
+    assertEqual(option("connecttimeout"), "3", "other sshExtraArgs still apply");
+}
+
+fs.rmSync(tmp, { recursive: true, force: true });
+
+// ============================================================
+// Summary
+// ============================================================
+console.log("\n========================================");
+console.log("Results: " + passed + " passed, " + failed + " failed");
+console.log("========================================\n");
+process.exit(failed > 0 ? 1 : 0);
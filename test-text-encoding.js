@@ -0,0 +1,170 @@
+#!/usr/bin/env node
+/**
+ * Unit test: file encoding detection and round trips
+ *
+ * Tests src/text-encoding.js (used by the remote file tools):
+ *   - Do BOMs decide the encoding, and are they written back?
+ *   - Are files.encoding and files.autoGuessEncoding honored?
+ *   - Does a guessed GBK/Shift_JIS/Latin-1 file come back byte for byte?
+ *   - Are characters the encoding can't hold reported instead of silently lost?
+ *   - Is undecodable text flagged so it isn't written back?
+ *
+ * Run: node test-text-encoding.js
+ */
+
+"use strict";
+
+const { decodeText, encodeText, encodingLabel, iconvName } = require("./src/text-encoding");
+
+let passed = 0;
+let failed = 0;
+
+function assert(cond, msg) {
+    if (cond) {
+        passed++;
+        console.log("  PASS: " + msg);
+    } else {
+        failed++;
+        console.log("  FAIL: " + msg);
+    }
+}
+
+function assertEqual(actual, expected, msg) {
+    const a = JSON.stringify(actual);
+    const e = JSON.stringify(expected);
+    if (a === e) {
+        passed++;
+        console.log("  PASS: " + msg);
+    } else {
+        failed++;
+        console.log("  FAIL: " + msg + " — expected " + e + ", got " + a);
+    }
+}
+
+// Decode with the given settings, then encode the text the way it was found
+function roundTrip(buf, settings) {
+    const decoded = decodeText(buf, settings);
+    return { decoded, bytes: encodeText(decoded.text, decoded).data };
+}
+
+const chinese = "// 中文注释：你好，世界\nconst s = \"价格 €5\";\n";
+const gbkBytes = Buffer.from("2f2f20d6d0cec4d7a2cacda3bac4e3bac3a3accac0bde70a636f6e73742073203d2022bcdbb8f1208035223b0a", "hex");
+
+// ============================================================
+// Test Suite 1: BOMs
+// ============================================================
+console.log("\n=== Suite 1: BOMs ===\n");
+
+{
+    const buf = Buffer.concat([Buffer.from([0xef, 0xbb, 0xbf]), Buffer.from("héllo\n", "utf8")]);
+    const { decoded, bytes } = roundTrip(buf, {});
+    assertEqual([decoded.text, decoded.encoding, decoded.bom], ["héllo\n", "utf8", true], "a UTF-8 BOM is detected and stripped from the text");
+    assert(bytes.equals(buf), "the BOM is written back");
+}
+
+{
+    const buf = Buffer.from("fffe6800e9000a00", "hex");
+    const { decoded, bytes } = roundTrip(buf, { encoding: "gbk" });
+    assertEqual([decoded.text, decoded.encoding], ["hé\n", "utf16le"], "a UTF-16LE BOM wins over files.encoding");
+    assert(bytes.equals(buf), "UTF-16LE comes back byte for byte");
+}
+
+{
+    const buf = Buffer.from("feff006800e9000a", "hex");
+    const { decoded, bytes } = roundTrip(buf, {});
+    assertEqual([decoded.text, decoded.encoding], ["hé\n", "utf16be"], "a UTF-16BE BOM is detected");
+    assert(bytes.equals(buf), "UTF-16BE comes back byte for byte");
+}
+
+// ============================================================
+// Test Suite 2: Settings
+// ============================================================
+console.log("\n=== Suite 2: files.encoding ===\n");
+
+assertEqual(decodeText(Buffer.from(chinese, "utf8"), {}).encoding, "utf8", "UTF-8 is the default");
+
+{
+    const { decoded, bytes } = roundTrip(gbkBytes, { encoding: "gbk" });
+    assertEqual([decoded.text, decoded.encoding, decoded.lossy], [chinese, "gbk", false], "a configured encoding decodes the file");
+    assert(bytes.equals(gbkBytes), "and the file is written back in it");
+}
+
+{
+    const decoded = decodeText(gbkBytes, {});
+    assertEqual([decoded.encoding, decoded.lossy], ["utf8", true], "invalid UTF-8 without guessing is flagged as lossy");
+}
+
+assertEqual(decodeText(Buffer.from("plain\n"), { encoding: "gbk", autoGuess: true }).encoding, "gbk",
+    "ASCII-only files keep the configured encoding, so later edits use it");
+assertEqual(decodeText(Buffer.from("abc"), { encoding: "utf8bom" }), { text: "abc", encoding: "utf8", bom: false, lossy: false },
+    "utf8bom doesn't add a BOM to an existing file without one");
+
+// ============================================================
+// Test Suite 3: Guessing
+// ============================================================
+console.log("\n=== Suite 3: files.autoGuessEncoding ===\n");
+
+{
+    const { decoded, bytes } = roundTrip(gbkBytes, { autoGuess: true });
+    assertEqual([decoded.text, decoded.encoding], [chinese, "gb18030"], "GBK text is recognized");
+    assert(bytes.equals(gbkBytes), "a guessed GBK file comes back byte for byte");
+}
+
+{
+    const text = "日本語のテキスト、カタカナ\n";
+    const buf = encodeText(text, { encoding: "shiftjis" }).data;
+    const { decoded, bytes } = roundTrip(buf, { autoGuess: true });
+    assertEqual([decoded.text, decoded.encoding], [text, "shiftjis"], "Shift_JIS text is recognized by its kana");
+    assert(bytes.equals(buf), "and comes back byte for byte");
+}
+
+{
+    const buf = Buffer.from("caf\xe9 \x96 na\xefve \x93quoted\x94\n", "latin1");
+    const { decoded, bytes } = roundTrip(buf, { autoGuess: true });
+    assertEqual([decoded.text, decoded.encoding], ["café – naïve “quoted”\n", "windows1252"], "Latin text is read as windows-1252");
+    assert(bytes.equals(buf), "including the 0x80-0x9F punctuation");
+}
+
+{
+    const text = "한국어 텍스트\n";
+    const buf = encodeText(text, { encoding: "euckr" }).data;
+    assertEqual(decodeText(buf, { autoGuess: true, candidates: ["euckr", "gb18030"] }).encoding, "euckr",
+        "files.candidateGuessEncodings sets the preference order");
+}
+
+assertEqual(decodeText(Buffer.from(chinese, "utf8"), { encoding: "gbk", autoGuess: true }).encoding, "utf8",
+    "valid UTF-8 with non-ASCII text is read as UTF-8 even when another encoding is configured");
+
+// ============================================================
+// Test Suite 4: Encoding
+// ============================================================
+console.log("\n=== Suite 4: Unrepresentable characters ===\n");
+
+{
+    const { data, unencodable } = encodeText("ok\n中文\n", { encoding: "windows1252" });
+    assertEqual(unencodable, [{ char: "中", index: 3 }, { char: "文", index: 4 }], "characters outside the encoding are reported with their position");
+    assertEqual(data.toString("latin1"), "ok\n??\n", "and written as question marks");
+}
+
+assertEqual(encodeText("😀", { encoding: "gbk" }).unencodable.length, 1, "GBK can't hold characters beyond the BMP");
+assertEqual(encodeText("😀①", { encoding: "gb18030" }).data.toString("hex"), "9439fc36a2d9", "GB18030 encodes them as four-byte sequences");
+assertEqual(encodeText("a€", { encoding: "utf8bom" }).data.toString("hex"), "efbbbf61e282ac", "utf8bom adds a BOM for new files");
+assertEqual(encodeText("ÿ", { encoding: "iso88591" }).data.toString("hex"), "ff", "ISO-8859-1 maps code points directly");
+
+// ============================================================
+// Test Suite 5: Names
+// ============================================================
+console.log("\n=== Suite 5: Names ===\n");
+
+assertEqual([encodingLabel("gbk"), encodingLabel("utf8", true), encodingLabel("shiftjis")], ["GBK", "UTF-8 with BOM", "SHIFT_JIS"],
+    "labels for messages");
+assertEqual([iconvName("gb18030"), iconvName("windows1252"), iconvName("utf8"), iconvName("utf16le")], ["GB18030", "WINDOWS-1252", null, null],
+    "iconv is only used for ASCII-compatible non-UTF-8 encodings");
+
+// ============================================================
+// Summary
+// ============================================================
+console.log("\n========================================");
+console.log("Results: " + passed + " passed, " + failed + " failed");
+console.log("========================================\n");
+process.exit(failed > 0 ? 1 : 0);